@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * [INPUT]: lib/control-socket - 连接运行中的标签栏（userData/zwm.sock，ZWM_SOCKET 可覆盖）
+ * [OUTPUT]: zwm 命令行 - list / open / add / remove / move / active / windows / stats
+ * [POS]: 标签栏的脚本入口，供 shell 别名、Zed tasks、Raycast 脚本切换项目与固定当前目录
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendControlRequest, getDefaultSocketPath } = require('../lib/control-socket');
+
+const USAGE = `用法：zwm <命令> [参数]
+
+  list [--json]                          列出当前分组的标签
+  open <序号|路径|名称> [--channel <id>]  激活项目窗口，未打开时用 Zed 打开
+  add [路径] [--name <名称>] [--channel <id>] [--open]
+                                         把目录（默认当前目录）固定为标签
+  remove <序号|路径|名称>                 移除标签
+  move <序号> <新序号>                    调整标签顺序
+  active [--json]                        显示 Zed 当前前台项目
+  windows [--json]                       列出已打开的 Zed 窗口
+  stats [--json]                         前台检测方式、检测延迟与启动以来创建的外部进程数
+
+序号从 1 开始，与标签栏一致。环境变量 ZWM_SOCKET 指定 socket 路径。`;
+
+class UsageError extends Error {}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json' || arg === '--open') {
+      flags[arg.slice(2)] = true;
+    } else if (arg === '--channel' || arg === '--name') {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} 缺少取值`);
+      flags[arg.slice(2)] = argv[++i];
+    } else if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`未知选项：${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function expandPath(input) {
+  if (input === '~') return os.homedir();
+  if (input.startsWith('~/')) return path.join(os.homedir(), input.slice(2));
+  return path.resolve(input);
+}
+
+function isPathLike(input) {
+  return input === '.' || input === '..' || input.startsWith('~') || input.includes(path.sep) || fs.existsSync(input);
+}
+
+// ============================================================================
+// RESOLVE - 序号 / 路径 / 名称 → 标签
+// ============================================================================
+
+function getRoots(project) {
+  return Array.isArray(project.roots) && project.roots.length > 0 ? project.roots : [project.path].filter(Boolean);
+}
+
+function findTab(projects, query) {
+  if (/^\d+$/.test(query)) {
+    const index = Number(query) - 1;
+    if (!projects[index]) throw new Error(`没有第 ${query} 个标签（当前分组共 ${projects.length} 个）`);
+    return index;
+  }
+
+  if (isPathLike(query)) {
+    const target = expandPath(query);
+    return projects.findIndex(project => getRoots(project)[0] === target);
+  }
+
+  // 名称：先精确匹配（不区分大小写），再看唯一的包含匹配
+  const name = query.toLowerCase();
+  const getName = project => String(project.displayName || path.basename(project.path || '')).toLowerCase();
+  const exact = projects.findIndex(project => getName(project) === name);
+  if (exact !== -1) return exact;
+  const partial = projects
+    .map((project, index) => ({ index, matched: getName(project).includes(name) }))
+    .filter(item => item.matched);
+  if (partial.length > 1) {
+    throw new Error(`「${query}」匹配到多个标签：${partial.map(item => projects[item.index].displayName).join('、')}`);
+  }
+  return partial.length === 1 ? partial[0].index : -1;
+}
+
+function formatProjectLine(project, index, isActive) {
+  const marker = isActive ? '*' : ' ';
+  const channel = project.channel && project.channel !== 'stable' ? ` [${project.channel}]` : '';
+  const roots = getRoots(project);
+  return `${marker} ${String(index + 1).padStart(2)}  ${project.displayName || path.basename(roots[0] || '')}${channel}  ${roots.join(', ')}`;
+}
+
+function isSameProject(a, b) {
+  if (!a || !b) return false;
+  return (a.channel || 'stable') === (b.channel || 'stable') && getRoots(a).join('\n') === getRoots(b).join('\n');
+}
+
+function formatLatency(latency) {
+  if (!latency || latency.count === 0) return '无';
+  return `最近 ${latency.lastMs}ms / 平均 ${latency.avgMs}ms / 最大 ${latency.maxMs}ms（${latency.count} 次）`;
+}
+
+function formatDetectorStats(stats) {
+  const minutes = Math.max(1, (Date.now() - stats.spawns.startedAt) / 60000);
+  const byCommand = Object.entries(stats.spawns.byCommand)
+    .sort((a, b) => b[1] - a[1])
+    .map(([command, count]) => `${command} ${count}`)
+    .join('、');
+  return [
+    `检测方式：${stats.mode === 'watch' ? '监听进程' : '轮询'}${stats.nextPollMs ? `（下次轮询 ${stats.nextPollMs}ms 后）` : ''}`,
+    `监听事件：${stats.watcherEvents}，重启 ${stats.watcherRestarts} 次${stats.watcherError ? `，上次退出：${stats.watcherError}` : ''}`,
+    `轮询：${stats.polls} 次，失败 ${stats.pollErrors} 次`,
+    `前台变化：${stats.changes} 次`,
+    `检测延迟（监听）：${formatLatency(stats.latency.watch)}`,
+    `检测延迟（轮询，上限）：${formatLatency(stats.latency.poll)}`,
+    `外部进程：${stats.spawns.total} 个，约 ${(stats.spawns.total / minutes).toFixed(1)} 个/分钟${byCommand ? `（${byCommand}）` : ''}`,
+  ];
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function runCommand(command, { positional, flags }, call) {
+  switch (command) {
+    case 'list': {
+      const [projects, active] = await Promise.all([call('get-projects'), call('get-active-project')]);
+      if (flags.json) return printJson(projects);
+      if (projects.length === 0) return console.log('当前分组没有标签');
+      projects.forEach((project, index) => console.log(formatProjectLine(project, index, isSameProject(project, active))));
+      return undefined;
+    }
+
+    case 'open': {
+      const [query] = positional;
+      if (!query) throw new UsageError('open 需要指定序号、路径或名称');
+      const projects = await call('get-projects');
+      const index = findTab(projects, query);
+      let request = index !== -1 ? projects[index] : null;
+      if (!request && isPathLike(query)) {
+        request = { roots: [expandPath(query)], channel: flags.channel };
+      }
+      if (!request) {
+        // 不是标签：再看已打开的 Zed 窗口
+        const windows = await call('get-zed-windows');
+        const name = query.toLowerCase();
+        request = windows.find(window => String(window.displayName).toLowerCase() === name)
+          || windows.find(window => String(window.windowName).toLowerCase() === name)
+          || null;
+      }
+      if (!request) throw new Error(`找不到项目：${query}`);
+      if (flags.channel) request = { ...request, channel: flags.channel };
+      const result = await call('open-project', [request]);
+      if (!result.ok) throw new Error(result.message || '打开失败');
+      return undefined;
+    }
+
+    case 'add': {
+      const target = expandPath(positional[0] || '.');
+      if (!fs.existsSync(target)) throw new Error(`目录不存在：${target}`);
+      const request = { roots: [target], displayName: flags.name, channel: flags.channel };
+      const { added, index, project } = await call('add-project', [request]);
+      console.log(added ? `已固定为第 ${index + 1} 个标签：${project.displayName}` : `已有标签（第 ${index + 1} 个）：${project.displayName}`);
+      if (flags.open) {
+        const result = await call('open-project', [project]);
+        if (!result.ok) throw new Error(result.message || '打开失败');
+      }
+      return undefined;
+    }
+
+    case 'remove': {
+      const [query] = positional;
+      if (!query) throw new UsageError('remove 需要指定序号、路径或名称');
+      const index = findTab(await call('get-projects'), query);
+      if (index === -1) throw new Error(`找不到标签：${query}`);
+      const removed = await call('remove-project', [index]);
+      console.log(`已移除标签：${removed.displayName || removed.path}`);
+      return undefined;
+    }
+
+    case 'move': {
+      const [from, to] = positional;
+      if (!/^\d+$/.test(from || '') || !/^\d+$/.test(to || '')) throw new UsageError('move 需要两个从 1 开始的序号');
+      await call('move-project', [Number(from) - 1, Number(to) - 1]);
+      return undefined;
+    }
+
+    case 'active': {
+      const active = await call('get-active-project');
+      if (flags.json) return printJson(active);
+      if (!active) {
+        process.exitCode = 1;
+        return console.error('Zed 当前不在前台或没有项目');
+      }
+      return console.log(getRoots(active).join('\n') || active.displayName);
+    }
+
+    case 'windows': {
+      const windows = await call('get-zed-windows');
+      if (flags.json) return printJson(windows);
+      windows.forEach((window) => {
+        const channel = window.channel !== 'stable' ? ` [${window.channel}]` : '';
+        console.log(`${window.windowName}${channel}  ${getRoots(window).join(', ')}`);
+      });
+      return undefined;
+    }
+
+    case 'stats': {
+      const stats = await call('get-detector-stats');
+      if (flags.json) return printJson(stats);
+      formatDetectorStats(stats).forEach(line => console.log(line));
+      return undefined;
+    }
+
+    default:
+      throw new UsageError(`未知命令：${command}`);
+  }
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === 'help' || command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const socketPath = getDefaultSocketPath();
+  const call = (method, params = []) => sendControlRequest(socketPath, method, params);
+  try {
+    const args = parseArgs(rest);
+    if (args.flags.help) {
+      console.log(USAGE);
+      return;
+    }
+    await runCommand(command, args, call);
+  } catch (err) {
+    console.error(`zwm: ${err.message}`);
+    if (err instanceof UsageError) console.error('运行 zwm help 查看用法');
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  }
+}
+
+main();
@@ -0,0 +1,292 @@
+/**
+ * [INPUT]: 当前活动项目（main.js 按前台 Zed 项目、Zed 是否在前台、空闲与锁屏状态决定）
+ * [OUTPUT]: createActivityLog / getActivityPeriod / summarizeActivity / formatActivityCsv - 按月分文件的本地活动记录（每行一个 { start, end, key, name, channel, roots } 时间段；进行中的时间段定期落盘并原地改写，空闲回退时收回已记下的部分），以及按天 / 周汇总各标签时长与 CSV 导出（防公式注入）
+ * [POS]: 时间统计的存储与汇总层；只写 userData/activity 下的文件，不做任何网络请求；报告窗口为 reports.html
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 进行中的时间段每隔这么久落盘一次（改写同一行），崩溃或断电最多丢这么多
+const CHECKPOINT_MS = 5 * 60 * 1000;
+// 切换项目时一闪而过的窗口不记
+const MIN_INTERVAL_MS = 1000;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 本地时区的 YYYY-MM-DD
+function getLocalDateKey(ms) {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getMonthKey(ms) {
+  return getLocalDateKey(ms).slice(0, 7);
+}
+
+function startOfLocalDay(ms) {
+  const date = new Date(ms);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// 按日历加天数，跨夏令时也落在当天零点
+function addLocalDays(ms, days) {
+  const date = new Date(ms);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days).getTime();
+}
+
+// ============================================================================
+// PERIOD - day 当天 / week 周一开始的一周，offset 为向前（负数）或向后的天数 / 周数
+// ============================================================================
+
+function getActivityPeriod(range, offset = 0, now = Date.now()) {
+  const steps = Number.isInteger(offset) ? offset : 0;
+  if (range === 'week') {
+    const today = startOfLocalDay(now);
+    const monday = addLocalDays(today, -((new Date(today).getDay() + 6) % 7));
+    const start = addLocalDays(monday, steps * 7);
+    return { range: 'week', offset: steps, start, end: addLocalDays(start, 7) };
+  }
+  const start = addLocalDays(startOfLocalDay(now), steps);
+  return { range: 'day', offset: steps, start, end: addLocalDays(start, 1) };
+}
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+// options.dirPath 记录目录，每月一个 YYYY-MM.jsonl（按时间段开始时间归月）
+function createActivityLog(options = {}) {
+  const { dirPath, checkpointMs = CHECKPOINT_MS } = options;
+  let current = null;
+  let checkpointTimer = null;
+  let hasReportedWriteError = false;
+  const checkedFiles = new Set();
+
+  function getFilePath(monthKey) {
+    return path.join(dirPath, `${monthKey}.jsonl`);
+  }
+
+  // 上次进程中途退出留下半行时先补换行，免得和新写的一行粘在一起
+  function getLinePrefix(filePath) {
+    if (checkedFiles.has(filePath)) return '';
+    checkedFiles.add(filePath);
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) return '';
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const lastByte = Buffer.alloc(1);
+      fs.readSync(fd, lastByte, 0, 1, fs.fstatSync(fd).size - 1);
+      return lastByte[0] === 0x0a ? '' : '\n';
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // 写盘失败只报一次错，不影响标签栏
+  function reportWriteError(e) {
+    if (!hasReportedWriteError) console.error('Failed to write activity log:', e.message);
+    hasReportedWriteError = true;
+  }
+
+  // 首次落盘追加一行并记下它在文件中的位置，之后的落盘原地改写这一行
+  function appendLine(filePath, line) {
+    fs.mkdirSync(dirPath, { recursive: true });
+    const prefix = getLinePrefix(filePath);
+    const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    fs.appendFileSync(filePath, `${prefix}${line}`);
+    return size + Buffer.byteLength(prefix);
+  }
+
+  // 改写后截断，新的一行比原来短时不留尾巴；line 为空即删掉这一行
+  function rewriteLine(filePath, offset, line) {
+    const fd = fs.openSync(filePath, 'r+');
+    try {
+      if (line) fs.writeSync(fd, line, offset);
+      fs.ftruncateSync(fd, offset + Buffer.byteLength(line));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // 把当前时间段 [start, end) 写盘：已落盘过就改写那一行，所以空闲回退到更早的时刻时已记下的部分也能收回
+  function saveCurrent(end) {
+    const entry = {
+      start: new Date(current.start).toISOString(),
+      end: new Date(end).toISOString(),
+      key: current.key,
+      name: current.name,
+      channel: current.channel,
+      roots: current.roots,
+    };
+    const line = end - current.start < MIN_INTERVAL_MS ? '' : `${JSON.stringify(entry)}\n`;
+    const filePath = getFilePath(getMonthKey(current.start));
+    try {
+      if (current.savedOffset !== null && fs.existsSync(filePath)) {
+        rewriteLine(filePath, current.savedOffset, line);
+        if (!line) current.savedOffset = null;
+      } else if (line) {
+        current.savedOffset = appendLine(filePath, line);
+      }
+      current.savedEnd = line ? end : null;
+    } catch (e) {
+      reportWriteError(e);
+    }
+  }
+
+  function scheduleCheckpoint() {
+    clearTimeout(checkpointTimer);
+    checkpointTimer = current ? setTimeout(checkpoint, checkpointMs) : null;
+  }
+
+  // 把进行中的时间段截到现在写盘（崩溃或断电最多丢一个间隔）；时间段本身继续，结束时再改写成最终的一行
+  function checkpoint() {
+    if (!current) return;
+    saveCurrent(Date.now());
+    scheduleCheckpoint();
+  }
+
+  // project: { key, name, channel, roots } 或 null（停止记录）
+  // at 可回退到更早的时刻（空闲从最后一次输入算起），早于上次落盘时会缩短已写下的那一行
+  function track(project, at = Date.now()) {
+    const nextKey = project && project.key ? project.key : null;
+    if ((current ? current.key : null) === nextKey) return;
+    if (current) saveCurrent(Math.max(current.start, at));
+    current = nextKey
+      ? {
+        key: nextKey,
+        name: project.name || '',
+        channel: project.channel || null,
+        roots: project.roots || [],
+        start: at,
+        savedOffset: null,
+        savedEnd: null,
+      }
+      : null;
+    scheduleCheckpoint();
+  }
+
+  function readMonth(monthKey) {
+    try {
+      return fs.readFileSync(getFilePath(monthKey), 'utf-8').split('\n');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // 与 [start, end) 有重叠的时间段（含进行中的那段，截到现在）；损坏的行跳过
+  function readIntervals(start, end) {
+    const months = new Set();
+    // 时间段按开始时间归月，前一个月末开始、跨月的时间段也要读到
+    for (let day = addLocalDays(start, -1); day < end; day = addLocalDays(day, 1)) months.add(getMonthKey(day));
+    const intervals = [];
+    months.forEach((monthKey) => {
+      readMonth(monthKey).forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          const interval = { ...entry, start: Date.parse(entry.start), end: Date.parse(entry.end) };
+          if (interval.key && interval.end > start && interval.start < end) intervals.push(interval);
+        } catch (e) {
+          // 进程中途退出留下的半行
+        }
+      });
+    });
+    // 进行中的时间段已落盘的部分上面读到了，这里只补上次落盘之后的部分
+    const now = Date.now();
+    const openStart = current ? current.savedEnd || current.start : null;
+    if (current && now > Math.max(start, openStart) && openStart < end) intervals.push({ ...getCurrent(), start: openStart, end: now, isOpen: true });
+    return intervals;
+  }
+
+  function getCurrent() {
+    if (!current) return null;
+    const { key, name, channel, roots, start } = current;
+    return { key, name, channel, roots, start };
+  }
+
+  function stop() {
+    track(null);
+  }
+
+  return { dirPath, track, stop, checkpoint, readIntervals, getCurrent };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+// 按本地日期拆分时间段并合计：{ start, end, days, projects: [{ key, name, channel, roots, totals: { 日期: ms }, totalMs }], totals, totalMs }
+// options.names: Map<key, 标签名>，有标签的按标签名显示，其余用记录时的窗口名
+function summarizeActivity(intervals, options = {}) {
+  const { start, end, names = new Map() } = options;
+  const days = [];
+  for (let day = start; day < end; day = addLocalDays(day, 1)) days.push(getLocalDateKey(day));
+  const byKey = new Map();
+  const totals = Object.fromEntries(days.map(day => [day, 0]));
+
+  intervals.forEach((interval) => {
+    let from = Math.max(start, interval.start);
+    const to = Math.min(end, interval.end);
+    if (!byKey.has(interval.key)) {
+      byKey.set(interval.key, {
+        key: interval.key,
+        name: names.get(interval.key) || interval.name || interval.key,
+        isTab: names.has(interval.key),
+        channel: interval.channel || null,
+        roots: interval.roots || [],
+        totals: Object.fromEntries(days.map(day => [day, 0])),
+        totalMs: 0,
+      });
+    }
+    const item = byKey.get(interval.key);
+    while (from < to) {
+      const dayEnd = Math.min(to, addLocalDays(startOfLocalDay(from), 1));
+      const day = getLocalDateKey(from);
+      item.totals[day] += dayEnd - from;
+      item.totalMs += dayEnd - from;
+      totals[day] += dayEnd - from;
+      from = dayEnd;
+    }
+  });
+
+  const projects = [...byKey.values()].filter(item => item.totalMs > 0).sort((a, b) => b.totalMs - a.totalMs);
+  return {
+    start,
+    end,
+    days,
+    projects,
+    totals,
+    totalMs: projects.reduce((sum, item) => sum + item.totalMs, 0),
+  };
+}
+
+function escapeCsvValue(value) {
+  const raw = String(value === null || value === undefined ? '' : value);
+  // 项目名与路径来自窗口标题和标签名：以 = + - @ 等开头的单元格在表格软件里会被当成公式执行，前面加 ' 按文本处理
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 每个标签每天一行，便于直接贴进工时表
+function formatActivityCsv(report) {
+  const rows = [['date', 'project', 'roots', 'channel', 'seconds', 'hours']];
+  report.days.forEach((day) => {
+    report.projects.forEach((item) => {
+      const ms = item.totals[day];
+      if (!ms) return;
+      rows.push([day, item.name, item.roots.join(';'), item.channel || '', Math.round(ms / 1000), (ms / 3600000).toFixed(2)]);
+    });
+  });
+  return `${rows.map(row => row.map(escapeCsvValue).join(',')).join('\n')}\n`;
+}
+
+module.exports = {
+  createActivityLog,
+  getActivityPeriod,
+  summarizeActivity,
+  formatActivityCsv,
+  getLocalDateKey,
+};
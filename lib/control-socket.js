@@ -0,0 +1,239 @@
+/**
+ * [INPUT]: net - Unix domain socket（不监听任何网络端口）
+ * [OUTPUT]: createControlServer / sendControlRequest / getDefaultSocketPath - 服务端启动前探测已有 socket，只清理无人监听的残留文件，退出时只删除自己创建的那个
+ * [POS]: 标签栏的本地控制通道：主进程把部分 IPC 命令经 zwm.sock 暴露给 bin/zwm.js 等外部脚本
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const APP_DATA_NAME = 'zed-workspace-manager';
+const SOCKET_FILE_NAME = 'zwm.sock';
+// 单行请求上限，防止异常客户端把内存撑满
+const MAX_LINE_BYTES = 1024 * 1024;
+// 启动前探测已有 socket 是否仍有人监听
+const PROBE_TIMEOUT_MS = 1000;
+
+function getDefaultSocketPath(options = {}) {
+  const { platform = process.platform, env = process.env, home = os.homedir() } = options;
+  if (env.ZWM_SOCKET) return env.ZWM_SOCKET;
+  // 与 Electron 的 app.getPath('userData') 保持一致
+  const appData = platform === 'darwin'
+    ? path.join(home, 'Library', 'Application Support')
+    : (env.XDG_CONFIG_HOME || path.join(home, '.config'));
+  return path.join(appData, APP_DATA_NAME, SOCKET_FILE_NAME);
+}
+
+function createControlError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// 'missing' 没有文件 / 'stale' 有文件但无人监听（上次异常退出留下的）/ 'alive' 仍有进程在监听（超时也按在用处理，不删）
+function probeSocket(socketPath, timeoutMs = PROBE_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection(socketPath);
+    const settle = (state) => {
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(state);
+    };
+    const timer = setTimeout(() => settle('alive'), timeoutMs);
+    socket.on('connect', () => settle('alive'));
+    socket.on('error', (err) => {
+      if (err.code === 'ENOENT') settle('missing');
+      else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTSOCK') settle('stale');
+      else settle('alive');
+    });
+  });
+}
+
+function getInode(filePath) {
+  try {
+    return fs.statSync(filePath).ino;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// SERVER - 每行一个 JSON（NDJSON）
+// ============================================================================
+//
+// 请求  { id, method, params: [...] }，params 与同名 IPC 的参数一一对应
+// 响应  { id, ok: true, result } 或 { id, ok: false, error: { code, message } }
+
+function createControlServer(options = {}) {
+  const { socketPath, commands } = options;
+  let server = null;
+  // 自己创建的 socket 文件的 inode；stop 时只删自己的那个
+  let ownedInode = null;
+
+  async function handleRequest(request) {
+    if (!request || typeof request.method !== 'string') {
+      throw createControlError('BAD_REQUEST', '请求缺少 method');
+    }
+    const command = commands[request.method];
+    if (!Object.prototype.hasOwnProperty.call(commands, request.method) || typeof command !== 'function') {
+      throw createControlError('UNKNOWN_METHOD', `未知命令：${request.method}`);
+    }
+    // params 与 IPC 参数一一对应；单个值视为唯一参数
+    const params = request.params === undefined ? [] : request.params;
+    return command(...(Array.isArray(params) ? params : [params]));
+  }
+
+  function respond(socket, response) {
+    if (socket.destroyed) return;
+    socket.write(`${JSON.stringify(response)}\n`);
+  }
+
+  async function handleLine(socket, line) {
+    let request = null;
+    try {
+      request = JSON.parse(line);
+    } catch (e) {
+      respond(socket, { id: null, ok: false, error: { code: 'BAD_REQUEST', message: '请求不是合法的 JSON' } });
+      return;
+    }
+    const id = request && request.id !== undefined ? request.id : null;
+    try {
+      const result = await handleRequest(request);
+      respond(socket, { id, ok: true, result: result === undefined ? null : result });
+    } catch (err) {
+      respond(socket, { id, ok: false, error: { code: err.code || 'COMMAND_FAILED', message: err.message } });
+    }
+  }
+
+  function handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) handleLine(socket, line);
+        newline = buffer.indexOf('\n');
+      }
+      if (Buffer.byteLength(buffer) > MAX_LINE_BYTES) {
+        respond(socket, { id: null, ok: false, error: { code: 'BAD_REQUEST', message: '请求过大' } });
+        socket.end();
+      }
+    });
+    // 客户端提前断开不影响主进程
+    socket.on('error', () => {});
+  }
+
+  async function start() {
+    if (server) return;
+    // 另一个进程（如 ZWM_SOCKET 指向同一路径的其他实例）仍在监听时不抢占；只清理无人监听的残留文件
+    const state = await probeSocket(socketPath);
+    if (state === 'alive') {
+      console.error(`Control socket is in use by another process: ${socketPath}`);
+      return;
+    }
+    if (state === 'stale') {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Failed to remove stale control socket:', e);
+      }
+    }
+
+    await new Promise((resolve) => {
+      const listening = net.createServer(handleConnection);
+      server = listening;
+      listening.on('error', (err) => {
+        console.error('Control socket error:', err);
+        if (server === listening) server = null;
+        resolve();
+      });
+      listening.listen(socketPath, () => {
+        ownedInode = getInode(socketPath);
+        // 只允许当前用户连接
+        try {
+          fs.chmodSync(socketPath, 0o600);
+        } catch (e) {
+          console.error('Failed to restrict control socket permissions:', e);
+        }
+        resolve();
+      });
+    });
+  }
+
+  function stop() {
+    if (!server) return;
+    server.close();
+    server = null;
+    // 文件已被别的进程换掉时不删
+    if (ownedInode !== null && getInode(socketPath) === ownedInode) {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (e) {
+        // 已被清理
+      }
+    }
+    ownedInode = null;
+  }
+
+  return { start, stop };
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+function sendControlRequest(socketPath, method, params = [], options = {}) {
+  const { timeoutMs = 10000 } = options;
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+    let settled = false;
+
+    const settle = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      settle(createControlError('TIMEOUT', `等待标签栏响应超时（${timeoutMs}ms）`));
+    }, timeoutMs);
+
+    socket.setEncoding('utf-8');
+    socket.on('connect', () => {
+      socket.write(`${JSON.stringify({ id: 1, method, params })}\n`);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      try {
+        const response = JSON.parse(buffer.slice(0, newline));
+        if (response.ok) settle(null, response.result);
+        else settle(createControlError(response.error.code, response.error.message));
+      } catch (e) {
+        settle(createControlError('BAD_RESPONSE', '无法解析标签栏的响应'));
+      }
+    });
+    socket.on('error', (err) => {
+      // 没有运行中的标签栏时 socket 文件不存在或无人监听
+      if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+        settle(createControlError('NOT_RUNNING', `标签栏未运行（${socketPath}）`));
+        return;
+      }
+      settle(err);
+    });
+    socket.on('close', () => settle(createControlError('BAD_RESPONSE', '连接在响应前关闭')));
+  });
+}
+
+module.exports = { createControlServer, sendControlRequest, getDefaultSocketPath };
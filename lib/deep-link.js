@@ -0,0 +1,74 @@
+/**
+ * [INPUT]: zed-workspace:// 链接 - open?path=… / add?path=…&name=…&color=…（可重复 path 表示多根工作区）
+ * [OUTPUT]: DEEP_LINK_PROTOCOL / isDeepLink / findDeepLinkInArgv / parseDeepLink
+ * [POS]: 深链接的解析与校验；注册协议、确认与打开由 main.js 负责
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const os = require('os');
+const path = require('path');
+const { ZED_CHANNELS } = require('./zed-channels');
+
+const DEEP_LINK_PROTOCOL = 'zed-workspace';
+const DEEP_LINK_ACTIONS = ['open', 'add'];
+
+function isDeepLink(value) {
+  return typeof value === 'string' && value.toLowerCase().startsWith(`${DEEP_LINK_PROTOCOL}:`);
+}
+
+function findDeepLinkInArgv(argv) {
+  // Linux / Windows 通过命令行参数把链接交给应用（首次启动与 second-instance 都是如此）
+  return (Array.isArray(argv) ? argv : []).find(isDeepLink) || null;
+}
+
+function expandHome(input, home) {
+  if (input === '~') return home;
+  if (input.startsWith('~/')) return path.join(home, input.slice(2));
+  return input;
+}
+
+function parseDeepLink(url, options = {}) {
+  const { home = os.homedir() } = options;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('无法解析链接');
+  }
+  if (parsed.protocol !== `${DEEP_LINK_PROTOCOL}:`) throw new Error(`不是 ${DEEP_LINK_PROTOCOL}:// 链接`);
+
+  // zed-workspace://open?… 的动作在 host 位置；也兼容 zed-workspace:open?… 写法
+  const action = (parsed.hostname || parsed.pathname.replace(/^\/+/, '')).toLowerCase();
+  if (!DEEP_LINK_ACTIONS.includes(action)) throw new Error(`不支持的操作：${action || '（空）'}`);
+
+  const expanded = parsed.searchParams.getAll('path')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => expandHome(value, home));
+  if (expanded.length === 0) throw new Error('缺少 path 参数');
+  const relative = expanded.find(root => !path.isAbsolute(root));
+  if (relative) throw new Error(`path 必须是绝对路径：${relative}`);
+  // 与 zwm 的路径处理一致：resolve 同时去掉末尾的 /，才能和标签与 Zed 数据库里的根目录对上
+  const roots = expanded.map(root => path.resolve(root));
+
+  const channel = parsed.searchParams.get('channel') || undefined;
+  if (channel && !ZED_CHANNELS.some(item => item.id === channel)) throw new Error(`未知的 Zed 通道：${channel}`);
+
+  let color;
+  const rawColor = (parsed.searchParams.get('color') || '').trim();
+  if (rawColor) {
+    // 与标签颜色一致，只接受 6 位十六进制（# 可省略，链接里常被写成 %23）
+    if (!/^#?[0-9a-f]{6}$/i.test(rawColor)) throw new Error(`颜色格式无效：${rawColor}`);
+    color = `#${rawColor.replace(/^#/, '').toLowerCase()}`;
+  }
+
+  return {
+    action,
+    roots,
+    displayName: (parsed.searchParams.get('name') || '').trim() || undefined,
+    color,
+    channel,
+  };
+}
+
+module.exports = { DEEP_LINK_PROTOCOL, isDeepLink, findDeepLinkInArgv, parseDeepLink };
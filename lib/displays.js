@@ -0,0 +1,82 @@
+/**
+ * [INPUT]: Electron screen.getAllDisplays() 的显示器列表（bounds / workArea / scaleFactor）
+ * [OUTPUT]: buildDisplayLayouts / getBarBounds / findDisplayForRect / scaleRect
+ * [POS]: 多显示器下的几何计算：每块屏幕扣掉标签栏（按停靠边）后的 Zed 窗口区域、标签栏自身的位置、窗口归属哪块屏幕；lib/window-layout 与 main.js 共用，不依赖 Electron
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+
+function toRect(rect) {
+  return {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+}
+
+// 每块屏幕的停靠边都预留标签栏：标签栏跟随前台 Zed 窗口换屏时，其他屏幕上的窗口不必再挪
+// dock 为 top / bottom / left / right，barSize 为标签栏厚度（横向为高度，纵向为宽度）
+function getAvailableFrame(workArea, dock, barSize) {
+  const frame = { x: workArea.x, y: workArea.y, width: workArea.width, height: workArea.height };
+  if (dock === 'left' || dock === 'right') {
+    frame.width = Math.max(0, workArea.width - barSize);
+    if (dock === 'left') frame.x += barSize;
+  } else {
+    frame.height = Math.max(0, workArea.height - barSize);
+    if (dock !== 'bottom') frame.y += barSize;
+  }
+  return toRect(frame);
+}
+
+// 返回 [{ id, bounds, frame }]，主屏在前（找不到归属屏幕的窗口放到主屏）
+function buildDisplayLayouts(displays, options = {}) {
+  const { dock = 'top', barSize = 0, primaryId = null } = options;
+  return (Array.isArray(displays) ? displays : [])
+    .filter(display => display && display.workArea)
+    .map(display => ({
+      id: display.id,
+      bounds: toRect(display.bounds || display.workArea),
+      frame: getAvailableFrame(display.workArea, dock, barSize),
+    }))
+    .sort((a, b) => Number(b.id === primaryId) - Number(a.id === primaryId));
+}
+
+// 标签栏窗口的位置：贴住停靠边，overlay 为菜单 / 面板展开时向屏幕内侧多占的尺寸
+function getBarBounds(workArea, options = {}) {
+  const { dock = 'top', barSize = 0, overlay = 0 } = options;
+  const size = barSize + overlay;
+  if (dock === 'left') return toRect({ x: workArea.x, y: workArea.y, width: size, height: workArea.height });
+  if (dock === 'right') {
+    return toRect({ x: workArea.x + workArea.width - size, y: workArea.y, width: size, height: workArea.height });
+  }
+  if (dock === 'bottom') {
+    return toRect({ x: workArea.x, y: workArea.y + workArea.height - size, width: workArea.width, height: size });
+  }
+  return toRect({ x: workArea.x, y: workArea.y, width: workArea.width, height: size });
+}
+
+function containsPoint(rect, x, y) {
+  return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+}
+
+// 按窗口中心点判断所在屏幕；中心落在屏幕外（或位置未知）时归到第一块（主屏）
+function findDisplayForRect(layouts, rect) {
+  if (!Array.isArray(layouts) || layouts.length === 0) return null;
+  if (!rect) return layouts[0];
+  const centerX = rect.x + rect.width / 2;
+  const centerY = rect.y + rect.height / 2;
+  return layouts.find(layout => containsPoint(layout.bounds, centerX, centerY)) || layouts[0];
+}
+
+function scaleRect(rect, factor) {
+  if (!rect || !factor || factor === 1) return rect;
+  return toRect({
+    x: rect.x * factor,
+    y: rect.y * factor,
+    width: rect.width * factor,
+    height: rect.height * factor,
+  });
+}
+
+module.exports = { buildDisplayLayouts, getBarBounds, findDisplayForRect, scaleRect };
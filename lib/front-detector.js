@@ -0,0 +1,253 @@
+/**
+ * [INPUT]: 窗口后端 - watchFrontState（常驻监听进程推送前台变化，可选）与 getFrontState（单次探测）
+ * [OUTPUT]: createFrontDetector - 前台应用 / 窗口检测器：优先用监听进程，失效时按退避重启并改为自适应轮询；统计轮询次数、监听事件与检测延迟
+ * [POS]: main.js 前台同步（显示 / 隐藏标签栏、当前项目、跟随屏幕、窗口适配）的唯一状态来源，取代固定间隔的轮询
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+
+// ============================================================================
+// TIMING
+// ============================================================================
+//
+// 监听进程正常时只做低频兜底轮询，防止漏掉事件；
+// 没有监听进程时 Zed 在前台按设置的间隔轮询，其他应用在前台时每次无变化就把间隔翻倍，直到上限，
+// 一有变化立即回到设置的间隔
+const WATCHER_SAFETY_POLL_MS = 15000;
+const IDLE_POLL_MULTIPLIER_MAX = 4;
+const WATCHER_RESTART_MIN_MS = 1000;
+const WATCHER_RESTART_MAX_MS = 60000;
+// 监听进程稳定运行这么久后，下次退出重新从最短的退避开始
+const WATCHER_STABLE_MS = 60000;
+
+function createLatencyStats() {
+  return { count: 0, lastMs: null, avgMs: null, maxMs: null };
+}
+
+function recordLatency(stats, ms) {
+  const value = Math.max(0, Math.round(ms));
+  stats.count += 1;
+  stats.lastMs = value;
+  stats.avgMs = stats.avgMs === null ? value : Math.round(stats.avgMs + (value - stats.avgMs) / stats.count);
+  stats.maxMs = stats.maxMs === null ? value : Math.max(stats.maxMs, value);
+}
+
+function getStateKey(frontState) {
+  const { frontApp, frontPid, frontWindowName, frontWindowBounds, channel } = frontState || {};
+  return JSON.stringify([frontApp, frontPid, frontWindowName, frontWindowBounds, channel]);
+}
+
+// ============================================================================
+// DETECTOR
+// ============================================================================
+
+// options.backend             窗口后端
+// options.onState(frontState) 每次探测 / 推送都会回调（状态未变也回调，与原轮询一致）
+// options.getPollIntervalMs() Zed 在前台时的轮询间隔，也是监听进程检查窗口的间隔
+// options.isPaused()          为 true 时丢弃结果（系统对话框期间）
+function createFrontDetector(options = {}) {
+  const {
+    backend,
+    onState,
+    getPollIntervalMs = () => 1000,
+    isPaused = () => false,
+  } = options;
+  let watcher = null;
+  let watcherStartedAt = 0;
+  let watcherRestartTimer = null;
+  let watcherRestartDelayMs = WATCHER_RESTART_MIN_MS;
+  let pollTimer = null;
+  let isPollInFlight = false;
+  let idleMultiplier = 1;
+  let lastKey = null;
+  let lastIsZed = false;
+  let lastEventAt = 0;
+  let lastPollAt = 0;
+  let running = false;
+  const stats = {
+    startedAt: 0,
+    polls: 0,
+    pollErrors: 0,
+    watcherEvents: 0,
+    watcherRestarts: 0,
+    watcherError: null,
+    changes: 0,
+    // watch: 监听进程观察到变化到主进程收到；poll: 轮询发现变化时距上次轮询的时间（变化发生时刻未知，为上限）
+    latency: { watch: createLatencyStats(), poll: createLatencyStats() },
+  };
+
+  function isWatching() {
+    return Boolean(watcher);
+  }
+
+  function getNextPollDelay() {
+    if (isWatching()) return WATCHER_SAFETY_POLL_MS;
+    const baseMs = getPollIntervalMs();
+    return lastIsZed ? baseMs : baseMs * idleMultiplier;
+  }
+
+  // 返回状态是否变化
+  function handleState(frontState, source, latencyMs) {
+    if (isPaused()) return false;
+    const key = getStateKey(frontState);
+    const changed = key !== lastKey;
+    lastKey = key;
+    lastIsZed = Boolean(frontState && frontState.isZed);
+    if (changed) {
+      stats.changes += 1;
+      idleMultiplier = 1;
+      // 启动后的第一次结果不算检测延迟
+      if (stats.changes > 1 && Number.isFinite(latencyMs)) recordLatency(stats.latency[source], latencyMs);
+    } else if (!lastIsZed) {
+      idleMultiplier = Math.min(IDLE_POLL_MULTIPLIER_MAX, idleMultiplier * 2);
+    }
+    onState(frontState);
+    return changed;
+  }
+
+  // ==========================================================================
+  // POLL
+  // ==========================================================================
+
+  function schedulePoll(delayMs = getNextPollDelay()) {
+    clearTimeout(pollTimer);
+    pollTimer = running ? setTimeout(poll, delayMs) : null;
+  }
+
+  function poll() {
+    pollTimer = null;
+    // 上次探测还没返回，等下一轮
+    if (isPollInFlight) return schedulePoll();
+    isPollInFlight = true;
+    const startedAt = Date.now();
+    const previousPollAt = lastPollAt || startedAt;
+    lastPollAt = startedAt;
+    stats.polls += 1;
+    backend.getFrontState()
+      .then((frontState) => {
+        isPollInFlight = false;
+        if (!running) return;
+        // 探测期间监听进程已推送了更新的状态，丢弃这次较旧的结果
+        if (lastEventAt > startedAt) return;
+        handleState(frontState, 'poll', Date.now() - previousPollAt);
+      })
+      .catch(() => {
+        isPollInFlight = false;
+        stats.pollErrors += 1;
+      })
+      .finally(() => {
+        if (running && !pollTimer) schedulePoll();
+      });
+  }
+
+  // ==========================================================================
+  // WATCHER
+  // ==========================================================================
+
+  function startWatcher() {
+    watcherRestartTimer = null;
+    if (!running || watcher || typeof backend.watchFrontState !== 'function') return;
+    let handle = null;
+    try {
+      handle = backend.watchFrontState({
+        intervalMs: getPollIntervalMs(),
+        onState: (frontState, at) => {
+          if (!running || watcher !== handle) return;
+          stats.watcherEvents += 1;
+          lastEventAt = Date.now();
+          handleState(frontState, 'watch', lastEventAt - (Number(at) || lastEventAt));
+        },
+        onExit: err => handleWatcherExit(handle, err),
+      });
+    } catch (err) {
+      handleWatcherExit(null, err);
+      return;
+    }
+    if (!handle) return;
+    watcher = handle;
+    watcherStartedAt = Date.now();
+    schedulePoll();
+  }
+
+  function handleWatcherExit(handle, err) {
+    if (handle && watcher !== handle) return;
+    watcher = null;
+    if (!running) return;
+    stats.watcherError = err ? err.message : null;
+    console.error('Front app watcher exited:', stats.watcherError);
+    if (watcherStartedAt && Date.now() - watcherStartedAt >= WATCHER_STABLE_MS) {
+      watcherRestartDelayMs = WATCHER_RESTART_MIN_MS;
+    }
+    // 重启之前（或命令不存在、不再重启时）由轮询接管
+    schedulePoll(0);
+    if (err && err.code === 'ENOENT') return;
+    watcherRestartTimer = setTimeout(() => {
+      stats.watcherRestarts += 1;
+      startWatcher();
+    }, watcherRestartDelayMs);
+    watcherRestartDelayMs = Math.min(WATCHER_RESTART_MAX_MS, watcherRestartDelayMs * 2);
+  }
+
+  function stopWatcher() {
+    clearTimeout(watcherRestartTimer);
+    watcherRestartTimer = null;
+    if (watcher) watcher.stop();
+    watcher = null;
+  }
+
+  // ==========================================================================
+  // CONTROL
+  // ==========================================================================
+
+  function start() {
+    if (running) return;
+    running = true;
+    stats.startedAt = Date.now();
+    startWatcher();
+    // 没有监听进程时立即探测一次；有监听进程时它启动后会先推送当前状态
+    if (!isWatching()) schedulePoll(0);
+  }
+
+  function stop() {
+    running = false;
+    stopWatcher();
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  // 轮询间隔改变：监听进程按新的窗口检查间隔重启
+  function reconfigure() {
+    if (!running) return;
+    if (watcher) {
+      stopWatcher();
+      startWatcher();
+    }
+    schedulePoll();
+  }
+
+  // 明确知道前台可能变了（激活项目、关闭系统对话框）时立即探测，不等退避后的下一轮
+  function refresh() {
+    if (!running) return;
+    idleMultiplier = 1;
+    schedulePoll(0);
+  }
+
+  function getStats() {
+    return {
+      mode: isWatching() ? 'watch' : 'poll',
+      startedAt: stats.startedAt,
+      nextPollMs: running ? getNextPollDelay() : null,
+      polls: stats.polls,
+      pollErrors: stats.pollErrors,
+      watcherEvents: stats.watcherEvents,
+      watcherRestarts: stats.watcherRestarts,
+      watcherError: stats.watcherError,
+      changes: stats.changes,
+      latency: { watch: { ...stats.latency.watch }, poll: { ...stats.latency.poll } },
+    };
+  }
+
+  return { start, stop, reconfigure, refresh, getStats };
+}
+
+module.exports = { createFrontDetector };
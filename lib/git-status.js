@@ -0,0 +1,154 @@
+/**
+ * [INPUT]: git status --porcelain=v2 --branch 输出 - 分支、上游、领先 / 落后与各类改动
+ * [OUTPUT]: parseGitStatus / createGitStatusPoller - 解析 git 状态；按路径缓存、限频的后台轮询器
+ * [POS]: 标签上分支 / 脏标记 / 领先落后信息的数据来源，独立于前台轮询与脚本队列，慢仓库不会拖住隐藏检测
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+function parseGitStatus(stdout) {
+  const status = {
+    branch: null,
+    detached: false,
+    oid: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    staged: 0,
+    modified: 0,
+    untracked: 0,
+    conflicted: 0,
+    dirty: false,
+  };
+
+  String(stdout || '').split('\n').forEach((line) => {
+    if (line.startsWith('# branch.oid ')) {
+      const oid = line.slice('# branch.oid '.length).trim();
+      status.oid = oid === '(initial)' ? null : oid;
+    } else if (line.startsWith('# branch.head ')) {
+      const head = line.slice('# branch.head '.length).trim();
+      status.detached = head === '(detached)';
+      status.branch = status.detached ? null : head;
+    } else if (line.startsWith('# branch.upstream ')) {
+      status.upstream = line.slice('# branch.upstream '.length).trim();
+    } else if (line.startsWith('# branch.ab ')) {
+      const match = line.match(/\+(\d+) -(\d+)/);
+      if (match) {
+        status.ahead = Number(match[1]);
+        status.behind = Number(match[2]);
+      }
+    } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+      // 普通 / 重命名条目：XY 分别为暂存区与工作区状态，"." 表示无改动
+      const xy = line.slice(2, 4);
+      if (xy[0] !== '.') status.staged++;
+      if (xy[1] !== '.') status.modified++;
+    } else if (line.startsWith('u ')) {
+      status.conflicted++;
+    } else if (line.startsWith('? ')) {
+      status.untracked++;
+    }
+  });
+
+  status.dirty = status.staged + status.modified + status.untracked + status.conflicted > 0;
+  return status;
+}
+
+// ============================================================================
+// POLLER - 逐个仓库串行执行，结果缓存，同一路径限频
+// ============================================================================
+
+function createGitStatusPoller(options = {}) {
+  const {
+    runCommand,
+    getPaths,
+    onChange,
+    intervalMs = 5000,
+    minRefreshMs = 15000,
+    timeoutMs = 2000,
+  } = options;
+  // path -> { status, checkedAt, key }；status 为 null 表示不是 git 仓库或读取失败
+  const cache = new Map();
+  const priorityPaths = new Set();
+  let timer = null;
+  let isCycleRunning = false;
+
+  function readStatus(repoPath) {
+    // --no-optional-locks：不刷新 index，避免和用户自己的 git 操作争抢 index.lock
+    return runCommand('git', ['--no-optional-locks', '-C', repoPath, 'status', '--porcelain=v2', '--branch'], { timeoutMs })
+      .then(parseGitStatus)
+      .catch(() => null);
+  }
+
+  async function refreshPath(repoPath) {
+    const status = await readStatus(repoPath);
+    const key = JSON.stringify(status);
+    const previous = cache.get(repoPath);
+    cache.set(repoPath, { status, checkedAt: Date.now(), key });
+    if (!previous || previous.key !== key) onChange && onChange(repoPath, status);
+  }
+
+  function isStale(repoPath, now) {
+    const entry = cache.get(repoPath);
+    return !entry || now - entry.checkedAt >= minRefreshMs;
+  }
+
+  async function runCycle() {
+    if (isCycleRunning) return;
+    isCycleRunning = true;
+    try {
+      const paths = [...new Set((await getPaths()).filter(Boolean))];
+      const tracked = new Set(paths);
+      // 不再有标签指向的路径清出缓存
+      [...cache.keys()].forEach((repoPath) => {
+        if (!tracked.has(repoPath)) cache.delete(repoPath);
+      });
+
+      const now = Date.now();
+      const urgent = [...priorityPaths].filter(repoPath => tracked.has(repoPath));
+      priorityPaths.clear();
+      const due = paths.filter(repoPath => !urgent.includes(repoPath) && isStale(repoPath, now));
+      for (const repoPath of [...urgent, ...due]) {
+        await refreshPath(repoPath);
+      }
+    } catch (err) {
+      console.error('Failed to poll git status:', err);
+    } finally {
+      isCycleRunning = false;
+    }
+  }
+
+  function requestRefresh(repoPath) {
+    // 切换到某个项目时下一轮优先刷新它；距上次检查不足一个轮询间隔则跳过，避免连续切换时反复执行 git
+    const entry = cache.get(repoPath);
+    if (!repoPath || (entry && Date.now() - entry.checkedAt < intervalMs)) return;
+    priorityPaths.add(repoPath);
+  }
+
+  function getSnapshot() {
+    const snapshot = {};
+    cache.forEach((entry, repoPath) => {
+      snapshot[repoPath] = entry.status;
+    });
+    return snapshot;
+  }
+
+  function start() {
+    if (timer) return;
+    runCycle();
+    timer = setInterval(runCycle, intervalMs);
+  }
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, requestRefresh, getSnapshot, refreshNow: runCycle };
+}
+
+module.exports = { parseGitStatus, createGitStatusPoller };
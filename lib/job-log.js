@@ -0,0 +1,153 @@
+/**
+ * [INPUT]: 外部命令任务的完成记录（脚本队列的 osascript / wmctrl、sqlite 读取、标签钩子）
+ * [OUTPUT]: createJobLog / getPercentiles - 每行一个 JSON 的轮换日志文件 + 内存中最近任务的汇总（各类任务的排队 / 执行耗时分位数、最近失败、各结果计数）
+ * [POS]: 诊断窗口与调试信息包的数据来源；只负责记录与统计，任务本身由 lib/script-queue 与 main.js 执行
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PERCENTILES = [50, 90, 99];
+// 结果：ok 成功 / error 非零退出或启动失败 / timeout 超时被杀 / dropped 排队时被同类新任务替换、未执行 / stopped 钩子被主动停止
+const FAILED_OUTCOMES = ['error', 'timeout'];
+
+// values 升序后取最近秩，返回 { p50, p90, p99, max }；没有数据时均为 null
+function getPercentiles(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const result = {};
+  PERCENTILES.forEach((percentile) => {
+    result[`p${percentile}`] = sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1)]
+      : null;
+  });
+  result.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+  return result;
+}
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+// options.filePath     日志文件；写满 maxBytes 后依次改名为 .1 / .2 ...，最多保留 maxFiles 个旧文件
+// options.recentLimit  内存里保留的最近任务数，用于分位数与失败列表
+// options.flushDelayMs 合并写盘的间隔（轮询任务很频繁）
+function createJobLog(options = {}) {
+  const {
+    filePath,
+    maxBytes = 1024 * 1024,
+    maxFiles = 3,
+    recentLimit = 500,
+    failureLimit = 20,
+    flushDelayMs = 1000,
+  } = options;
+  const recent = [];
+  const failures = [];
+  const outcomeCounts = {};
+  let pendingLines = [];
+  let flushTimer = null;
+  let total = 0;
+  let hasReportedWriteError = false;
+
+  function getRotatedPath(index) {
+    return `${filePath}.${index}`;
+  }
+
+  function rotateIfNeeded(incomingBytes) {
+    let size = 0;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch (e) {
+      return;
+    }
+    if (size + incomingBytes <= maxBytes) return;
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(getRotatedPath(index))) fs.renameSync(getRotatedPath(index), getRotatedPath(index + 1));
+    }
+    // 改名会覆盖最旧的那个文件
+    fs.renameSync(filePath, getRotatedPath(1));
+  }
+
+  // 写盘失败只报一次错，不影响任务本身
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!filePath || pendingLines.length === 0) return;
+    const chunk = pendingLines.join('');
+    pendingLines = [];
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      rotateIfNeeded(Buffer.byteLength(chunk));
+      fs.appendFileSync(filePath, chunk);
+    } catch (e) {
+      if (!hasReportedWriteError) console.error('Failed to write job log:', e.message);
+      hasReportedWriteError = true;
+    }
+  }
+
+  // job: { kind, command, tag, priority, waitMs, runMs, outcome, error }
+  function record(job) {
+    const entry = { at: new Date().toISOString(), ...job };
+    total += 1;
+    outcomeCounts[entry.outcome] = (outcomeCounts[entry.outcome] || 0) + 1;
+    recent.push(entry);
+    if (recent.length > recentLimit) recent.shift();
+    if (FAILED_OUTCOMES.includes(entry.outcome)) {
+      failures.unshift(entry);
+      if (failures.length > failureLimit) failures.pop();
+    }
+    pendingLines.push(`${JSON.stringify(entry)}\n`);
+    if (!flushTimer) flushTimer = setTimeout(flush, flushDelayMs);
+  }
+
+  // 按 kind（script / sqlite / hook）+ tag 分组统计最近任务
+  function getLatencyGroups() {
+    const groups = new Map();
+    recent.forEach((entry) => {
+      if (entry.outcome === 'dropped') return;
+      const key = `${entry.kind}\u0000${entry.tag || entry.command || ''}`;
+      if (!groups.has(key)) groups.set(key, { kind: entry.kind, tag: entry.tag || entry.command || '', entries: [] });
+      groups.get(key).entries.push(entry);
+    });
+    return [...groups.values()]
+      .map(({ kind, tag, entries }) => ({
+        kind,
+        tag,
+        count: entries.length,
+        failed: entries.filter(entry => FAILED_OUTCOMES.includes(entry.outcome)).length,
+        waitMs: getPercentiles(entries.map(entry => entry.waitMs)),
+        runMs: getPercentiles(entries.map(entry => entry.runMs)),
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  function getSummary() {
+    return {
+      total,
+      outcomes: { ...outcomeCounts },
+      latency: getLatencyGroups(),
+      failures: failures.map(entry => ({ ...entry })),
+    };
+  }
+
+  function getRecent(limit = recentLimit) {
+    return recent.slice(-limit).map(entry => ({ ...entry }));
+  }
+
+  // 调试信息包用：日志文件末尾 maxTailChars 个字符（从完整的一行开始）
+  function readTail(maxTailChars = 64 * 1024) {
+    flush();
+    try {
+      const content = fs.readFileSync(filePath, 'utf-8');
+      if (content.length <= maxTailChars) return content;
+      const tail = content.slice(-maxTailChars);
+      return tail.slice(tail.indexOf('\n') + 1);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  return { filePath, record, flush, getSummary, getRecent, readTail };
+}
+
+module.exports = { createJobLog, getPercentiles };
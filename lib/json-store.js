@@ -0,0 +1,227 @@
+/**
+ * [INPUT]: fs - 同步读写 userData 下的 JSON 文件
+ * [OUTPUT]: createJsonStore - 原子写入（临时文件 + fsync + rename）、version 字段与迁移链、轮换备份、损坏时从备份恢复（load 异步，loadSync 供启动时同步读取）；writeFileAtomic - 单独的原子写入（keybindings.json 等用户手改、不带 version 的文件）
+ * [POS]: projects.json / settings.json / dialog_state.json 等持久化文件的公共读写层；数据含义与校验由调用方的 detectVersion / migrations 决定
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BACKUP_COUNT = 5;
+// 频繁保存（拖拽排序、改名）时不必每次都轮换，否则几次操作就把较早的备份挤掉
+const DEFAULT_BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// ============================================================================
+// WRITE - 先写临时文件再 rename，断电时要么是旧文件，要么是完整的新文件；监听文件的一方也不会读到写了一半的内容
+// ============================================================================
+
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function createJsonStore(options = {}) {
+  const {
+    filePath,
+    version,
+    // raw -> 版本号；返回 null 表示内容不可识别（按损坏处理）
+    detectVersion = raw => (raw && Number.isInteger(raw.version) ? raw.version : null),
+    // { [fromVersion]: (data) => dataOfNextVersion }，可返回 Promise
+    migrations = {},
+    createDefault = () => ({}),
+    backupCount = DEFAULT_BACKUP_COUNT,
+    backupIntervalMs = DEFAULT_BACKUP_INTERVAL_MS,
+  } = options;
+  const name = path.basename(filePath);
+
+  function getBackupPath(index) {
+    return `${filePath}.bak.${index}`;
+  }
+
+  // ==========================================================================
+  // SAVE - 原子写入 + 轮换备份
+  // ==========================================================================
+
+  function rotateBackups(force) {
+    if (backupCount <= 0 || !fs.existsSync(filePath)) return;
+    const newest = getBackupPath(1);
+    if (!force && fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < backupIntervalMs) return;
+
+    for (let index = backupCount - 1; index >= 1; index--) {
+      if (fs.existsSync(getBackupPath(index))) fs.renameSync(getBackupPath(index), getBackupPath(index + 1));
+    }
+    fs.copyFileSync(filePath, newest);
+  }
+
+  function save(data, saveOptions = {}) {
+    try {
+      rotateBackups(Boolean(saveOptions.forceBackup));
+    } catch (e) {
+      // 备份失败不阻止保存
+      console.error(`Failed to back up ${name}:`, e);
+    }
+    try {
+      // version 总是写在最前，并以当前版本为准
+      const { version: _previousVersion, ...rest } = data;
+      writeFileAtomic(filePath, JSON.stringify({ version, ...rest }, null, 2));
+      return true;
+    } catch (e) {
+      console.error(`Failed to save ${name}:`, e);
+      return false;
+    }
+  }
+
+  // ==========================================================================
+  // READ - 解析 -> 识别版本 -> 逐级迁移；失败则依次尝试备份
+  // ==========================================================================
+
+  function parseVersion(content) {
+    const data = JSON.parse(content);
+    const current = detectVersion(data);
+    if (!Number.isInteger(current)) throw new Error(`unrecognized ${name} format`);
+    return { data, current };
+  }
+
+  function getMigration(current) {
+    const migrate = migrations[current];
+    if (typeof migrate !== 'function') throw new Error(`no migration for ${name} v${current}`);
+    return migrate;
+  }
+
+  function checkNewerVersion(current) {
+    if (current > version) {
+      // 新版本写下的文件：按当前结构尽量读取，不降级
+      console.error(`${name} is v${current}, newer than supported v${version}`);
+    }
+  }
+
+  async function parseAndMigrate(content) {
+    let { data, current } = parseVersion(content);
+    const fromVersion = current;
+    while (current < version) {
+      data = await getMigration(current)(data);
+      current++;
+    }
+    checkNewerVersion(current);
+    return { data, fromVersion };
+  }
+
+  // loadSync 用：迁移必须是同步函数
+  function parseAndMigrateSync(content) {
+    let { data, current } = parseVersion(content);
+    const fromVersion = current;
+    while (current < version) {
+      data = getMigration(current)(data);
+      if (data && typeof data.then === 'function') throw new Error(`migration for ${name} v${current} is async, use load()`);
+      current++;
+    }
+    checkNewerVersion(current);
+    return { data, fromVersion };
+  }
+
+  function moveAside(reason) {
+    // 损坏的原文件留作排查，不直接覆盖
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(filePath, corruptPath);
+      return corruptPath;
+    } catch (e) {
+      console.error(`Failed to move corrupt ${name} aside (${reason}):`, e);
+      return null;
+    }
+  }
+
+  function getBackupPaths() {
+    return Array.from({ length: backupCount }, (_, index) => getBackupPath(index + 1)).filter(item => fs.existsSync(item));
+  }
+
+  function reportUnusableBackup(backupPath, e) {
+    console.error(`Backup ${path.basename(backupPath)} is not usable:`, e.message);
+  }
+
+  async function recoverFromBackups() {
+    for (const backupPath of getBackupPaths()) {
+      try {
+        const { data } = await parseAndMigrate(fs.readFileSync(backupPath, 'utf-8'));
+        return { data, backupPath };
+      } catch (e) {
+        reportUnusableBackup(backupPath, e);
+      }
+    }
+    return null;
+  }
+
+  function recoverFromBackupsSync() {
+    for (const backupPath of getBackupPaths()) {
+      try {
+        const { data } = parseAndMigrateSync(fs.readFileSync(backupPath, 'utf-8'));
+        return { data, backupPath };
+      } catch (e) {
+        reportUnusableBackup(backupPath, e);
+      }
+    }
+    return null;
+  }
+
+  function finishLoad({ data, fromVersion }) {
+    if (fromVersion < version) {
+      // 迁移前的原文件强制进备份，迁移出错还能找回
+      save(data, { forceBackup: true });
+      console.log(`Migrated ${name} from v${fromVersion} to v${version}`);
+    }
+    return { data, recovery: null };
+  }
+
+  function finishRecovery(error, corruptPath, recovered) {
+    const data = recovered ? recovered.data : createDefault();
+    // 立即写回，主文件恢复为有效内容；原文件没能挪开时不覆盖它
+    if (corruptPath) save(data);
+    return {
+      data,
+      recovery: { error: error.message, corruptPath, backupPath: recovered ? recovered.backupPath : null },
+    };
+  }
+
+  // 返回 { data, recovery }；recovery 非空表示主文件损坏，{ error, corruptPath, backupPath }（无可用备份时 backupPath 为 null）
+  // loadOptions.recover 为 false 时（如重新读取外部修改）解析失败直接抛出，不动原文件
+  async function load(loadOptions = {}) {
+    const { recover = true } = loadOptions;
+    if (!fs.existsSync(filePath)) return { data: createDefault(), recovery: null };
+
+    try {
+      return finishLoad(await parseAndMigrate(fs.readFileSync(filePath, 'utf-8')));
+    } catch (e) {
+      if (!recover) throw e;
+      console.error(`Failed to load ${name}:`, e);
+      const corruptPath = moveAside(e.message);
+      return finishRecovery(e, corruptPath, await recoverFromBackups());
+    }
+  }
+
+  // 同 load，供启动时就要用到的文件（settings.json）同步读取
+  function loadSync(loadOptions = {}) {
+    const { recover = true } = loadOptions;
+    if (!fs.existsSync(filePath)) return { data: createDefault(), recovery: null };
+
+    try {
+      return finishLoad(parseAndMigrateSync(fs.readFileSync(filePath, 'utf-8')));
+    } catch (e) {
+      if (!recover) throw e;
+      console.error(`Failed to load ${name}:`, e);
+      const corruptPath = moveAside(e.message);
+      return finishRecovery(e, corruptPath, recoverFromBackupsSync());
+    }
+  }
+
+  return { load, loadSync, save, filePath };
+}
+
+module.exports = { createJsonStore, writeFileAtomic };
@@ -0,0 +1,178 @@
+/**
+ * [INPUT]: keybindings.json 原始内容 - { "动作": "Electron accelerator" | null }
+ * [OUTPUT]: KEYBINDING_ACTIONS / DEFAULT_KEYBINDINGS / parseKeybindings / normalizeAccelerator / isValidAccelerator
+ * [POS]: 全局快捷键的动作清单、默认绑定与校验（语法、冲突）；注册与文件监听由 main.js 负责
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+const KEYBINDING_ACTIONS = [
+  ...Array.from({ length: 9 }, (_, i) => ({ id: `jump-to-${i + 1}`, label: `切换到第 ${i + 1} 个标签` })),
+  { id: 'next-tab', label: '下一个标签' },
+  { id: 'previous-tab', label: '上一个标签' },
+  { id: 'toggle-previous-project', label: '切回上一个项目' },
+  { id: 'cycle-recent-projects', label: '按住修饰键切换最近项目' },
+  { id: 'open-add-dropdown', label: '打开添加项目菜单' },
+  { id: 'remove-current-tab', label: '移除当前项目的标签' },
+  { id: 'open-palette', label: '打开项目搜索面板' },
+  { id: 'arrange-zed-windows', label: '按布局整理 Zed 窗口' },
+  { id: 'open-preferences', label: '打开偏好设置' },
+  { id: 'toggle-devtools', label: '打开开发者工具' },
+];
+
+const DEFAULT_KEYBINDINGS = {
+  ...Object.fromEntries(Array.from({ length: 9 }, (_, i) => [`jump-to-${i + 1}`, `CommandOrControl+Alt+${i + 1}`])),
+  'next-tab': 'CommandOrControl+Alt+PageDown',
+  'previous-tab': 'CommandOrControl+Alt+PageUp',
+  'toggle-previous-project': 'CommandOrControl+Alt+0',
+  // 按住修饰键连按切换，松开后激活（类似系统的应用切换器）
+  'cycle-recent-projects': 'CommandOrControl+Alt+Tab',
+  'open-add-dropdown': 'CommandOrControl+Alt+N',
+  // 破坏性操作默认不绑定
+  'remove-current-tab': null,
+  'open-palette': 'CommandOrControl+Alt+P',
+  // 会挪动所有 Zed 窗口，默认不绑定
+  'arrange-zed-windows': null,
+  'open-preferences': null,
+  'toggle-devtools': 'CommandOrControl+Shift+D',
+};
+
+function getKeybindingLabel(actionId) {
+  const action = KEYBINDING_ACTIONS.find(item => item.id === actionId);
+  return action ? action.label : actionId;
+}
+
+// ============================================================================
+// ACCELERATOR - 语法校验与规范化（用于冲突检测）
+// ============================================================================
+
+const NAMED_KEYS = [
+  'Plus', 'Space', 'Tab', 'Capslock', 'Numlock', 'Scrolllock', 'Backspace', 'Delete', 'Insert',
+  'Return', 'Enter', 'Up', 'Down', 'Left', 'Right', 'Home', 'End', 'PageUp', 'PageDown',
+  'Escape', 'Esc', 'VolumeUp', 'VolumeDown', 'VolumeMute', 'MediaNextTrack', 'MediaPreviousTrack',
+  'MediaStop', 'MediaPlayPause', 'PrintScreen',
+  'num0', 'num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'num7', 'num8', 'num9',
+  'numdec', 'numadd', 'numsub', 'nummult', 'numdiv',
+];
+const NAMED_KEY_ALIASES = { return: 'enter', esc: 'escape' };
+const PUNCTUATION_KEYS = ')!@#$%^&*(:;=<,_->.?/~`{][|\\}"\'';
+
+function getModifierName(token, platform) {
+  switch (token.toLowerCase()) {
+    case 'command':
+    case 'cmd':
+      return 'Command';
+    case 'control':
+    case 'ctrl':
+      return 'Control';
+    case 'commandorcontrol':
+    case 'cmdorctrl':
+      return platform === 'darwin' ? 'Command' : 'Control';
+    case 'alt':
+    case 'option':
+      return 'Alt';
+    case 'altgr':
+      return 'AltGr';
+    case 'shift':
+      return 'Shift';
+    case 'super':
+    case 'meta':
+      // macOS 上 Super / Meta 即 Command
+      return platform === 'darwin' ? 'Command' : 'Super';
+    default:
+      return null;
+  }
+}
+
+function getKeyName(token) {
+  if (/^[a-z0-9]$/i.test(token)) return token.toUpperCase();
+  if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(token)) return token.toUpperCase();
+  if (token.length === 1 && PUNCTUATION_KEYS.includes(token)) return token;
+  const named = NAMED_KEYS.find(key => key.toLowerCase() === token.toLowerCase());
+  if (!named) return null;
+  return NAMED_KEY_ALIASES[named.toLowerCase()] || named.toLowerCase();
+}
+
+function normalizeAccelerator(accelerator, platform = process.platform) {
+  // 返回规范形式（修饰键排序、别名归一）；语法不合法时返回 null
+  const tokens = String(accelerator || '').split('+').map(token => token.trim());
+  if (tokens.length === 0 || tokens.some(token => !token)) return null;
+
+  const key = getKeyName(tokens[tokens.length - 1]);
+  if (!key) return null;
+  const modifiers = new Set();
+  for (const token of tokens.slice(0, -1)) {
+    const modifier = getModifierName(token, platform);
+    if (!modifier || modifiers.has(modifier)) return null;
+    modifiers.add(modifier);
+  }
+  // 全局快捷键不带修饰键会吞掉所有应用里的这个键，只允许功能键
+  if (modifiers.size === 0 && !/^F\d+$/.test(key)) return null;
+  return [...[...modifiers].sort(), key].join('+');
+}
+
+function isValidAccelerator(accelerator, platform = process.platform) {
+  return normalizeAccelerator(accelerator, platform) !== null;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+function parseKeybindings(raw, platform = process.platform) {
+  const bindings = { ...DEFAULT_KEYBINDINGS };
+  const problems = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('keybindings.json 应为 { "动作": "快捷键" } 形式的对象，已使用默认快捷键');
+    return { bindings, problems };
+  }
+
+  Object.entries(raw).forEach(([action, value]) => {
+    // 以 // 开头的键是注释
+    if (action.startsWith('//')) return;
+    if (!(action in DEFAULT_KEYBINDINGS)) {
+      problems.push(`未知动作：${action}`);
+      return;
+    }
+    if (value === null || value === '') {
+      bindings[action] = null;
+      return;
+    }
+    if (typeof value !== 'string' || !isValidAccelerator(value, platform)) {
+      // 写错的绑定直接停用，不回退到默认值，避免注册用户本想替换掉的按键
+      problems.push(`「${getKeybindingLabel(action)}」的快捷键无效：${value}`);
+      bindings[action] = null;
+      return;
+    }
+    bindings[action] = value.trim();
+  });
+
+  // 同一按键绑定到多个动作时保留先出现的动作
+  const owners = new Map();
+  KEYBINDING_ACTIONS.forEach(({ id }) => {
+    if (!bindings[id]) return;
+    const normalized = normalizeAccelerator(bindings[id], platform);
+    if (owners.has(normalized)) {
+      problems.push(`快捷键冲突：${bindings[id]} 同时绑定了「${getKeybindingLabel(owners.get(normalized))}」与「${getKeybindingLabel(id)}」，已忽略后者`);
+      bindings[id] = null;
+      return;
+    }
+    owners.set(normalized, id);
+  });
+
+  return { bindings, problems };
+}
+
+module.exports = {
+  KEYBINDING_ACTIONS,
+  DEFAULT_KEYBINDINGS,
+  getKeybindingLabel,
+  normalizeAccelerator,
+  isValidAccelerator,
+  parseKeybindings,
+};
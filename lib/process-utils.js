@@ -0,0 +1,107 @@
+/**
+ * [INPUT]: child_process.spawn - 执行一次性外部命令与常驻的监听进程
+ * [OUTPUT]: runCommandWithTimeout - 带超时保护的命令执行，返回 stdout
+ * [OUTPUT]: spawnCommand / startLineProcess / getSpawnStats - 计数的 spawn、逐行读取 stdout 的常驻进程、启动以来的进程计数（按命令）
+ * [POS]: 不走脚本队列的探测类命令（lsappinfo / xprop 等）的公共执行器，超时即 SIGKILL，避免卡住轮询；所有外部进程都经 spawnCommand 启动，便于统计开销
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const { spawn } = require('child_process');
+
+// ============================================================================
+// SPAWN STATS - 启动以来创建的外部进程数，zwm stats 用来观察轮询开销
+// ============================================================================
+
+const spawnStats = { startedAt: Date.now(), total: 0, byCommand: {} };
+
+function spawnCommand(command, args, options) {
+  const child = spawn(command, args, options);
+  spawnStats.total += 1;
+  spawnStats.byCommand[command] = (spawnStats.byCommand[command] || 0) + 1;
+  return child;
+}
+
+function getSpawnStats() {
+  return { startedAt: spawnStats.startedAt, total: spawnStats.total, byCommand: { ...spawnStats.byCommand } };
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+function runCommandWithTimeout(command, args, options = {}) {
+  const { timeoutMs = 3000, cwd, env } = options;
+  return new Promise((resolve, reject) => {
+    const child = spawnCommand(command, args, { cwd, env });
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+    let settled = false;
+
+    // close + error 都可能触发，只结算一次
+    const settle = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      killed = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => settle(err));
+    child.on('close', (code) => {
+      if (killed) return settle(new Error('timeout'));
+      if (code !== 0) return settle(new Error(stderr || `${command} exit code ${code}`));
+      settle(null, stdout);
+    });
+  });
+}
+
+// 常驻进程：stdout 每行回调一次 onLine；进程自己退出（或启动失败）时回调一次 onExit(err)，stop() 主动结束时不回调
+function startLineProcess(command, args, options = {}) {
+  const { onLine, onExit, env } = options;
+  const child = spawnCommand(command, args, { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let buffer = '';
+  let stderr = '';
+  let stopped = false;
+  let exited = false;
+
+  const finish = (err) => {
+    if (exited) return;
+    exited = true;
+    if (!stopped && onExit) onExit(err);
+  };
+
+  child.stdout.setEncoding('utf-8');
+  child.stdout.on('data', (data) => {
+    buffer += data;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach((line) => {
+      if (!stopped && line.trim() && onLine) onLine(line);
+    });
+  });
+  // 只留最后一段 stderr 用于报错
+  child.stderr.on('data', (data) => { stderr = `${stderr}${data}`.slice(-2000); });
+  child.on('error', err => finish(err));
+  child.on('close', (code, signal) => {
+    finish(new Error(stderr.trim() || `${command} exited (${signal || code})`));
+  });
+
+  return {
+    pid: child.pid,
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      if (!exited) child.kill('SIGTERM');
+    },
+  };
+}
+
+module.exports = { runCommandWithTimeout, spawnCommand, startLineProcess, getSpawnStats };
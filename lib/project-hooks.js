@@ -0,0 +1,277 @@
+/**
+ * [INPUT]: lib/process-utils - spawnCommand（计入外部进程统计）
+ * [INPUT]: 标签的 hooks 字段（projects.json）- [{ on: open | activate | close, command, cwd?, env?, timeoutMs?, persistent? }]
+ * [OUTPUT]: HOOK_EVENTS / normalizeHooks / createHookRunner - 标签钩子的校验，以及按事件执行钩子的受监管子进程：超时结束整个进程组、常驻进程在窗口关闭时停止、退出前等它们结束（宽限期后 SIGKILL）、保留每次运行的输出并汇总为每个项目的状态
+ * [POS]: 项目钩子的执行层；何时触发（首次打开 / 激活 / 窗口关闭）由 main.js 的窗口跟踪与当前项目同步决定，编辑在 hooks.html
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnCommand } = require('./process-utils');
+
+// open 项目出现窗口时 / activate 每次成为当前项目 / close 窗口关闭后（先停掉该项目的常驻钩子）
+const HOOK_EVENTS = ['open', 'activate', 'close'];
+const DEFAULT_HOOK_TIMEOUT_MS = 60 * 1000;
+const MAX_HOOK_TIMEOUT_MS = 30 * 60 * 1000;
+// 常驻钩子收到 SIGTERM 后的退出宽限
+const STOP_GRACE_MS = 3000;
+const OUTPUT_LIMIT = 64 * 1024;
+const RUN_HISTORY_LIMIT = 20;
+
+// ============================================================================
+// NORMALIZE
+// ============================================================================
+
+function normalizeEnv(env) {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) return undefined;
+  const entries = Object.entries(env)
+    .filter(([key, value]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && value !== null && value !== undefined)
+    .map(([key, value]) => [key, String(value)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+function normalizeHook(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const command = typeof raw.command === 'string' ? raw.command.trim() : '';
+  if (!HOOK_EVENTS.includes(raw.on) || !command) return null;
+  const timeoutMs = Number(raw.timeoutMs);
+  return {
+    on: raw.on,
+    command,
+    cwd: typeof raw.cwd === 'string' && raw.cwd.trim() ? raw.cwd.trim() : undefined,
+    env: normalizeEnv(raw.env),
+    // 常驻钩子（开发服务器、SSH 隧道）没有超时
+    persistent: raw.persistent === true ? true : undefined,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? Math.min(MAX_HOOK_TIMEOUT_MS, Math.round(timeoutMs)) : undefined,
+  };
+}
+
+// 没有有效钩子时返回 undefined，projects.json 里不留空字段
+function normalizeHooks(hooks) {
+  const normalized = (Array.isArray(hooks) ? hooks : []).map(normalizeHook).filter(Boolean);
+  return normalized.length > 0 ? normalized : undefined;
+}
+
+// 相对路径以项目首个根目录为基准，支持 ~
+function resolveHookCwd(cwd, projectPath) {
+  const base = projectPath || os.homedir();
+  if (!cwd) return base;
+  if (cwd === '~' || cwd.startsWith('~/')) return path.join(os.homedir(), cwd.slice(1));
+  return path.resolve(base, cwd);
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+// options.onStatusChange(key, status) 项目状态变化：running 有钩子在运行 / failed 最近一次有钩子失败 / null
+// options.onRunsChange(key)           运行记录或输出变化（钩子窗口刷新用）
+// options.onRunFinished(run)          每次运行结束，记入任务日志
+function createHookRunner(options = {}) {
+  const {
+    onStatusChange = () => {},
+    onRunsChange = () => {},
+    onRunFinished = () => {},
+    shell = process.env.SHELL || '/bin/sh',
+  } = options;
+  const runsByKey = new Map();
+  const children = new Map();
+  const statuses = new Map();
+  let nextRunId = 1;
+
+  function getRuns(key) {
+    if (!runsByKey.has(key)) runsByKey.set(key, []);
+    return runsByKey.get(key);
+  }
+
+  // 每个钩子（事件 + 命令）只看最近一次运行
+  function computeStatus(key) {
+    const runs = getRuns(key);
+    if (runs.some(run => run.outcome === 'running')) return 'running';
+    const latest = new Map();
+    runs.forEach((run) => { latest.set(`${run.event}\n${run.command}`, run); });
+    return [...latest.values()].some(run => run.outcome === 'error' || run.outcome === 'timeout') ? 'failed' : null;
+  }
+
+  function updateStatus(key) {
+    const status = computeStatus(key);
+    if ((statuses.get(key) || null) !== status) {
+      if (status) statuses.set(key, status);
+      else statuses.delete(key);
+      onStatusChange(key, status);
+    }
+    onRunsChange(key);
+  }
+
+  function appendOutput(run, data) {
+    run.output = `${run.output}${data}`;
+    if (run.output.length > OUTPUT_LIMIT) run.output = `…${run.output.slice(-OUTPUT_LIMIT)}`;
+  }
+
+  // detached 让 sh 与它启动的命令（docker compose、npm ...）同属一个进程组，超时或停止时一起结束
+  function killGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (e) {
+      try { child.kill(signal); } catch (err) { /* 已退出 */ }
+    }
+  }
+
+  function startRun(key, project, hook, event) {
+    const run = {
+      id: nextRunId++,
+      event,
+      command: hook.command,
+      cwd: resolveHookCwd(hook.cwd, project.path),
+      persistent: Boolean(hook.persistent),
+      startedAt: Date.now(),
+      endedAt: null,
+      outcome: 'running',
+      exitCode: null,
+      output: '',
+    };
+    const runs = getRuns(key);
+    runs.push(run);
+    if (runs.length > RUN_HISTORY_LIMIT) runs.splice(0, runs.length - RUN_HISTORY_LIMIT);
+
+    const pending = new Promise((resolve) => {
+      let child = null;
+      let timer = null;
+      let killTimer = null;
+      let stopReason = null;
+      let settled = false;
+
+      const finish = (outcome, exitCode, message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        children.delete(run.id);
+        run.endedAt = Date.now();
+        run.outcome = outcome;
+        run.exitCode = exitCode;
+        if (message) appendOutput(run, `${run.output && !run.output.endsWith('\n') ? '\n' : ''}[${message}]\n`);
+        updateStatus(key);
+        onRunFinished({ key, ...run, output: undefined });
+        resolve(run);
+      };
+
+      if (!fs.existsSync(run.cwd)) {
+        finish('error', null, `工作目录不存在：${run.cwd}`);
+        return;
+      }
+      try {
+        child = spawnCommand(shell, ['-l', '-c', hook.command], {
+          cwd: run.cwd,
+          env: {
+            ...process.env,
+            ZWM_HOOK_EVENT: event,
+            ZWM_PROJECT_PATH: project.path || '',
+            ZWM_PROJECT_ROOTS: (project.roots || []).join('\n'),
+            ZWM_PROJECT_NAME: project.displayName || '',
+            ...hook.env,
+          },
+          stdio: ['ignore', 'pipe', 'pipe'],
+          detached: true,
+        });
+      } catch (err) {
+        finish('error', null, err.message);
+        return;
+      }
+
+      const stop = (reason) => {
+        if (settled || stopReason) return;
+        stopReason = reason;
+        if (reason === 'timeout') {
+          killGroup(child, 'SIGKILL');
+          return;
+        }
+        killGroup(child, 'SIGTERM');
+        killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), STOP_GRACE_MS);
+      };
+      const kill = () => killGroup(child, 'SIGKILL');
+      children.set(run.id, { key, persistent: run.persistent, stop, kill });
+      updateStatus(key);
+
+      if (!run.persistent) {
+        timer = setTimeout(() => stop('timeout'), hook.timeoutMs || DEFAULT_HOOK_TIMEOUT_MS);
+      }
+      child.stdout.setEncoding('utf-8');
+      child.stderr.setEncoding('utf-8');
+      child.stdout.on('data', (data) => { appendOutput(run, data); onRunsChange(key); });
+      child.stderr.on('data', (data) => { appendOutput(run, data); onRunsChange(key); });
+      child.on('error', err => finish('error', null, err.message));
+      child.on('close', (code, signal) => {
+        if (stopReason === 'timeout') return finish('timeout', null, `超时（${hook.timeoutMs || DEFAULT_HOOK_TIMEOUT_MS}ms），已结束`);
+        if (stopReason) return finish('stopped', null, '已停止');
+        if (code !== 0) return finish('error', code, `退出码 ${signal || code}`);
+        return finish('ok', 0, null);
+      });
+    });
+    // stopAll 等它退出用
+    if (children.has(run.id)) children.get(run.id).done = pending;
+    return pending;
+  }
+
+  // 同一事件的钩子按顺序执行：前一个结束（或常驻钩子启动）后再执行下一个，失败不影响后面的
+  // 常驻钩子已在运行时不重复启动
+  async function run(key, project, event) {
+    const hooks = (normalizeHooks(project && project.hooks) || []).filter(hook => hook.on === event);
+    for (const hook of hooks) {
+      const isRunning = hook.persistent && getRuns(key).some(item => (
+        item.outcome === 'running' && item.persistent && item.command === hook.command
+      ));
+      if (isRunning) continue;
+      const pending = startRun(key, project, hook, event);
+      if (!hook.persistent) await pending;
+    }
+  }
+
+  function stopRun(runId) {
+    const child = children.get(Number(runId));
+    if (child) child.stop('stopped');
+    return Boolean(child);
+  }
+
+  // 窗口关闭时停掉该项目的常驻钩子
+  function stopPersistent(key) {
+    children.forEach((child) => {
+      if (child.key === key && child.persistent) child.stop('stopped');
+    });
+  }
+
+  function hasRunning() {
+    return children.size > 0;
+  }
+
+  // 退出前停掉全部：返回的 Promise 在它们都退出后完成；子进程占着输出管道不放时最多多等 1 秒
+  function stopAll() {
+    const pending = [...children.values()].map((child) => {
+      child.stop('stopped');
+      return child.done;
+    });
+    if (pending.length === 0) return Promise.resolve();
+    let timer = null;
+    const timeout = new Promise((resolve) => { timer = setTimeout(resolve, STOP_GRACE_MS + 1000); });
+    return Promise.race([Promise.all(pending), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // 进程马上要退出、等不到宽限期时直接结束剩下的进程组，免得常驻钩子成为孤儿进程
+  function killAll() {
+    children.forEach(child => child.kill());
+  }
+
+  function getStatuses() {
+    return Object.fromEntries(statuses);
+  }
+
+  function getRunSnapshots(key) {
+    return getRuns(key).map(item => ({ ...item }));
+  }
+
+  return { run, stopRun, stopPersistent, stopAll, killAll, hasRunning, getStatuses, getRuns: getRunSnapshots };
+}
+
+module.exports = { HOOK_EVENTS, normalizeHooks, createHookRunner };
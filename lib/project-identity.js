@@ -0,0 +1,106 @@
+/**
+ * [INPUT]: lib/zed-workspaces - 工作区标题规则（根目录名拼接）与窗口标题解析
+ * [OUTPUT]: recordBarActivation / getLastSeen / resolveWindowRoots / hasAmbiguousTitle / findWindowTarget
+ * [POS]: 同名项目的身份解析层：综合 Zed 数据库时间顺序、窗口标题（z 序）与标签栏自己打开 / 激活过的工作区，
+ *        推断每个打开窗口背后的工作区，避免 ~/work/api 与 ~/oss/api 互相串台
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const {
+  normalizeRoots,
+  getWorkspaceTitle,
+  getProjectLabelFromWindowName,
+  findWorkspaceByLabel,
+} = require('./zed-workspaces');
+
+const BAR_ACTIVATION_LIMIT = 200;
+
+// rootsKey -> 最近一次由标签栏打开 / 激活的时间
+const barActivations = new Map();
+
+function getRootsKey(roots) {
+  return normalizeRoots(roots).join('\n');
+}
+
+function recordBarActivation(roots) {
+  const key = getRootsKey(roots);
+  if (!key) return;
+  barActivations.delete(key);
+  barActivations.set(key, Date.now());
+  // Map 保持插入顺序，超出上限时丢弃最旧的记录
+  while (barActivations.size > BAR_ACTIVATION_LIMIT) {
+    barActivations.delete(barActivations.keys().next().value);
+  }
+}
+
+function getLastSeen(workspace) {
+  return Math.max(workspace.timestamp || 0, barActivations.get(getRootsKey(workspace.roots)) || 0);
+}
+
+function getCandidatesForLabel(workspaces, label) {
+  // 标题一致的工作区按"最近出现"排序：Zed 数据库时间戳与标签栏激活时间取较新者
+  return (Array.isArray(workspaces) ? workspaces : [])
+    .filter(workspace => getWorkspaceTitle(workspace.roots) === label)
+    .sort((a, b) => getLastSeen(b) - getLastSeen(a));
+}
+
+function resolveWindowRoots(windows, workspaces) {
+  // windows 为 z 序（前台在前）：同标题的第 n 个窗口对应第 n 个最近出现的工作区
+  const usedByLabel = new Map();
+  return (Array.isArray(windows) ? windows : []).map((window) => {
+    const label = getProjectLabelFromWindowName(window.title);
+    const occurrenceKey = `${window.channel || ''}\n${label}`;
+    const occurrence = (usedByLabel.get(occurrenceKey) || 0) + 1;
+    usedByLabel.set(occurrenceKey, occurrence);
+    // 不同通道（Stable / Preview）各有一套工作区，只在窗口所属通道内匹配
+    const scoped = window.channel
+      ? (Array.isArray(workspaces) ? workspaces : []).filter(w => !w.channel || w.channel === window.channel)
+      : workspaces;
+    const candidates = getCandidatesForLabel(scoped, label);
+    // 标题完全一致的工作区都没有时（数据库未及时刷新等），按首个根目录名兜底
+    const candidate = candidates.length > 0
+      ? candidates[occurrence - 1]
+      : (occurrence === 1 ? findWorkspaceByLabel(scoped, label) : null);
+    return {
+      ...window,
+      label,
+      occurrence,
+      roots: candidate ? candidate.roots : [],
+    };
+  });
+}
+
+function hasAmbiguousTitle(roots, workspaces) {
+  const key = getRootsKey(roots);
+  const title = getWorkspaceTitle(roots);
+  return (Array.isArray(workspaces) ? workspaces : []).some(workspace => (
+    getRootsKey(workspace.roots) !== key && getWorkspaceTitle(workspace.roots) === title
+  ));
+}
+
+function findWindowTarget(roots, windows, workspaces) {
+  // 返回 { target, sameTitleCount }：target 可直接交给窗口后端 raiseWindow；未打开时为 null
+  const key = getRootsKey(roots);
+  const title = getWorkspaceTitle(roots);
+  const resolved = resolveWindowRoots(windows, workspaces);
+  const sameTitleCount = resolved.filter(window => window.label === title).length;
+  const match = resolved.find(window => window.label === title && getRootsKey(window.roots) === key);
+  if (!match) return { target: null, sameTitleCount };
+  return {
+    target: {
+      id: match.id || null,
+      title,
+      titlePrefix: `${title} — `,
+      occurrence: match.occurrence,
+    },
+    sameTitleCount,
+  };
+}
+
+module.exports = {
+  recordBarActivation,
+  getLastSeen,
+  resolveWindowRoots,
+  hasAmbiguousTitle,
+  findWindowTarget,
+};
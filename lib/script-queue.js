@@ -0,0 +1,150 @@
+/**
+ * [INPUT]: lib/process-utils - spawnCommand（计数的 spawn）执行 osascript / wmctrl 等外部命令
+ * [OUTPUT]: 双通道命令队列：enqueueCommand / enqueueCommandPromise / removeQueuedCommandsByTag / configureScriptQueue / getScriptQueueState
+ * [POS]: 各窗口控制后端共用的串行执行器，用户操作优先、可丢弃的轮询任务只替换同 tag 的旧任务，避免外部命令并发堆积；每个任务结束（或被丢弃）时回调 onJob，供诊断日志记录
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const { spawnCommand } = require('./process-utils');
+
+// ============================================================================
+// STATE - 双通道队列，用户操作优先，轮询可丢弃
+// ============================================================================
+
+const userQueue = [];   // 用户操作：不可丢弃，优先执行
+const pollQueue = [];   // 轮询任务：可丢弃的任务替换队列中同 tag 的旧任务
+let isCommandRunning = false;
+let runningTask = null;
+let commandTimeoutMs = 3000;
+// 任务记录回调：{ command, tag, priority, waitMs, runMs, outcome: ok | error | timeout | dropped, error }
+let onJob = null;
+
+function configureScriptQueue(options = {}) {
+  if (Number.isFinite(options.timeoutMs) && options.timeoutMs > 0) {
+    commandTimeoutMs = options.timeoutMs;
+  }
+  if (typeof options.onJob === 'function') onJob = options.onJob;
+}
+
+function reportJob(entry, outcome, startedAt, error) {
+  if (!onJob) return;
+  const now = Date.now();
+  try {
+    onJob({
+      command: entry.command,
+      tag: entry.tag,
+      priority: entry.priority,
+      waitMs: (startedAt || now) - entry.enqueuedAt,
+      runMs: startedAt ? now - startedAt : null,
+      outcome,
+      error: error ? String(error.message || error).trim().slice(0, 500) : null,
+    });
+  } catch (e) {
+    console.error('Failed to record script job:', e);
+  }
+}
+
+// 被移除的任务不会执行，回调也不会触发（与原行为一致），只记一条 dropped
+function dropQueuedCommands(queue, predicate) {
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (predicate(queue[i])) reportJob(queue.splice(i, 1)[0], 'dropped', null);
+  }
+}
+
+function removeQueuedCommandsByTag(tag) {
+  if (!tag) return;
+  dropQueuedCommands(userQueue, entry => entry.tag === tag);
+  dropQueuedCommands(pollQueue, entry => entry.tag === tag);
+}
+
+// 诊断窗口用：正在执行的任务与两条队列的深度
+function getScriptQueueState() {
+  const now = Date.now();
+  return {
+    timeoutMs: commandTimeoutMs,
+    running: runningTask ? {
+      command: runningTask.command,
+      tag: runningTask.tag,
+      priority: runningTask.priority,
+      runningMs: now - runningTask.startedAt,
+    } : null,
+    userQueue: userQueue.length,
+    pollQueue: pollQueue.length,
+    oldestWaitMs: [...userQueue, ...pollQueue].reduce((max, entry) => Math.max(max, now - entry.enqueuedAt), 0),
+  };
+}
+
+// ============================================================================
+// EXECUTOR
+// ============================================================================
+
+function enqueueCommand(command, args, callback, options = {}) {
+  const { priority = 'user', droppable = false, prepend = false, tag = null, replaceTag = false } = options;
+  if (replaceTag && tag) removeQueuedCommandsByTag(tag);
+  const entry = { command, args, callback, tag, priority, enqueuedAt: Date.now() };
+  if (priority === 'poll') {
+    // 只替换同一种轮询：别的轮询（如后台列窗口）被丢掉后回调不会触发，等它的一方会一直挂着
+    if (droppable) dropQueuedCommands(pollQueue, queued => queued.tag === tag);
+    pollQueue.push(entry);
+  } else if (prepend) {
+    userQueue.unshift(entry);
+  } else {
+    userQueue.push(entry);
+  }
+  processCommandQueue();
+}
+
+function enqueueCommandPromise(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    enqueueCommand(command, args, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(stdout || '');
+    }, options);
+  });
+}
+
+function processCommandQueue() {
+  if (isCommandRunning) return;
+  // 用户队列优先
+  const task = userQueue.shift() || pollQueue.shift();
+  if (!task) return;
+  isCommandRunning = true;
+  const { command, args, callback } = task;
+  const startedAt = Date.now();
+  runningTask = { ...task, startedAt };
+  const child = spawnCommand(command, args);
+  let stdout = '';
+  let stderr = '';
+  let killed = false;
+  let callbackCalled = false;
+  // 安全回调：close + error 都可能触发，只调用一次
+  function safeCallback(err, result) {
+    if (callbackCalled) return;
+    callbackCalled = true;
+    clearTimeout(timeout);
+    isCommandRunning = false;
+    runningTask = null;
+    reportJob(task, killed ? 'timeout' : (err ? 'error' : 'ok'), startedAt, killed ? null : err);
+    callback && callback(err, result);
+    setImmediate(processCommandQueue);
+  }
+  const timeout = setTimeout(() => { killed = true; child.kill('SIGKILL'); }, commandTimeoutMs);
+  child.stdout.on('data', (data) => { stdout += data; });
+  child.stderr.on('data', (data) => { stderr += data; });
+  child.on('close', (code) => {
+    if (killed) return safeCallback(new Error('timeout'), '');
+    if (code !== 0) return safeCallback(new Error(stderr), '');
+    safeCallback(null, stdout);
+  });
+  child.on('error', (err) => {
+    safeCallback(err, '');
+  });
+}
+
+module.exports = {
+  configureScriptQueue,
+  enqueueCommand,
+  enqueueCommandPromise,
+  removeQueuedCommandsByTag,
+  getScriptQueueState,
+};
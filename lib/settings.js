@@ -0,0 +1,93 @@
+/**
+ * [INPUT]: lib/window-layout - 默认窗口布局可选的策略
+ * [OUTPUT]: SETTING_FIELDS / DEFAULT_SETTINGS / BAR_DOCKS / normalizeSettings / isVerticalDock
+ * [POS]: settings.json 各项的唯一定义处：取值范围、默认值与偏好设置窗口里的分组和文案；读写与生效由 main.js 负责
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const { WINDOW_LAYOUT_POLICIES } = require('./window-layout');
+
+const BAR_DOCKS = ['top', 'bottom', 'left', 'right'];
+const WINDOW_LAYOUT_LABELS = { off: '不调整', nudge: '只避开标签栏', maximize: '铺满', remember: '记住位置' };
+
+// ============================================================================
+// FIELDS - type: select | boolean | number；number 按 min / max 截断、按 step 取整
+// ============================================================================
+
+const SETTING_FIELDS = [
+  {
+    key: 'dock', section: '标签栏', label: '停靠位置', type: 'select', default: 'top',
+    options: [['top', '顶部'], ['bottom', '底部'], ['left', '左侧'], ['right', '右侧']],
+  },
+  { key: 'barHeight', section: '标签栏', label: '高度（顶部 / 底部）', type: 'number', min: 28, max: 64, step: 1, unit: 'px', default: 36 },
+  { key: 'barWidth', section: '标签栏', label: '宽度（左侧 / 右侧）', type: 'number', min: 120, max: 400, step: 10, unit: 'px', default: 200 },
+  { key: 'fontScale', section: '标签栏', label: '字体缩放', type: 'number', min: 0.8, max: 1.5, step: 0.05, unit: '×', default: 1 },
+  { key: 'showShortcutHints', section: '标签栏', label: '显示快捷键提示', type: 'boolean', default: true },
+  { key: 'showActiveBadge', section: '标签栏', label: '显示「当前」徽标', type: 'boolean', default: true },
+  { key: 'toastDurationMs', section: '标签栏', label: '提示停留时间', type: 'number', min: 1000, max: 15000, step: 500, unit: 'ms', default: 3000 },
+
+  { key: 'restoreSessionOnLaunch', section: '行为', label: '启动时恢复上次会话', type: 'boolean', default: false },
+  {
+    // off 不处理 / fade 淡化久未使用的标签 / sort 按最近使用排序显示
+    key: 'tabRecency', section: '行为', label: '标签按最近使用', type: 'select', default: 'off',
+    options: [['off', '关闭'], ['fade', '淡化久未使用'], ['sort', '按最近排序']],
+  },
+  {
+    // Zed 进入前台时的窗口布局，标签可单独覆盖（见 lib/window-layout）
+    key: 'windowLayout', section: '行为', label: '默认窗口布局', type: 'select', default: 'maximize',
+    options: WINDOW_LAYOUT_POLICIES.map(policy => [policy, WINDOW_LAYOUT_LABELS[policy]]),
+  },
+  // 出现新的项目窗口时自动加为标签；自动加的标签右键「固定标签」后不再被自动移除
+  { key: 'autoPinNewWindows', section: '行为', label: '自动添加新打开的项目窗口', type: 'boolean', default: false },
+  { key: 'autoRemoveClosedTabs', section: '行为', label: '窗口关闭后移除自动添加的标签', type: 'boolean', default: false },
+
+  // 只记在本机 userData/activity 下（见 lib/activity-log）
+  { key: 'trackActivity', section: '活动记录', label: '记录各项目的使用时长', type: 'boolean', default: false },
+  { key: 'activityIdleMinutes', section: '活动记录', label: '无操作多久算离开', type: 'number', min: 1, max: 60, step: 1, unit: '分钟', default: 5 },
+
+  { key: 'pollIntervalMs', section: '轮询与超时', label: '前台检测间隔', type: 'number', min: 250, max: 5000, step: 250, unit: 'ms', default: 1000 },
+  { key: 'scriptTimeoutMs', section: '轮询与超时', label: '窗口命令超时', type: 'number', min: 1000, max: 15000, step: 500, unit: 'ms', default: 3000 },
+  { key: 'workspaceCacheTtlMs', section: '轮询与超时', label: 'Zed 工作区缓存时长', type: 'number', min: 5000, max: 600000, step: 5000, unit: 'ms', default: 60000 },
+  { key: 'adjustDebounceMs', section: '轮询与超时', label: '窗口调整防抖', type: 'number', min: 0, max: 10000, step: 100, unit: 'ms', default: 1500 },
+];
+
+const DEFAULT_SETTINGS = Object.fromEntries(SETTING_FIELDS.map(field => [field.key, field.default]));
+
+// ============================================================================
+// NORMALIZE
+// ============================================================================
+
+function normalizeNumber(field, value) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return field.default;
+  const stepped = Math.round(number / field.step) * field.step;
+  // 消掉 0.05 这类步长带来的浮点尾数
+  return Number(Math.min(field.max, Math.max(field.min, stepped)).toFixed(2));
+}
+
+function normalizeSettingValue(field, value) {
+  if (field.type === 'boolean') return Boolean(value);
+  if (field.type === 'select') return field.options.some(([option]) => option === value) ? value : field.default;
+  return normalizeNumber(field, value);
+}
+
+// raw 中出现的字段逐项校验，其余沿用 base；未知字段丢弃
+function normalizeSettings(raw, base = DEFAULT_SETTINGS) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(SETTING_FIELDS.map(field => [
+    field.key,
+    field.key in source ? normalizeSettingValue(field, source[field.key]) : base[field.key],
+  ]));
+}
+
+function isVerticalDock(dock) {
+  return dock === 'left' || dock === 'right';
+}
+
+module.exports = {
+  SETTING_FIELDS,
+  DEFAULT_SETTINGS,
+  BAR_DOCKS,
+  normalizeSettings,
+  isVerticalDock,
+};
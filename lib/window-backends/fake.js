@@ -0,0 +1,204 @@
+/**
+ * [INPUT]: 可选 JSON 场景文件（ZWM_FAKE_BACKEND_STATE）- 外部脚本改写即可驱动前台应用与窗口列表
+ * [OUTPUT]: createFakeBackend - 纯内存窗口控制后端，接口与 macOS / X11 后端一致，并记录每次调用
+ * [POS]: window-backends 的可编程替身，无需 Mac 即可走通 IPC 流程（激活、打开、前台同步与前台变化推送、窗口布局；场景里的窗口可带 bounds）
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+const { getZedChannel, getChannelIdFromMacAppName } = require('../zed-channels');
+
+function normalizeWindows(windows) {
+  return (Array.isArray(windows) ? windows : [])
+    .filter(w => w && w.title)
+    .map((w, index) => ({
+      id: w.id || `fake-${index + 1}`,
+      title: String(w.title),
+      channel: getZedChannel(w.channel).id,
+      bounds: w.bounds ? { ...w.bounds } : null,
+    }));
+}
+
+function createFakeBackend(options = {}) {
+  const { scenarioPath = null } = options;
+  // windows 按 z 序排列，第 0 个即前台窗口
+  const state = {
+    frontApp: 'Zed',
+    frontPid: 1,
+    windows: [],
+  };
+  const calls = [];
+  let nextWindowId = 1;
+  let scenarioMtimeMs = 0;
+  // watchFrontState 的订阅者：状态变化后推送，模拟常驻监听进程
+  const watchers = new Set();
+
+  function record(method, args) {
+    calls.push({ method, args, at: Date.now() });
+  }
+
+  function setState(partial = {}) {
+    if (typeof partial.frontApp === 'string') state.frontApp = partial.frontApp;
+    if (Number.isFinite(partial.frontPid)) state.frontPid = partial.frontPid;
+    if (partial.windows) {
+      state.windows = normalizeWindows(partial.windows);
+      nextWindowId = state.windows.length + 1;
+    }
+    notifyWatchers();
+  }
+
+  function readFrontState() {
+    const channel = getChannelIdFromMacAppName(state.frontApp);
+    const isZed = Boolean(channel);
+    const front = state.windows.find(w => w.channel === channel);
+    return {
+      frontApp: state.frontApp,
+      frontPid: state.frontPid,
+      frontWindowName: isZed && front ? front.title : '',
+      frontWindowBounds: isZed && front && front.bounds ? { ...front.bounds } : null,
+      isZed,
+      channel,
+    };
+  }
+
+  function notifyWatchers() {
+    if (watchers.size === 0) return;
+    const frontState = readFrontState();
+    watchers.forEach(onState => onState({ ...frontState }, Date.now()));
+  }
+
+  function reloadScenarioIfChanged() {
+    if (!scenarioPath) return;
+    try {
+      const { mtimeMs } = fs.statSync(scenarioPath);
+      if (mtimeMs === scenarioMtimeMs) return;
+      scenarioMtimeMs = mtimeMs;
+      setState(JSON.parse(fs.readFileSync(scenarioPath, 'utf-8')));
+    } catch (e) {
+      console.error('Failed to load fake backend scenario:', e);
+    }
+  }
+
+  function addWindow(title, channelId) {
+    const entry = { id: `fake-${nextWindowId++}`, title, channel: getZedChannel(channelId).id, bounds: null };
+    state.windows.unshift(entry);
+    notifyWatchers();
+    return entry;
+  }
+
+  function closeWindow(id) {
+    state.windows = state.windows.filter(w => w.id !== id);
+    notifyWatchers();
+  }
+
+  function bringToFront(entry) {
+    state.windows = [entry, ...state.windows.filter(w => w !== entry)];
+    state.frontApp = getZedChannel(entry.channel).macAppName;
+    notifyWatchers();
+  }
+
+  function getFrontState() {
+    reloadScenarioIfChanged();
+    record('getFrontState', []);
+    return Promise.resolve(readFrontState());
+  }
+
+  function watchFrontState(watchOptions = {}) {
+    const { onState } = watchOptions;
+    record('watchFrontState', []);
+    watchers.add(onState);
+    // 场景文件由外部脚本改写，按修改时间检查（不产生进程）
+    const scenarioTimer = scenarioPath ? setInterval(reloadScenarioIfChanged, 500) : null;
+    onState(readFrontState(), Date.now());
+    return {
+      stop() {
+        watchers.delete(onState);
+        if (scenarioTimer) clearInterval(scenarioTimer);
+      },
+    };
+  }
+
+  function listWindows(channelId) {
+    reloadScenarioIfChanged();
+    record('listWindows', [channelId]);
+    const channel = getZedChannel(channelId).id;
+    return Promise.resolve(state.windows.filter(w => w.channel === channel).map(w => ({ ...w })));
+  }
+
+  function findWindow(target) {
+    let entry = null;
+    if (target.id) {
+      entry = state.windows.find(w => w.id === target.id) || null;
+    } else if (target.title) {
+      const channel = getZedChannel(target.channel).id;
+      const matches = state.windows.filter(w => w.channel === channel && (
+        w.title === target.title || (target.titlePrefix && w.title.startsWith(target.titlePrefix))
+      ));
+      entry = matches[(Number(target.occurrence) || 1) - 1] || null;
+    }
+    return entry;
+  }
+
+  function raiseWindow(target = {}) {
+    record('raiseWindow', [target]);
+    const entry = findWindow(target);
+    if (!entry) return Promise.resolve(false);
+    bringToFront(entry);
+    return Promise.resolve(true);
+  }
+
+  function closeWindowByTarget(target = {}) {
+    record('closeWindow', [target]);
+    const entry = findWindow(target);
+    if (!entry) return Promise.resolve(false);
+    closeWindow(entry.id);
+    return Promise.resolve(true);
+  }
+
+  function setWindowFrames(placements, channelId) {
+    record('setWindowFrames', [placements, channelId]);
+    (Array.isArray(placements) ? placements : []).forEach(({ target, frame }) => {
+      const entry = findWindow({ ...target, channel: channelId });
+      if (entry) entry.bounds = { ...frame };
+    });
+    notifyWatchers();
+  }
+
+  function openPaths(paths, channelId, options = {}) {
+    const targets = (paths || []).filter(Boolean);
+    record('openPaths', [targets, channelId, options]);
+    if (targets.length === 0) return Promise.resolve(false);
+    // 与 Zed 一致：标题为各根目录名以 ", " 拼接；同通道已打开则直接前置
+    const channel = getZedChannel(channelId).id;
+    const title = targets.map(p => path.basename(p)).join(', ');
+    const existing = state.windows.find(w => (
+      w.channel === channel && (w.title === title || w.title.startsWith(`${title} — `))
+    ));
+    bringToFront(existing || addWindow(title, channel));
+    return Promise.resolve(true);
+  }
+
+  reloadScenarioIfChanged();
+
+  return {
+    name: 'fake',
+    getFrontState,
+    watchFrontState,
+    listWindows,
+    raiseWindow,
+    setWindowFrames,
+    openPaths,
+    closeWindow: closeWindowByTarget,
+    // 替身不执行外部命令，没有超时可调
+    setTimeoutMs: () => {},
+    // 测试脚本用的控制面
+    calls,
+    getState: () => ({ ...state, windows: state.windows.map(w => ({ ...w, bounds: w.bounds ? { ...w.bounds } : null })) }),
+    setState,
+    addWindow,
+    removeWindow: closeWindow,
+  };
+}
+
+module.exports = { createFakeBackend };
@@ -0,0 +1,74 @@
+/**
+ * [INPUT]: ./macos, ./x11, ./fake - 各平台窗口控制实现
+ * [INPUT]: ZWM_WINDOW_BACKEND / ZWM_FAKE_BACKEND_STATE 环境变量 - 强制选择后端 / 指定替身场景文件
+ * [OUTPUT]: createWindowBackend - 按平台（或环境变量）创建统一的窗口控制后端
+ * [POS]: 主进程与操作系统窗口管理之间的唯一边界，main.js 只依赖下方约定的接口
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+
+// ============================================================================
+// BACKEND INTERFACE
+// ============================================================================
+//
+// channel 参数均为 lib/zed-channels 中的通道 id（stable / preview / nightly / dev），缺省为 stable
+//
+// 坐标均为屏幕坐标（与 Electron screen 模块一致，主屏左上角为原点）；
+// usesDevicePixels 为 true 的后端（X11）使用物理像素，由 main.js 按缩放比换算
+//
+// name                          'macos' | 'x11' | 'fake'
+// getFrontState()               Promise<{ frontApp, frontPid, frontWindowName, frontWindowBounds, isZed, channel }>
+//                               任一通道的 Zed 位于前台时 isZed 为 true，channel 为其通道 id
+//                               frontWindowName 仅在 Zed 位于前台时有值
+//                               frontWindowBounds 为前台 Zed 窗口的 { x, y, width, height }，取不到时为 null
+// watchFrontState({ onState, onExit, intervalMs })
+//                               可选：启动常驻监听进程，前台应用 / 窗口变化时回调 onState(frontState, at)，
+//                               frontState 同 getFrontState，at 为观察到变化的时间戳（ms）；启动时先推送一次当前状态
+//                               intervalMs 为 Zed 在前台时检查窗口名与位置的间隔（只能轮询的部分）
+//                               监听进程意外退出时回调 onExit(err)；返回 { stop }，不支持时返回 null
+// listWindows(channel, options) Promise<Array<{ id, title, channel, bounds }>>，按 z 序（前台在前）；
+//                               id 为平台窗口标识，无法获取时为 null；bounds 为 { x, y, width, height }，取不到时为 null
+//                               options.background 为 true 时经脚本队列的轮询通道执行，不挤占用户操作
+// raiseWindow(target)           Promise<boolean>，target = { id?, title, titlePrefix?, occurrence?, channel? }
+//                               有 id 时按 id 激活，否则激活第 occurrence 个（从 1 开始）
+//                               标题等于 title 或以 titlePrefix 开头的窗口
+// setWindowFrames(placements, channel)
+//                               placements = [{ target, frame }]：把 target（同 raiseWindow）指向的窗口移到
+//                               frame = { x, y, width, height }；由 lib/window-layout 按布局策略算出，进入队列不等待
+// openPaths(paths, channel, options)
+//                               Promise<boolean>，用指定通道的 Zed 打开一个或多个路径；
+//                               options.throttled 为 true 时经脚本队列的用户通道排队执行
+// closeWindow(target)           Promise<boolean>，target 同 raiseWindow；走 Zed 自己的关闭流程，
+//                               未保存内容仍会弹出确认
+// setTimeoutMs(ms)              调整外部命令的超时（偏好设置修改后立即生效）
+
+const { createMacosBackend } = require('./macos');
+const { createX11Backend } = require('./x11');
+const { createFakeBackend } = require('./fake');
+
+function resolveBackendName(platform, env) {
+  const forced = String(env.ZWM_WINDOW_BACKEND || '').trim().toLowerCase();
+  if (forced) return forced;
+  if (platform === 'darwin') return 'macos';
+  if (platform === 'linux') return 'x11';
+  return 'fake';
+}
+
+function createWindowBackend(options = {}) {
+  const { platform = process.platform, env = process.env, timeoutMs } = options;
+  const name = resolveBackendName(platform, env);
+
+  switch (name) {
+    case 'macos':
+      return createMacosBackend({ timeoutMs });
+    case 'x11':
+      return createX11Backend({ timeoutMs });
+    case 'fake':
+      return createFakeBackend({ scenarioPath: env.ZWM_FAKE_BACKEND_STATE || null });
+    default:
+      console.error(`Unknown window backend "${name}", falling back to fake`);
+      return createFakeBackend({ scenarioPath: env.ZWM_FAKE_BACKEND_STATE || null });
+  }
+}
+
+module.exports = { createWindowBackend };
@@ -0,0 +1,309 @@
+/**
+ * [INPUT]: lib/script-queue - osascript 双通道队列（System Events 控制 Zed 窗口）
+ * [INPUT]: lib/process-utils - lsappinfo 真实前台应用探测（带超时）；常驻 JXA 进程（NSWorkspace + System Events）推送前台变化
+ * [INPUT]: lib/zed-channels - 各发布通道的进程名（Zed / Zed Preview / Zed Nightly / Zed Dev）
+ * [OUTPUT]: createMacosBackend - macOS 窗口控制后端（列窗口及其位置、前台应用/窗口与前台变化监听、激活 / 关闭窗口、逐个设置窗口位置、打开路径）；parseFrontWatchLine 解析监听输出
+ * [POS]: window-backends 的 macOS 实现，保持原 AppleScript + lsappinfo 行为，规避 Electron 悬浮窗误报前台
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const { enqueueCommand, enqueueCommandPromise } = require('../script-queue');
+const { runCommandWithTimeout, spawnCommand, startLineProcess } = require('../process-utils');
+const { ZED_CHANNELS, getZedChannel, getChannelIdFromMacAppName } = require('../zed-channels');
+
+const LSAPPINFO_FRONT_COMMAND = 'lsappinfo info "$(lsappinfo front | tr -d \'\\n\')"';
+// 监听进程查询前台应用的间隔：NSWorkspace 在进程内读取，不产生新进程
+const FRONT_WATCH_APP_CHECK_MS = 200;
+
+// 常驻 JXA：前台应用每 200ms 读一次（NSWorkspace，与 lsappinfo 一样不会误报 Electron 悬浮窗），
+// Zed 在前台时每 windowCheckMs 经 System Events 读一次前台窗口名与位置；有变化才输出一行 JSON
+// argv: [Zed 各通道进程名 JSON, 前台应用检查间隔 ms, 窗口检查间隔 ms]
+const FRONT_WATCH_SCRIPT = `ObjC.import('AppKit');
+function run(argv) {
+  const zedApps = JSON.parse(argv[0]);
+  const appCheckSeconds = Number(argv[1]) / 1000;
+  const windowCheckMs = Number(argv[2]);
+  const systemEvents = Application('System Events');
+  const stdout = $.NSFileHandle.fileHandleWithStandardOutput;
+  let front = null;
+  let lastLine = '';
+  let lastWindowCheck = 0;
+  while (true) {
+    const app = $.NSWorkspace.sharedWorkspace.frontmostApplication;
+    const name = app.isNil() ? '' : app.localizedName.js;
+    const pid = app.isNil() ? 0 : app.processIdentifier;
+    const now = Date.now();
+    const appChanged = !front || front.app !== name || front.pid !== pid;
+    let windowName = appChanged ? '' : front.window;
+    let bounds = appChanged ? null : front.bounds;
+    if (zedApps.indexOf(name) !== -1 && (appChanged || now - lastWindowCheck >= windowCheckMs)) {
+      lastWindowCheck = now;
+      windowName = '';
+      bounds = null;
+      try {
+        const w = systemEvents.processes.byName(name).windows[0];
+        windowName = w.name();
+        const position = w.position();
+        const size = w.size();
+        bounds = [position[0], position[1], size[0], size[1]];
+      } catch (e) {}
+    }
+    front = { app: name, pid: pid, window: windowName, bounds: bounds };
+    const line = JSON.stringify(front);
+    if (line !== lastLine) {
+      lastLine = line;
+      const output = JSON.stringify(Object.assign({ at: now }, front)) + '\\n';
+      stdout.writeData($(output).dataUsingEncoding($.NSUTF8StringEncoding));
+    }
+    $.NSRunLoop.currentRunLoop.runUntilDate($.NSDate.dateWithTimeIntervalSinceNow(appCheckSeconds));
+  }
+}`;
+
+function toAppleScriptString(value) {
+  const normalized = String(value || '');
+  const escaped = normalized
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"');
+  return `"${escaped}"`;
+}
+
+function runAppleScript(script, callback, options = {}) {
+  enqueueCommand('osascript', ['-e', script], callback, options);
+}
+
+function runAppleScriptPromise(script, options = {}) {
+  return enqueueCommandPromise('osascript', ['-e', script], options);
+}
+
+function getProcessName(channelId) {
+  return toAppleScriptString(getZedChannel(channelId).macAppName);
+}
+
+function parseWindowLine(line) {
+  const match = line.match(/^(-?\d+),(-?\d+),(\d+),(\d+)\t(.*)$/);
+  if (!match) return { title: line.trim(), bounds: null };
+  const [x, y, width, height] = match.slice(1, 5).map(Number);
+  return { title: match[5].trim(), bounds: { x, y, width, height } };
+}
+
+function parseFrontWindowOutput(output) {
+  const lines = String(output || '').trim().split('\n');
+  const match = lines.length > 1 ? lines[lines.length - 1].trim().match(/^(-?[\d.]+),(-?[\d.]+),([\d.]+),([\d.]+)$/) : null;
+  if (!match) return { name: lines.join('\n').trim(), bounds: null };
+  const [x, y, width, height] = match.slice(1).map(Number);
+  return { name: lines.slice(0, -1).join('\n').trim(), bounds: { x, y, width, height } };
+}
+
+// 监听进程的一行输出 -> { at, frontState }；at 为监听进程观察到变化的时间
+function parseFrontWatchLine(line) {
+  let data = null;
+  try {
+    data = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data.app !== 'string') return null;
+  const channel = getChannelIdFromMacAppName(data.app);
+  const isZed = Boolean(channel);
+  const bounds = Array.isArray(data.bounds) && data.bounds.length === 4 && data.bounds.every(Number.isFinite)
+    ? { x: data.bounds[0], y: data.bounds[1], width: data.bounds[2], height: data.bounds[3] }
+    : null;
+  return {
+    at: Number(data.at) || Date.now(),
+    frontState: {
+      frontApp: data.app,
+      frontPid: Number(data.pid) || 0,
+      frontWindowName: isZed ? String(data.window || '') : '',
+      frontWindowBounds: isZed ? bounds : null,
+      isZed,
+      channel,
+    },
+  };
+}
+
+function createMacosBackend(options = {}) {
+  let timeoutMs = options.timeoutMs || 3000;
+
+  function getFrontState() {
+    return runCommandWithTimeout('sh', ['-lc', LSAPPINFO_FRONT_COMMAND], { timeoutMs })
+      .then((stdout) => {
+        const match = stdout.match(/^"([^"]+)".*?\bpid = (\d+)/ms);
+        if (!match) throw new Error('invalid lsappinfo output');
+        const frontApp = match[1];
+        const frontPid = Number(match[2]);
+        const channel = getChannelIdFromMacAppName(frontApp);
+        const isZed = Boolean(channel);
+        if (!isZed) return { frontApp, frontPid, frontWindowName: '', frontWindowBounds: null, isZed, channel };
+        // 第一行窗口名，第二行 x,y,宽,高（标签栏据此跟随到窗口所在屏幕）
+        const script = `tell application "System Events"
+          tell process ${getProcessName(channel)}
+            if (count of windows) > 0 then
+              set w to front window
+              set {px, py} to position of w
+              set {sw, sh} to size of w
+              return (name of w) & linefeed & px & "," & py & "," & sw & "," & sh
+            end if
+          end tell
+        end tell`;
+        return new Promise((resolve, reject) => {
+          runAppleScript(script, (err, output) => {
+            if (err) return reject(err);
+            const { name, bounds } = parseFrontWindowOutput(output);
+            resolve({ frontApp, frontPid, frontWindowName: name, frontWindowBounds: bounds, isZed, channel });
+          }, { priority: 'poll', droppable: true, tag: 'front-zed-window', replaceTag: true });
+        });
+      });
+  }
+
+  function watchFrontState(watchOptions = {}) {
+    const { onState, onExit, intervalMs = 1000 } = watchOptions;
+    const zedApps = JSON.stringify(ZED_CHANNELS.map(channel => channel.macAppName));
+    return startLineProcess('osascript', [
+      '-l', 'JavaScript', '-e', FRONT_WATCH_SCRIPT, zedApps, String(FRONT_WATCH_APP_CHECK_MS), String(intervalMs),
+    ], {
+      onLine: (line) => {
+        const event = parseFrontWatchLine(line);
+        if (event) onState(event.frontState, event.at);
+      },
+      onExit,
+    });
+  }
+
+  function listWindows(channelId, options = {}) {
+    const processName = getProcessName(channelId);
+    // 每行「x,y,宽,高<Tab>窗口名」，用换行拼接：多根工作区的标题本身包含 ", "
+    const script = `tell application "System Events"
+      if not (exists process ${processName}) then return ""
+      set output to {}
+      tell process ${processName}
+        repeat with w in every window
+          try
+            set {px, py} to position of w
+            set {sw, sh} to size of w
+            set end of output to (px as text) & "," & py & "," & sw & "," & sh & tab & (name of w)
+          end try
+        end repeat
+      end tell
+      set AppleScript's text item delimiters to linefeed
+      return output as text
+    end tell`;
+    const queueOptions = options.background ? { priority: 'poll', tag: 'list-zed-windows' } : {};
+    return runAppleScriptPromise(script, queueOptions)
+      .then(stdout => stdout.split('\n')
+        .map(parseWindowLine)
+        .filter(entry => entry.title)
+        .map(({ title, bounds }) => ({ id: null, title, channel: getZedChannel(channelId).id, bounds })))
+      .catch(() => []);
+  }
+
+  function buildWindowActionScript(target, actionLines, result) {
+    // 在目标通道内找到第 occurrence 个标题匹配的窗口并执行 actionLines
+    const { title, titlePrefix, occurrence = 1, channel } = target;
+    const condition = titlePrefix
+      ? `name of w is ${toAppleScriptString(title)} or name of w starts with ${toAppleScriptString(titlePrefix)}`
+      : `name of w is ${toAppleScriptString(title)}`;
+    return `tell application "System Events"
+      tell process ${getProcessName(channel)}
+        set matchCount to 0
+        repeat with w in every window
+          if ${condition} then
+            set matchCount to matchCount + 1
+            if matchCount is ${Number(occurrence) || 1} then
+              ${actionLines}
+              return "${result}"
+            end if
+          end if
+        end repeat
+      end tell
+    end tell`;
+  }
+
+  function raiseWindow(target = {}) {
+    if (!target.title) return Promise.resolve(false);
+    const script = buildWindowActionScript(target, `perform action "AXRaise" of w
+              set frontmost to true`, 'activated');
+    return runAppleScriptPromise(script, {
+      prepend: true,
+      tag: 'activate-zed-window',
+      replaceTag: true
+    })
+      .then(output => output.trim() === 'activated')
+      .catch(() => false);
+  }
+
+  function closeWindow(target = {}) {
+    if (!target.title) return Promise.resolve(false);
+    // 点窗口自带的关闭按钮，走 Zed 自己的关闭流程（未保存内容会弹出确认）
+    const script = buildWindowActionScript(target, 'click (first button of w whose subrole is "AXCloseButton")', 'closed');
+    return runAppleScriptPromise(script, { tag: 'close-zed-window' })
+      .then(output => output.trim() === 'closed')
+      .catch(() => false);
+  }
+
+  function setWindowFrames(placements, channelId) {
+    if (!Array.isArray(placements) || placements.length === 0) return;
+    const processName = getProcessName(channelId);
+    // 先取一次窗口列表，按标题 + 序号定位，与 listWindows 的 z 序一致
+    const moves = placements.map(({ target, frame }) => `
+        set matchCount to 0
+        repeat with w in allWindows
+          if name of w is ${toAppleScriptString(target.title)} then
+            set matchCount to matchCount + 1
+            if matchCount is ${Number(target.occurrence) || 1} then
+              set position of w to {${Math.round(frame.x)}, ${Math.round(frame.y)}}
+              set size of w to {${Math.round(frame.width)}, ${Math.round(frame.height)}}
+              exit repeat
+            end if
+          end if
+        end repeat`).join('\n');
+    const script = `tell application "System Events"
+      if not (exists process ${processName}) then return
+      tell process ${processName}
+        set allWindows to every window
+        ${moves}
+      end tell
+    end tell`;
+    runAppleScript(script, null, { tag: 'adjust-zed-windows', replaceTag: true });
+  }
+
+  function openPaths(paths, channelId, options = {}) {
+    const targets = (paths || []).filter(Boolean);
+    const openArgs = ['-a', getZedChannel(channelId).macAppName, ...targets];
+    if (options.throttled && targets.length > 0) {
+      // 批量打开走用户队列，一个接一个交给 Zed，避免瞬间涌入
+      return enqueueCommandPromise('open', openArgs, { tag: 'open-zed-project' })
+        .then(() => true)
+        .catch((err) => {
+          console.error('Failed to open project in Zed:', err);
+          return false;
+        });
+    }
+
+    return new Promise((resolve) => {
+      if (targets.length === 0) return resolve(false);
+
+      const child = spawnCommand('open', openArgs);
+      child.on('error', (err) => {
+        console.error('Failed to open project in Zed:', err);
+        resolve(false);
+      });
+      child.on('close', (code) => {
+        resolve(code === 0);
+      });
+    });
+  }
+
+  return {
+    name: 'macos',
+    getFrontState,
+    watchFrontState,
+    listWindows,
+    raiseWindow,
+    setWindowFrames,
+    openPaths,
+    closeWindow,
+    setTimeoutMs: (ms) => { timeoutMs = ms; },
+  };
+}
+
+module.exports = { createMacosBackend, parseFrontWatchLine, runAppleScript, runAppleScriptPromise, toAppleScriptString };
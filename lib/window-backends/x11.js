@@ -0,0 +1,335 @@
+/**
+ * [INPUT]: wmctrl - 列出（含位置尺寸）/ 激活 / 关闭 / 移动 X11 顶层窗口（EWMH）
+ * [INPUT]: xwininfo - 读取前台 Zed 窗口的位置尺寸（标签栏跟随到所在屏幕）
+ * [INPUT]: xprop - 读取根窗口 _NET_ACTIVE_WINDOW / _NET_CLIENT_LIST_STACKING 与窗口 WM_CLASS / _NET_WM_PID / _NET_WM_NAME；xprop -spy 常驻监听前台窗口与标题变化
+ * [INPUT]: zed / zeditor CLI - 在 Linux 上打开项目路径（按通道选择 CLI）
+ * [INPUT]: lib/zed-channels - 由 WM_CLASS 识别通道（dev.zed.Zed / dev.zed.Zed-Preview ...）
+ * [OUTPUT]: createX11Backend - Linux X11 窗口控制后端，接口与 macOS 后端一致（坐标为物理像素，usesDevicePixels）；parseWmctrlLine / parseXpropString / parseXwininfo 解析工具
+ * [POS]: window-backends 的 X11 实现，让标签栏、快捷键与当前项目同步在 Linux 上同样可用
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const os = require('os');
+const { enqueueCommandPromise, removeQueuedCommandsByTag } = require('../script-queue');
+const { runCommandWithTimeout, spawnCommand, startLineProcess } = require('../process-utils');
+const { getZedChannel, getChannelIdFromWindowClass, getChannelCliCandidates } = require('../zed-channels');
+
+function parseXpropString(raw) {
+  // xprop 输出形如 NAME(UTF8_STRING) = "value"，引号和反斜杠会被转义
+  const match = String(raw || '').match(/=\s*"((?:[^"\\]|\\.)*)"/);
+  if (!match) return '';
+  return match[1].replace(/\\(.)/g, '$1');
+}
+
+function parseWmctrlLine(line) {
+  // wmctrl -lpGx: <id> <desktop> <pid> <x> <y> <width> <height> <instance.class> <host> <title>
+  const match = line.match(/^(0x[0-9a-f]+)\s+(-?\d+)\s+(\d+)\s+(-?\d+)\s+(-?\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+(\S+)(?:\s+(.*))?$/i);
+  if (!match) return null;
+  return {
+    id: match[1],
+    pid: Number(match[3]),
+    bounds: { x: Number(match[4]), y: Number(match[5]), width: Number(match[6]), height: Number(match[7]) },
+    windowClass: match[8],
+    title: (match[10] || '').trim(),
+  };
+}
+
+function parseXwininfo(raw) {
+  const read = (label) => {
+    const match = String(raw || '').match(new RegExp(`${label}:\\s*(-?\\d+)`));
+    return match ? Number(match[1]) : null;
+  };
+  const bounds = {
+    x: read('Absolute upper-left X'),
+    y: read('Absolute upper-left Y'),
+    width: read('Width'),
+    height: read('Height'),
+  };
+  return Object.values(bounds).every(Number.isFinite) ? bounds : null;
+}
+
+function matchesTitle(title, target) {
+  if (title === target.title) return true;
+  return Boolean(target.titlePrefix && title.startsWith(target.titlePrefix));
+}
+
+function createX11Backend(options = {}) {
+  const { home = os.homedir() } = options;
+  let timeoutMs = options.timeoutMs || 3000;
+
+  function parseActiveWindowId(rootOutput) {
+    const idMatch = String(rootOutput || '').match(/window id # (0x[0-9a-f]+)/i);
+    return idMatch && !/^0x0+$/i.test(idMatch[1]) ? idMatch[1] : null;
+  }
+
+  async function getWindowFrontState(windowId) {
+    if (!windowId) {
+      return { frontApp: '', frontPid: 0, frontWindowName: '', frontWindowBounds: null, isZed: false, channel: null };
+    }
+
+    const windowOutput = await runCommandWithTimeout(
+      'xprop',
+      ['-id', windowId, 'WM_CLASS', '_NET_WM_PID', '_NET_WM_NAME'],
+      { timeoutMs }
+    );
+    const lines = windowOutput.split('\n');
+    const classLine = lines.find(line => line.startsWith('WM_CLASS')) || '';
+    const pidLine = lines.find(line => line.startsWith('_NET_WM_PID')) || '';
+    const nameLine = lines.find(line => line.startsWith('_NET_WM_NAME')) || '';
+
+    // WM_CLASS = "instance", "class"，取 class
+    const classNames = [...classLine.matchAll(/"([^"]*)"/g)].map(m => m[1]);
+    const frontApp = classNames[classNames.length - 1] || '';
+    const pidMatch = pidLine.match(/=\s*(\d+)/);
+    const channel = getChannelIdFromWindowClass(frontApp);
+    const isZed = Boolean(channel);
+
+    return {
+      frontApp,
+      frontPid: pidMatch ? Number(pidMatch[1]) : 0,
+      frontWindowName: isZed ? parseXpropString(nameLine) : '',
+      frontWindowBounds: isZed ? await getWindowBounds(windowId) : null,
+      isZed,
+      channel,
+    };
+  }
+
+  async function getFrontState() {
+    const rootOutput = await runCommandWithTimeout('xprop', ['-root', '_NET_ACTIVE_WINDOW'], { timeoutMs });
+    return getWindowFrontState(parseActiveWindowId(rootOutput));
+  }
+
+  function watchFrontState(watchOptions = {}) {
+    const { onState, onExit } = watchOptions;
+    // xprop -spy 在属性变化时输出一行：根窗口的 _NET_ACTIVE_WINDOW 对应切换窗口，
+    // 前台 Zed 窗口的 _NET_WM_NAME 对应同一窗口里换项目；读取详情只在变化时执行
+    let activeWindowId = null;
+    let titleSpy = null;
+    let titleSpyWindowId = null;
+    let sequence = 0;
+    let stopped = false;
+
+    function watchTitle(windowId) {
+      if (windowId === titleSpyWindowId) return;
+      if (titleSpy) titleSpy.stop();
+      titleSpy = null;
+      titleSpyWindowId = windowId;
+      if (!windowId) return;
+      let isFirstLine = true;
+      titleSpy = startLineProcess('xprop', ['-spy', '-id', windowId, '_NET_WM_NAME'], {
+        onLine: () => {
+          // 第一行是当前值，已随窗口切换读过
+          if (isFirstLine) {
+            isFirstLine = false;
+            return;
+          }
+          emitState(windowId, Date.now());
+        },
+        // 窗口关闭时 xprop 随之退出，等下一次切换再监听
+        onExit: () => {
+          if (titleSpyWindowId === windowId) {
+            titleSpy = null;
+            titleSpyWindowId = null;
+          }
+        },
+      });
+    }
+
+    async function emitState(windowId, at) {
+      const current = ++sequence;
+      try {
+        const frontState = await getWindowFrontState(windowId);
+        // 读取期间又切换了窗口，以后面那次为准
+        if (stopped || current !== sequence) return;
+        watchTitle(frontState.isZed ? windowId : null);
+        onState(frontState, at);
+      } catch (err) {
+        // 窗口可能已经关闭，等下一次变化
+      }
+    }
+
+    const rootSpy = startLineProcess('xprop', ['-spy', '-root', '_NET_ACTIVE_WINDOW'], {
+      onLine: (line) => {
+        const windowId = parseActiveWindowId(line);
+        if (windowId === activeWindowId && activeWindowId !== null) return;
+        activeWindowId = windowId;
+        emitState(windowId, Date.now());
+      },
+      onExit: (err) => {
+        stop();
+        if (onExit) onExit(err);
+      },
+    });
+
+    function stop() {
+      stopped = true;
+      rootSpy.stop();
+      watchTitle(null);
+    }
+
+    return { stop };
+  }
+
+  async function getWindowBounds(windowId) {
+    try {
+      return parseXwininfo(await runCommandWithTimeout('xwininfo', ['-id', windowId], { timeoutMs }));
+    } catch (err) {
+      // 没装 xwininfo 时标签栏留在当前屏幕
+      return null;
+    }
+  }
+
+  async function getStackingOrder() {
+    // _NET_CLIENT_LIST_STACKING 自底向上排列；wmctrl -l 只是创建顺序
+    try {
+      const stdout = await runCommandWithTimeout('xprop', ['-root', '_NET_CLIENT_LIST_STACKING'], { timeoutMs });
+      const ids = (stdout.match(/0x[0-9a-f]+/gi) || []).map(id => parseInt(id, 16));
+      return new Map(ids.map((id, index) => [id, index]));
+    } catch (err) {
+      return new Map();
+    }
+  }
+
+  async function listZedWindowEntries(channelId, queueOptions = {}) {
+    const wantedChannel = getZedChannel(channelId).id;
+    const [stdout, stacking] = await Promise.all([
+      enqueueCommandPromise('wmctrl', ['-lpGx'], queueOptions),
+      getStackingOrder(),
+    ]);
+    const rank = entry => (stacking.has(parseInt(entry.id, 16)) ? stacking.get(parseInt(entry.id, 16)) : -1);
+    return stdout.split('\n')
+      .map(parseWmctrlLine)
+      .filter(entry => entry && entry.title && getChannelIdFromWindowClass(entry.windowClass) === wantedChannel)
+      // 统一为 z 序：前台窗口在前
+      .sort((a, b) => rank(b) - rank(a));
+  }
+
+  function listWindows(channelId, options = {}) {
+    const queueOptions = options.background ? { priority: 'poll', tag: 'list-zed-windows' } : {};
+    return listZedWindowEntries(channelId, queueOptions)
+      .then(entries => entries.map(({ id, title, bounds }) => ({ id, title, channel: getZedChannel(channelId).id, bounds })))
+      .catch(() => []);
+  }
+
+  async function resolveWindowId(target) {
+    if (target.id) return target.id;
+    if (!target.title) return null;
+    const occurrence = Number(target.occurrence) || 1;
+    const matches = (await listZedWindowEntries(target.channel)).filter(entry => matchesTitle(entry.title, target));
+    const entry = matches[occurrence - 1];
+    return entry ? entry.id : null;
+  }
+
+  async function raiseWindow(target = {}) {
+    try {
+      const windowId = await resolveWindowId(target);
+      if (!windowId) return false;
+      await enqueueCommandPromise('wmctrl', ['-ia', windowId], {
+        prepend: true,
+        tag: 'activate-zed-window',
+        replaceTag: true
+      });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async function closeWindow(target = {}) {
+    try {
+      const windowId = await resolveWindowId(target);
+      if (!windowId) return false;
+      // wmctrl -c 发送 WM_DELETE_WINDOW，由 Zed 自己处理关闭（未保存内容会弹出确认）
+      await enqueueCommandPromise('wmctrl', ['-ic', windowId], { tag: 'close-zed-window' });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function setWindowFrames(placements, channelId) {
+    if (!Array.isArray(placements) || placements.length === 0) return;
+    removeQueuedCommandsByTag('adjust-zed-windows');
+    placements.forEach(({ target, frame }) => {
+      resolveWindowId({ ...target, channel: channelId })
+        .then((id) => {
+          if (!id) return;
+          const geometry = `0,${Math.round(frame.x)},${Math.round(frame.y)},${Math.round(frame.width)},${Math.round(frame.height)}`;
+          // 先取消最大化，否则窗口管理器会忽略 -e 的尺寸
+          enqueueCommandPromise('wmctrl', ['-ir', id, '-b', 'remove,maximized_vert,maximized_horz'], { tag: 'adjust-zed-windows' })
+            .catch(() => {});
+          enqueueCommandPromise('wmctrl', ['-ir', id, '-e', geometry], { tag: 'adjust-zed-windows' })
+            .catch(() => {});
+        })
+        .catch(err => console.error('Failed to adjust Zed window:', err));
+    });
+  }
+
+  function spawnZedCli(candidates, targets) {
+    return new Promise((resolve) => {
+      const [command, ...rest] = candidates;
+      if (!command) return resolve(false);
+
+      let settled = false;
+      const settle = (result) => {
+        if (settled) return;
+        settled = true;
+        resolve(result);
+      };
+
+      const child = spawnCommand(command, targets, { stdio: 'ignore' });
+      child.on('error', (err) => {
+        // 部分发行版把 CLI 命名为 zeditor；找不到就继续尝试通道安装目录下的 CLI
+        if (err.code === 'ENOENT' && rest.length > 0) {
+          settle(spawnZedCli(rest, targets));
+          return;
+        }
+        console.error('Failed to open project in Zed:', err);
+        settle(false);
+      });
+      child.on('close', (code) => {
+        settle(code === 0);
+      });
+    });
+  }
+
+  async function openPathsThrottled(candidates, targets) {
+    // 批量打开走用户队列，一个接一个交给 Zed，避免瞬间涌入
+    for (const command of candidates) {
+      try {
+        await enqueueCommandPromise(command, targets, { tag: 'open-zed-project' });
+        return true;
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error('Failed to open project in Zed:', err);
+          return false;
+        }
+      }
+    }
+    return false;
+  }
+
+  function openPaths(paths, channelId, options = {}) {
+    const targets = (paths || []).filter(Boolean);
+    if (targets.length === 0) return Promise.resolve(false);
+    const candidates = getChannelCliCandidates(getZedChannel(channelId), home);
+    if (options.throttled) return openPathsThrottled(candidates, targets);
+    return spawnZedCli(candidates, targets);
+  }
+
+  return {
+    name: 'x11',
+    // wmctrl / xwininfo 使用物理像素，HiDPI 下与 Electron 的 DIP 坐标不同
+    usesDevicePixels: true,
+    getFrontState,
+    watchFrontState,
+    listWindows,
+    raiseWindow,
+    setWindowFrames,
+    openPaths,
+    closeWindow,
+    setTimeoutMs: (ms) => { timeoutMs = ms; },
+  };
+}
+
+module.exports = { createX11Backend, parseWmctrlLine, parseXpropString, parseXwininfo };
@@ -0,0 +1,150 @@
+/**
+ * [INPUT]: Zed 窗口列表（z 序，含位置尺寸与所属标签的 key）、lib/displays 的屏幕布局、记住的窗口位置
+ * [OUTPUT]: WINDOW_LAYOUT_POLICIES / TAB_LAYOUT_POLICIES / normalizeLayoutPolicy / getNudgedFrame / getTileFrames / planWindowPlacements
+ * [POS]: 窗口布局策略的纯计算：每个窗口该放到哪里（或不动）；列窗口、读写设置与记住的位置由 main.js 负责，移动窗口交给窗口后端
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const { findDisplayForRect } = require('./displays');
+
+// ============================================================================
+// POLICIES
+// ============================================================================
+//
+// off       不调整
+// nudge     只把压在标签栏下的窗口挪出来（远离标签栏的那条边不动），其余保持原样
+// maximize  铺满所在屏幕标签栏以下的区域
+// remember  恢复该项目上次的位置和尺寸，没有记录时同 nudge
+// tile      （仅标签）所有设为平铺的标签窗口在标签栏所在屏幕上并排
+const WINDOW_LAYOUT_POLICIES = ['off', 'nudge', 'maximize', 'remember'];
+const TAB_LAYOUT_POLICIES = [...WINDOW_LAYOUT_POLICIES, 'tile'];
+// 挪窗口时保留的最小尺寸，避免小窗口被压成一条
+const MIN_WINDOW_SIZE = 200;
+
+function normalizeLayoutPolicy(value, allowed = WINDOW_LAYOUT_POLICIES, fallback = undefined) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+function toFrame({ x, y, width, height }) {
+  return { x, y, width, height };
+}
+
+function isSameFrame(a, b) {
+  return Boolean(a && b) && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+// 把窗口停靠边一侧的边缘推到 frame 内：标签栏在顶部时推上边（底边不动），在左侧时推左边（右边不动），以此类推
+function getNudgedFrame(bounds, frame, dock = 'top') {
+  if (!bounds || !frame) return null;
+  const isVertical = dock === 'left' || dock === 'right';
+  const [pos, size] = isVertical ? ['x', 'width'] : ['y', 'height'];
+  const start = bounds[pos];
+  const end = bounds[pos] + bounds[size];
+  const frameStart = frame[pos];
+  const frameEnd = frame[pos] + frame[size];
+  const nudged = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+
+  if (dock === 'right' || dock === 'bottom') {
+    if (end <= frameEnd) return null;
+    const nextStart = Math.max(start, frameStart);
+    nudged[size] = Math.min(frame[size], Math.max(MIN_WINDOW_SIZE, frameEnd - nextStart));
+    nudged[pos] = frameEnd - nudged[size];
+  } else {
+    if (start >= frameStart) return null;
+    const nextEnd = Math.min(end, frameEnd);
+    nudged[pos] = frameStart;
+    nudged[size] = Math.min(frame[size], Math.max(MIN_WINDOW_SIZE, nextEnd - frameStart));
+  }
+  return nudged;
+}
+
+function getTileFrames(count, frame) {
+  if (!frame || count <= 0) return [];
+  const width = Math.floor(frame.width / count);
+  return Array.from({ length: count }, (_, index) => ({
+    x: frame.x + width * index,
+    y: frame.y,
+    // 除不尽的像素给最后一列
+    width: index === count - 1 ? frame.width - width * index : width,
+    height: frame.height,
+  }));
+}
+
+function isFrameOnDisplays(frame, layouts) {
+  // 记住的位置所在的屏幕已拔掉时不恢复
+  if (!frame) return false;
+  const centerX = frame.x + frame.width / 2;
+  const centerY = frame.y + frame.height / 2;
+  return layouts.some(({ bounds }) => (
+    centerX >= bounds.x && centerX < bounds.x + bounds.width && centerY >= bounds.y && centerY < bounds.y + bounds.height
+  ));
+}
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+// windows: [{ id, title, bounds, key }]，z 序（前台在前）；key 为所属项目的窗口 key（无路径时为空）
+// options.getPolicy(window)         -> 策略（含 tile）
+// options.getTileIndex(window)      -> 平铺顺序（标签顺序）
+// options.getRememberedFrame(window) -> 记住的 { x, y, width, height } 或 null
+// options.tileLayout                -> 平铺所在的屏幕（标签栏所在屏幕）
+// options.dock                      -> 标签栏停靠边，决定 nudge 推哪条边
+// 返回 [{ target: { id, title, occurrence }, frame }]，只包含需要移动的窗口
+function planWindowPlacements(windows, options = {}) {
+  const {
+    layouts = [],
+    tileLayout = layouts[0],
+    dock = 'top',
+    getPolicy = () => 'off',
+    getTileIndex = () => 0,
+    getRememberedFrame = () => null,
+  } = options;
+  if (layouts.length === 0) return [];
+
+  // 同标题窗口按 z 序计数，没有窗口 id 的后端（macOS）据此定位
+  const titleCounts = new Map();
+  const entries = windows.map((window) => {
+    const occurrence = (titleCounts.get(window.title) || 0) + 1;
+    titleCounts.set(window.title, occurrence);
+    return { window, target: { id: window.id || null, title: window.title, occurrence }, policy: getPolicy(window) };
+  });
+
+  const frames = new Map();
+  const tiled = entries
+    .filter(entry => entry.policy === 'tile')
+    .sort((a, b) => getTileIndex(a.window) - getTileIndex(b.window));
+  getTileFrames(tiled.length, tileLayout && tileLayout.frame).forEach((frame, index) => {
+    frames.set(tiled[index], frame);
+  });
+
+  entries.forEach((entry) => {
+    const { window, policy } = entry;
+    const { frame: displayFrame } = findDisplayForRect(layouts, window.bounds);
+    if (policy === 'maximize') {
+      frames.set(entry, displayFrame);
+    } else if (policy === 'nudge') {
+      frames.set(entry, getNudgedFrame(window.bounds, displayFrame, dock));
+    } else if (policy === 'remember') {
+      const remembered = getRememberedFrame(window);
+      frames.set(entry, isFrameOnDisplays(remembered, layouts) ? remembered : getNudgedFrame(window.bounds, displayFrame, dock));
+    }
+  });
+
+  return entries
+    .filter(entry => frames.get(entry) && !isSameFrame(frames.get(entry), entry.window.bounds))
+    .map(entry => ({ target: entry.target, frame: toFrame(frames.get(entry)) }));
+}
+
+module.exports = {
+  WINDOW_LAYOUT_POLICIES,
+  TAB_LAYOUT_POLICIES,
+  normalizeLayoutPolicy,
+  getNudgedFrame,
+  getTileFrames,
+  planWindowPlacements,
+};
@@ -0,0 +1,163 @@
+/**
+ * [INPUT]: 标签列表与各根目录的 git remote URL；清单 JSON（导入时）
+ * [OUTPUT]: MANIFEST_FORMAT / buildManifest / parseManifest / isInsideRoot / resolveManifestPath / isLocalRemote / resolveLocalRemote / planManifestImport
+ * [POS]: 团队清单（可分享的标签集合）的格式、校验与导入规划；弹窗、git 调用与写入标签由 main.js 负责
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { normalizeRoots, getWorkspaceTitle } = require('./zed-workspaces');
+
+const MANIFEST_FORMAT = 'zed-workspace-manifest';
+const MANIFEST_VERSION = 1;
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+//
+// {
+//   format: 'zed-workspace-manifest', version: 1, name, exportedAt,
+//   projects: [{ displayName, color?, channel?, roots: [{ path: 相对根目录（/ 分隔）, remote: git remote URL | null }] }]
+// }
+
+// target 是 root 本身或在它下面
+function isInsideRoot(root, target) {
+  const relative = path.relative(root, target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function toManifestPath(root, absolutePath) {
+  // 统一用 / 分隔，清单在不同机器间可移植
+  return path.relative(root, absolutePath).split(path.sep).join('/') || '.';
+}
+
+function buildManifest(projects, options = {}) {
+  const { root, name = '', remotes = new Map(), now = Date.now() } = options;
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name,
+    exportedAt: new Date(now).toISOString(),
+    projects: projects
+      .map(project => ({ project, roots: normalizeRoots(project.roots) }))
+      // empty project 等无路径标签无法在别的机器上还原
+      .filter(({ roots }) => roots.length > 0)
+      .map(({ project, roots }) => {
+        const entry = {
+          displayName: project.displayName || getWorkspaceTitle(roots),
+          roots: roots.map(rootPath => ({ path: toManifestPath(root, rootPath), remote: remotes.get(rootPath) || null })),
+        };
+        if (project.color) entry.color = project.color;
+        if (project.channel && project.channel !== 'stable') entry.channel = project.channel;
+        return entry;
+      }),
+  };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+// 清单来自别人：只接受根目录下的相对路径，免得导入时把别处的路径当成已有仓库、把仓库克隆到所选目录之外
+function isSafeManifestPath(manifestPath) {
+  if (path.posix.isAbsolute(manifestPath) || path.win32.isAbsolute(manifestPath)) return false;
+  return !manifestPath.split(/[\\/]/).includes('..');
+}
+
+// 清单路径在 root 下对应的本机路径；越出 root 时返回 null
+function resolveManifestPath(root, manifestPath) {
+  const resolved = path.resolve(root, ...manifestPath.split('/'));
+  return isSafeManifestPath(manifestPath) && isInsideRoot(root, resolved) ? resolved : null;
+}
+
+function parseManifest(raw) {
+  if (!raw || typeof raw !== 'object' || raw.format !== MANIFEST_FORMAT) {
+    throw new Error('不是 Zed 工作区清单文件');
+  }
+  if (raw.version !== MANIFEST_VERSION) throw new Error(`不支持的清单版本：${raw.version}`);
+  if (!Array.isArray(raw.projects)) throw new Error('清单缺少 projects 列表');
+
+  const projects = raw.projects
+    .filter(entry => entry && Array.isArray(entry.roots))
+    .map(entry => ({
+      displayName: typeof entry.displayName === 'string' ? entry.displayName : '',
+      color: typeof entry.color === 'string' && /^#[0-9a-f]{6}$/i.test(entry.color) ? entry.color : undefined,
+      channel: typeof entry.channel === 'string' ? entry.channel : undefined,
+      roots: entry.roots
+        .filter(root => root && typeof root.path === 'string' && root.path.trim())
+        .map(root => ({
+          path: root.path.trim(),
+          remote: typeof root.remote === 'string' && root.remote.trim() ? root.remote.trim() : null,
+        })),
+    }))
+    .filter(entry => entry.roots.length > 0);
+  const unsafe = projects.flatMap(entry => entry.roots).find(root => !isSafeManifestPath(root.path));
+  if (unsafe) throw new Error(`清单中的路径必须是根目录下的相对路径：${unsafe.path}`);
+  return { name: typeof raw.name === 'string' ? raw.name : '', projects };
+}
+
+function isLocalRemote(remote) {
+  // 只从本机路径或 file:// 远端克隆，导入过程不访问网络
+  return Boolean(remote) && (remote.startsWith('file://') || path.isAbsolute(remote));
+}
+
+function resolveLocalRemote(remote) {
+  if (!isLocalRemote(remote)) return null;
+  try {
+    return remote.startsWith('file://') ? fileURLToPath(remote) : remote;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 把清单条目映射到本机：先看「根目录 + 相对路径」是否存在，再按 git remote 匹配已有标签
+// 每个根目录的 status：'found' 本地已有 / 'clonable' 缺失但可从本地远端克隆 / 'missing' 无法还原
+async function planManifestImport(manifest, options = {}) {
+  const { root, existingProjects = [], existingRemotes = new Map(), pathExists } = options;
+  const remoteOwners = new Map();
+  existingRemotes.forEach((remote, rootPath) => {
+    if (remote && !remoteOwners.has(remote)) remoteOwners.set(remote, rootPath);
+  });
+
+  const entries = [];
+  for (const entry of manifest.projects) {
+    const roots = [];
+    for (const manifestRoot of entry.roots) {
+      const localPath = resolveManifestPath(root, manifestRoot.path);
+      if (!localPath) {
+        roots.push({ ...manifestRoot, localPath: null, status: 'missing' });
+        continue;
+      }
+      if (await pathExists(localPath)) {
+        roots.push({ ...manifestRoot, localPath, status: 'found' });
+        continue;
+      }
+      // 同一仓库在本机放在别处：沿用已有标签的位置
+      const owner = manifestRoot.remote ? remoteOwners.get(manifestRoot.remote) : null;
+      if (owner) {
+        roots.push({ ...manifestRoot, localPath: owner, status: 'found' });
+        continue;
+      }
+      const localRemote = resolveLocalRemote(manifestRoot.remote);
+      const clonable = Boolean(localRemote) && await pathExists(localRemote);
+      roots.push({ ...manifestRoot, localPath, status: clonable ? 'clonable' : 'missing' });
+    }
+
+    const key = roots.map(item => item.localPath).join('\n');
+    const isExisting = existingProjects.some(project => normalizeRoots(project.roots).join('\n') === key);
+    entries.push({ ...entry, roots, isExisting });
+  }
+  return entries;
+}
+
+module.exports = {
+  MANIFEST_FORMAT,
+  buildManifest,
+  parseManifest,
+  isInsideRoot,
+  resolveManifestPath,
+  isLocalRemote,
+  resolveLocalRemote,
+  planManifestImport,
+};
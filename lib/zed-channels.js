@@ -0,0 +1,90 @@
+/**
+ * [INPUT]: fs - 探测各发布通道的应用包与工作区数据库是否存在
+ * [OUTPUT]: ZED_CHANNELS / DEFAULT_CHANNEL_ID / getZedChannel / detectZedChannels / getChannelIdFromMacAppName / getChannelIdFromWindowClass / getZedDataDir
+ * [POS]: Zed 发布通道（Stable / Preview / Nightly / Dev）的唯一定义处：进程名、X11 窗口类、CLI、数据库目录与徽标
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHANNEL_ID = 'stable';
+
+const ZED_CHANNELS = [
+  { id: 'stable', label: 'Zed', badge: '', macAppName: 'Zed', linuxClass: 'dev.zed.Zed', linuxAppDir: 'zed.app', cli: ['zed', 'zeditor'], dbDir: '0-stable' },
+  { id: 'preview', label: 'Zed Preview', badge: 'P', macAppName: 'Zed Preview', linuxClass: 'dev.zed.Zed-Preview', linuxAppDir: 'zed-preview.app', cli: ['zed-preview'], dbDir: '0-preview' },
+  { id: 'nightly', label: 'Zed Nightly', badge: 'N', macAppName: 'Zed Nightly', linuxClass: 'dev.zed.Zed-Nightly', linuxAppDir: 'zed-nightly.app', cli: ['zed-nightly'], dbDir: '0-nightly' },
+  { id: 'dev', label: 'Zed Dev', badge: 'D', macAppName: 'Zed Dev', linuxClass: 'dev.zed.Zed-Dev', linuxAppDir: 'zed-dev.app', cli: ['zed-dev'], dbDir: '0-dev' },
+];
+
+function getZedChannel(channelId) {
+  return ZED_CHANNELS.find(channel => channel.id === channelId)
+    || ZED_CHANNELS.find(channel => channel.id === DEFAULT_CHANNEL_ID);
+}
+
+function getChannelIdFromMacAppName(appName) {
+  const channel = ZED_CHANNELS.find(item => item.macAppName === appName);
+  return channel ? channel.id : null;
+}
+
+function getChannelIdFromWindowClass(windowClass) {
+  // X11 窗口类形如 dev.zed.Zed / dev.zed.Zed-Preview；wmctrl -x 会输出 instance.class
+  const value = String(windowClass || '').toLowerCase();
+  if (!/(^|[.\s])zed($|[.\-\s])/.test(value)) return null;
+  const suffixed = ZED_CHANNELS.find(item => item.id !== DEFAULT_CHANNEL_ID && value.includes(`zed-${item.id}`));
+  return suffixed ? suffixed.id : DEFAULT_CHANNEL_ID;
+}
+
+function getZedDataDir(platform, home, env) {
+  if (platform === 'darwin') return path.join(home, 'Library/Application Support/Zed');
+  const dataHome = env.XDG_DATA_HOME || path.join(home, '.local/share');
+  return path.join(dataHome, 'zed');
+}
+
+function getChannelDbPath(channel, options = {}) {
+  const { platform = process.platform, home, env = process.env } = options;
+  return path.join(getZedDataDir(platform, home, env), 'db', channel.dbDir, 'db.sqlite');
+}
+
+function getChannelCliCandidates(channel, home) {
+  // Linux 安装脚本把应用放在 ~/.local/<channel>.app，PATH 中的 zed 只指向其中一个通道
+  return [...channel.cli, path.join(home, '.local', channel.linuxAppDir, 'bin', 'zed')];
+}
+
+function isChannelAppInstalled(channel, platform, home) {
+  if (platform === 'darwin') {
+    return [
+      path.join('/Applications', `${channel.macAppName}.app`),
+      path.join(home, 'Applications', `${channel.macAppName}.app`),
+    ].some(appPath => fs.existsSync(appPath));
+  }
+  return fs.existsSync(path.join(home, '.local', channel.linuxAppDir));
+}
+
+function detectZedChannels(options = {}) {
+  const { platform = process.platform, home, env = process.env } = options;
+  const detected = ZED_CHANNELS
+    .map((channel) => {
+      const dbPath = getChannelDbPath(channel, { platform, home, env });
+      const hasDb = fs.existsSync(dbPath);
+      const hasApp = isChannelAppInstalled(channel, platform, home);
+      return { ...channel, dbPath, installed: hasApp || hasDb };
+    })
+    .filter(channel => channel.installed);
+
+  // 什么都探测不到时（如 Linux 通过包管理器安装）仍保留 Stable，保证基础功能可用
+  if (detected.length > 0) return detected;
+  const stable = getZedChannel(DEFAULT_CHANNEL_ID);
+  return [{ ...stable, dbPath: getChannelDbPath(stable, { platform, home, env }), installed: false }];
+}
+
+module.exports = {
+  ZED_CHANNELS,
+  DEFAULT_CHANNEL_ID,
+  getZedChannel,
+  getChannelIdFromMacAppName,
+  getChannelIdFromWindowClass,
+  getChannelCliCandidates,
+  getZedDataDir,
+  detectZedChannels,
+};
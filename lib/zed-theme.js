@@ -0,0 +1,282 @@
+/**
+ * [INPUT]: Zed settings.json（JSONC）- theme / ui_font_family / ui_font_size
+ * [INPUT]: 主题 JSON - ~/.config/zed/themes 与 Zed 数据目录 extensions/installed/<扩展>/themes；内置主题只收录默认的 One Dark / One Light
+ * [OUTPUT]: getZedConfigDir / parseJsonc / resolveThemeSelection / buildBarTheme / loadBarTheme / DEFAULT_TAB_COLORS
+ * [POS]: 把 Zed 当前主题映射为标签栏的配色（背景、浮层、文字、强调色）、标签色板与界面字体；文件监听与推送由 main.js 负责
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 没有可用主题时的原配色（与旧版标签栏一致）
+const DEFAULT_TAB_COLORS = ['#4b7c72', '#4d6b80', '#4f5982', '#645185', '#815675', '#7e614e', '#6f7750'];
+const DEFAULT_COLORS = {
+  barBackground: '#1e1e1e',
+  text: '#ffffff',
+  accent: '#6366f1',
+};
+const DEFAULT_UI_FONT_SIZE = 16;
+// 标签栏高度固定，字号按 Zed 界面字号等比缩小并限制范围（Zed 默认 16 -> 12）
+const BAR_FONT_SCALE = 0.75;
+const BAR_FONT_SIZE_RANGE = [11, 14];
+// 标签底色上是白字：色板颜色的亮度不超过这个值
+const TAB_COLOR_MAX_LUMINANCE = 0.16;
+
+// Zed 内置主题编译在应用里，没有 JSON 文件可读；只收录默认主题的关键颜色
+const BUILTIN_THEMES = [
+  {
+    name: 'One Dark',
+    appearance: 'dark',
+    style: {
+      background: '#3b414d',
+      'title_bar.background': '#3b414d',
+      'elevated_surface.background': '#2f343e',
+      'element.background': '#2e343e',
+      'editor.background': '#282c33',
+      text: '#dce0e5',
+      'text.muted': '#a9afbc',
+      'text.accent': '#74ade8',
+      border: '#464b57',
+      'terminal.ansi.red': '#d07277',
+      'terminal.ansi.yellow': '#dec184',
+      'terminal.ansi.green': '#a1c181',
+      'terminal.ansi.cyan': '#6eb4bf',
+      'terminal.ansi.blue': '#74ade8',
+      'terminal.ansi.magenta': '#b477cf',
+    },
+  },
+  {
+    name: 'One Light',
+    appearance: 'light',
+    style: {
+      background: '#dcdcdd',
+      'title_bar.background': '#dcdcdd',
+      'elevated_surface.background': '#ebebec',
+      'element.background': '#ebebec',
+      'editor.background': '#fafafa',
+      text: '#242529',
+      'text.muted': '#58585a',
+      'text.accent': '#5c78e2',
+      border: '#c9c9ca',
+      'terminal.ansi.red': '#d36151',
+      'terminal.ansi.yellow': '#c18401',
+      'terminal.ansi.green': '#669f59',
+      'terminal.ansi.cyan': '#3a82b7',
+      'terminal.ansi.blue': '#5c78e2',
+      'terminal.ansi.magenta': '#994cc3',
+    },
+  },
+];
+const DEFAULT_THEME_NAMES = { light: 'One Light', dark: 'One Dark' };
+const PALETTE_KEYS = ['cyan', 'blue', 'magenta', 'red', 'yellow', 'green'].map(name => `terminal.ansi.${name}`);
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+function getZedConfigDir(options = {}) {
+  const { env = process.env, home } = options;
+  // macOS 与 Linux 上 Zed 都使用 ~/.config/zed（Linux 遵循 XDG_CONFIG_HOME）
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'zed');
+}
+
+// Zed 的 settings.json 允许注释与尾逗号
+function parseJsonc(text) {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      output += ch;
+      if (ch === '\\') output += text[++i] || '';
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+      output += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      output += ch;
+    }
+  }
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function readJsonFile(filePath, parse = JSON.parse) {
+  try {
+    return parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Failed to read ${filePath}:`, e.message);
+    return null;
+  }
+}
+
+function listThemeFiles(dir) {
+  try {
+    return fs.readdirSync(dir).filter(name => name.endsWith('.json')).map(name => path.join(dir, name));
+  } catch (e) {
+    return [];
+  }
+}
+
+function getThemeDirs(configDir, dataDir) {
+  const extensionsDir = path.join(dataDir, 'extensions', 'installed');
+  let extensions = [];
+  try {
+    extensions = fs.readdirSync(extensionsDir);
+  } catch (e) {
+    // 没装扩展
+  }
+  // 用户主题优先于扩展主题
+  return [path.join(configDir, 'themes'), ...extensions.map(name => path.join(extensionsDir, name, 'themes'))];
+}
+
+function findTheme(name, themeDirs) {
+  for (const dir of themeDirs) {
+    for (const filePath of listThemeFiles(dir)) {
+      const family = readJsonFile(filePath);
+      const theme = family && Array.isArray(family.themes) ? family.themes.find(item => item && item.name === name) : null;
+      if (theme && theme.style) return theme;
+    }
+  }
+  return BUILTIN_THEMES.find(theme => theme.name === name) || null;
+}
+
+// ============================================================================
+// SELECTION - "theme": "One Dark" 或 { mode: system | light | dark, light, dark }
+// ============================================================================
+
+function resolveThemeSelection(themeSetting, prefersDark) {
+  if (typeof themeSetting === 'string' && themeSetting.trim()) {
+    return { name: themeSetting.trim(), appearance: null };
+  }
+  const setting = themeSetting && typeof themeSetting === 'object' ? themeSetting : {};
+  const mode = ['light', 'dark'].includes(setting.mode) ? setting.mode : (prefersDark ? 'dark' : 'light');
+  const name = typeof setting[mode] === 'string' && setting[mode].trim() ? setting[mode].trim() : DEFAULT_THEME_NAMES[mode];
+  return { name, appearance: mode };
+}
+
+// ============================================================================
+// COLORS
+// ============================================================================
+
+function normalizeHex(value) {
+  // Zed 主题颜色为 #rgb / #rrggbb / #rrggbbaa，标签栏只取不透明部分
+  const match = typeof value === 'string' ? value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i) : null;
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].split('').map(ch => ch + ch).join('') : match[1].slice(0, 6);
+  return `#${hex.toLowerCase()}`;
+}
+
+function toRgb(hex) {
+  return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(value => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function mixColors(hex, target, amount) {
+  const from = toRgb(hex);
+  const to = toRgb(target);
+  return toHex(from.map((value, index) => value + (to[index] - value) * amount));
+}
+
+function getLuminance(hex) {
+  const [r, g, b] = toRgb(hex).map((value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function toTabColor(hex, background) {
+  // 先向标签栏背景收一点饱和度，再压暗到白字可读
+  let color = mixColors(hex, background, 0.3);
+  for (let step = 0; step < 10 && getLuminance(color) > TAB_COLOR_MAX_LUMINANCE; step++) {
+    color = mixColors(color, '#000000', 0.15);
+  }
+  return color;
+}
+
+function getStyleColor(style, keys) {
+  for (const key of keys) {
+    const color = normalizeHex(style[key]);
+    if (color) return color;
+  }
+  return null;
+}
+
+function buildTabColors(style, background) {
+  // 优先用主题的 accents，其次终端 ANSI 色；不够 7 个时用原色板补齐
+  const accents = Array.isArray(style.accents) ? style.accents.map(normalizeHex) : [];
+  const ansi = PALETTE_KEYS.map(key => normalizeHex(style[key]));
+  const colors = [...new Set([...accents, ...ansi].filter(Boolean))]
+    .map(color => toTabColor(color, background));
+  return [...new Set([...colors, ...DEFAULT_TAB_COLORS])].slice(0, DEFAULT_TAB_COLORS.length);
+}
+
+function buildFont(zedSettings) {
+  const family = typeof zedSettings.ui_font_family === 'string' ? zedSettings.ui_font_family.trim() : '';
+  const uiFontSize = Number(zedSettings.ui_font_size) > 0 ? Number(zedSettings.ui_font_size) : DEFAULT_UI_FONT_SIZE;
+  const [min, max] = BAR_FONT_SIZE_RANGE;
+  return {
+    // .SystemUIFont / .ZedSans 等是 Zed 内部别名，交给系统字体
+    family: family && !family.startsWith('.') ? family : null,
+    size: Math.max(min, Math.min(max, Math.round(uiFontSize * BAR_FONT_SCALE))),
+  };
+}
+
+function buildBarTheme(theme, zedSettings = {}) {
+  const style = theme && theme.style ? theme.style : {};
+  const barBackground = getStyleColor(style, ['title_bar.background', 'background', 'editor.background']) || DEFAULT_COLORS.barBackground;
+  const text = getStyleColor(style, ['text', 'editor.foreground']) || DEFAULT_COLORS.text;
+  const appearance = theme && ['light', 'dark'].includes(theme.appearance)
+    ? theme.appearance
+    : (getLuminance(barBackground) > 0.4 ? 'light' : 'dark');
+  const players = Array.isArray(style.players) ? style.players : [];
+  // 主题缺的颜色按背景与文字混出来，浅色主题下不会混进深色默认值
+  const shade = amount => mixColors(barBackground, text, amount);
+  return {
+    name: theme ? theme.name : '',
+    appearance,
+    colors: {
+      barBackground,
+      surfaceBackground: getStyleColor(style, ['elevated_surface.background', 'surface.background']) || shade(0.06),
+      elementBackground: getStyleColor(style, ['element.background']) || shade(0.12),
+      text,
+      textMuted: getStyleColor(style, ['text.muted']) || shade(0.6),
+      border: getStyleColor(style, ['border', 'border.variant']) || shade(0.2),
+      accent: getStyleColor(style, ['text.accent', 'icon.accent'])
+        || normalizeHex(players[0] && players[0].cursor)
+        || DEFAULT_COLORS.accent,
+    },
+    tabColors: theme ? buildTabColors(style, barBackground) : [...DEFAULT_TAB_COLORS],
+    font: buildFont(zedSettings),
+  };
+}
+
+// 读取 Zed 设置与主题文件，返回 { name, appearance, colors, tabColors, font }
+function loadBarTheme(options = {}) {
+  const { configDir, dataDir, prefersDark = true } = options;
+  const zedSettings = readJsonFile(path.join(configDir, 'settings.json'), parseJsonc) || {};
+  const selection = resolveThemeSelection(zedSettings.theme, prefersDark);
+  const theme = findTheme(selection.name, getThemeDirs(configDir, dataDir))
+    // 找不到（扩展已卸载、名字写错）时按明暗退回默认主题
+    || findTheme(DEFAULT_THEME_NAMES[selection.appearance || (prefersDark ? 'dark' : 'light')], []);
+  return buildBarTheme(theme, zedSettings);
+}
+
+module.exports = {
+  DEFAULT_TAB_COLORS,
+  getZedConfigDir,
+  parseJsonc,
+  resolveThemeSelection,
+  buildBarTheme,
+  loadBarTheme,
+};
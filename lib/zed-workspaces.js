@@ -0,0 +1,80 @@
+/**
+ * [INPUT]: sqlite3 -json 输出 - Zed workspaces 表的 workspace_id / paths / paths_order / timestamp 行
+ * [OUTPUT]: parseZedWorkspaces / getWorkspaceTitle / getProjectLabelFromWindowName / findWorkspaceByLabel / normalizeRoots
+ * [POS]: Zed 工作区模型的纯函数层：一个工作区 = 有序根目录列表 + workspace id + 时间戳，并按 Zed 的窗口标题规则与窗口对应
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const path = require('path');
+
+// Zed 的窗口标题：各根目录名以 ", " 拼接，有活动文件时追加 " — 文件名"
+const TITLE_ROOT_SEPARATOR = ', ';
+const TITLE_ITEM_SEPARATOR = ' — ';
+
+function normalizeRoots(roots) {
+  return (Array.isArray(roots) ? roots : [])
+    .filter(root => typeof root === 'string' && root)
+    .filter((root, index, list) => list.indexOf(root) === index);
+}
+
+function parseZedTimestamp(value) {
+  // SQLite CURRENT_TIMESTAMP 为 UTC："YYYY-MM-DD HH:MM:SS"
+  const ms = Date.parse(`${String(value || '').replace(' ', 'T')}Z`);
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function orderRoots(paths, pathsOrder) {
+  // paths 在库里按字典序存储；paths_order[i] 是 paths[i] 在用户添加顺序中的位置
+  const order = String(pathsOrder || '').split(',').map(v => Number(v.trim()));
+  const valid = order.length === paths.length && order.every(Number.isInteger);
+  if (!valid) return paths;
+  return paths
+    .map((root, i) => ({ root, rank: order[i] }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(item => item.root);
+}
+
+function parseZedWorkspaces(raw) {
+  const output = String(raw || '').trim();
+  if (!output) return [];
+
+  const rows = JSON.parse(output);
+  return (Array.isArray(rows) ? rows : [])
+    .map((row) => {
+      const paths = String(row.paths || '').split('\n').filter(Boolean);
+      return {
+        id: row.workspace_id,
+        roots: normalizeRoots(orderRoots(paths, row.paths_order)),
+        timestamp: parseZedTimestamp(row.timestamp),
+      };
+    })
+    .filter(workspace => workspace.roots.length > 0);
+}
+
+function getWorkspaceTitle(roots) {
+  return normalizeRoots(roots).map(root => path.basename(root)).join(TITLE_ROOT_SEPARATOR);
+}
+
+function getProjectLabelFromWindowName(windowName) {
+  const name = String(windowName || '');
+  return name.includes(TITLE_ITEM_SEPARATOR) ? name.split(TITLE_ITEM_SEPARATOR)[0] : name;
+}
+
+function findWorkspaceByLabel(workspaces, label) {
+  if (!label) return null;
+  const list = Array.isArray(workspaces) ? workspaces : [];
+  // 工作区按最近使用排序：先找完整标题一致的，再按首个根目录名兜底
+  const exact = list.find(workspace => getWorkspaceTitle(workspace.roots) === label);
+  if (exact) return exact;
+  const firstRootName = label.split(TITLE_ROOT_SEPARATOR)[0];
+  return list.find(workspace => path.basename(workspace.roots[0]) === firstRootName) || null;
+}
+
+module.exports = {
+  TITLE_ITEM_SEPARATOR,
+  normalizeRoots,
+  parseZedWorkspaces,
+  getWorkspaceTitle,
+  getProjectLabelFromWindowName,
+  findWorkspaceByLabel,
+};
@@ -1,17 +1,68 @@
 /**
  * [INPUT]: electron - Electron 框架
- * [INPUT]: AppleScript + lsappinfo - macOS 窗口控制与真实前台应用探测
- * [INPUT]: Zed SQLite DB - 异步读取并缓存工作区路径信息
- * [INPUT]: dialog_state.json - 记录上次选择的目录，用于系统对话框 defaultPath（避开慢路径）
- * [OUTPUT]: 主进程，创建悬浮标签栏窗口，提供 IPC 接口与当前激活项目同步（含系统对话框前置处理、默认路径优化与真实前台应用判定）
- * [POS]: 应用入口，管理窗口生命周期、IPC 通信、智能切换 Zed 窗口，并把真实前台项目状态同步给渲染层，规避 Electron 悬浮窗误报前台
+ * [INPUT]: lib/window-backends - 窗口控制后端（macOS AppleScript + lsappinfo / X11 wmctrl + xprop / fake）
+ * [INPUT]: lib/front-detector - 前台应用 / 窗口检测：后端常驻监听进程推送变化，失效时自适应轮询；lib/process-utils 统计外部进程数
+ * [INPUT]: lib/job-log - 脚本队列与 sqlite 任务的轮换 JSON 日志（userData/logs/jobs.jsonl）与耗时汇总
+ * [INPUT]: lib/project-hooks - 标签钩子（首次打开 / 激活 / 窗口关闭时执行的命令）的校验与受监管子进程
+ * [INPUT]: lib/activity-log + electron powerMonitor - 可选的本地活动记录（userData/activity，按前台项目记时间段，空闲 / 锁屏 / 睡眠时停止）与按天 / 周汇总
+ * [INPUT]: Zed SQLite DB - 异步读取并缓存各发布通道的工作区（有序多根目录 + workspace id + 时间戳 + 通道）
+ * [INPUT]: lib/zed-channels - 探测已安装的 Zed 通道（Stable / Preview / Nightly / Dev）
+ * [INPUT]: lib/git-status - 标签所在仓库的分支 / 脏标记 / 领先落后（后台限频轮询）
+ * [INPUT]: projects.json - 分组标签数据（v2：命名分组 + 当前分组），经 lib/json-store 原子写入、按迁移链升级、轮换备份与损坏恢复；外部修改实时重新载入，渲染层保存带版本号做冲突检测
+ * [INPUT]: dialog_state.json - 记录上次选择的目录，用于系统对话框 defaultPath（避开慢路径），读写方式同 projects.json
+ * [INPUT]: keybindings.json - 动作 → 全局快捷键，校验后注册，文件变更时实时重新注册
+ * [INPUT]: settings.json / session.json - 应用设置（字段定义见 lib/settings：停靠位置、尺寸、显示项、轮询与超时等，偏好设置窗口或外部修改实时生效）与退出时仍有 Zed 窗口的标签快照
+ * [INPUT]: lib/control-socket - userData 下的 zwm.sock，供 bin/zwm.js 等外部脚本调用命令
+ * [INPUT]: zed-workspace:// 链接 - open-url（macOS）/ 命令行参数与 second-instance（Linux），经 lib/deep-link 解析
+ * [INPUT]: electron screen + lib/displays - 各显示器工作区，监听插拔与分辨率变化
+ * [INPUT]: Zed settings.json 与主题文件 + electron nativeTheme - 经 lib/zed-theme 映射为标签栏配色 / 色板 / 字体，文件或系统外观变化时实时更新
+ * [INPUT]: window_frames.json - 各项目窗口上次的位置尺寸（「记住位置」布局），经 lib/json-store 读写；布局策略由 lib/window-layout 计算
+ * [OUTPUT]: 主进程，创建悬浮标签栏窗口，提供 IPC 接口与当前激活项目同步（含系统对话框前置处理、默认路径优化与真实前台应用判定、一键打开 / 关闭全部标签与会话恢复、+ 下拉菜单的 Zed 历史工作区、全局快捷键唤起的项目搜索面板、标签 git 状态推送、可配置全局快捷键、最近使用项目历史与按住切换浮层、IPC 与本地 socket 共用的命令表、深链接打开 / 固定项目与未知路径确认、团队清单导出 / 导入与本地远端克隆、多显示器下标签栏跟随前台 Zed 窗口所在屏幕且每个 Zed 窗口适配到自己的屏幕、按全局或标签的布局策略摆放 / 记住 / 平铺 Zed 窗口、标签栏配色与字体跟随 Zed 当前主题、标签栏停靠在屏幕任一边并由偏好设置窗口实时调整、前台检测的进程数与延迟统计、诊断窗口与调试信息包、低频跟踪已打开的 Zed 窗口并推送给渲染层、可选自动添加新窗口为标签与移除窗口已关闭的自动标签、按窗口跟踪与当前项目同步触发标签钩子并提供钩子窗口与状态推送、本地项目使用时长记录与活动报告窗口及 CSV / JSON 导出）
+ * [POS]: 应用入口，管理窗口生命周期、IPC 通信、经窗口后端智能切换 Zed 窗口，并把真实前台项目状态同步给渲染层，规避 Electron 悬浮窗误报前台
  *
  * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
  */
-const { app, BrowserWindow, ipcMain, screen, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, globalShortcut, nativeTheme, clipboard, powerMonitor } = require('electron');
 const path = require('path');
-const { spawn } = require('child_process');
 const fs = require('fs');
+const { configureScriptQueue, getScriptQueueState } = require('./lib/script-queue');
+const { createWindowBackend } = require('./lib/window-backends');
+const {
+  normalizeRoots,
+  parseZedWorkspaces,
+  getWorkspaceTitle,
+  findWorkspaceByLabel,
+} = require('./lib/zed-workspaces');
+const { DEFAULT_CHANNEL_ID, getZedChannel, detectZedChannels, getZedDataDir } = require('./lib/zed-channels');
+const {
+  recordBarActivation,
+  getLastSeen,
+  resolveWindowRoots,
+  hasAmbiguousTitle,
+  findWindowTarget,
+} = require('./lib/project-identity');
+const { runCommandWithTimeout, spawnCommand, getSpawnStats } = require('./lib/process-utils');
+const { createGitStatusPoller } = require('./lib/git-status');
+const { DEFAULT_KEYBINDINGS, getKeybindingLabel, parseKeybindings } = require('./lib/keybindings');
+const { createControlServer } = require('./lib/control-socket');
+const { createJsonStore, writeFileAtomic } = require('./lib/json-store');
+const {
+  buildManifest,
+  parseManifest,
+  isInsideRoot,
+  resolveManifestPath,
+  resolveLocalRemote,
+  planManifestImport,
+} = require('./lib/workspace-manifest');
+const { DEEP_LINK_PROTOCOL, findDeepLinkInArgv, parseDeepLink } = require('./lib/deep-link');
+const { buildDisplayLayouts, getBarBounds, findDisplayForRect, scaleRect } = require('./lib/displays');
+const { TAB_LAYOUT_POLICIES, normalizeLayoutPolicy, planWindowPlacements } = require('./lib/window-layout');
+const { SETTING_FIELDS, DEFAULT_SETTINGS, normalizeSettings, isVerticalDock } = require('./lib/settings');
+const { getZedConfigDir, loadBarTheme } = require('./lib/zed-theme');
+const { createFrontDetector } = require('./lib/front-detector');
+const { createJobLog } = require('./lib/job-log');
+const { HOOK_EVENTS, normalizeHooks, createHookRunner } = require('./lib/project-hooks');
+const { createActivityLog, getActivityPeriod, summarizeActivity, formatActivityCsv } = require('./lib/activity-log');
 // ============================================================================
 // SINGLE INSTANCE LOCK - 防止多开僵尸进程
 // ============================================================================
@@ -20,7 +71,13 @@ if (!gotTheLock) {
   // 已有实例运行，直接退出
   app.quit();
 } else {
-  app.on('second-instance', () => {
+  app.on('second-instance', (_, argv) => {
+    // Linux 上点击 zed-workspace:// 链接会以第二个实例的形式带着链接启动，转交给当前实例
+    const url = findDeepLinkInArgv(argv);
+    if (url) {
+      handleDeepLink(url);
+      return;
+    }
     // 有人尝试启动第二个实例，聚焦现有窗口
     if (mainWindow) {
       if (mainWindow.isMinimized()) mainWindow.restore();
@@ -34,140 +91,217 @@ if (!gotTheLock) {
 // ============================================================================
 const CONFIG_PATH = path.join(app.getPath('userData'), 'projects.json');
 const DIALOG_STATE_PATH = path.join(app.getPath('userData'), 'dialog_state.json');
-const ZED_DB_PATH = path.join(app.getPath('home'), 'Library/Application Support/Zed/db/0-stable/db.sqlite');
-const BAR_HEIGHT = 36;
-const ZED_WORKSPACE_CACHE_TTL_MS = 60 * 1000;
-const OSASCRIPT_TIMEOUT_MS = 3000;
+const SETTINGS_PATH = path.join(app.getPath('userData'), 'settings.json');
+const SESSION_PATH = path.join(app.getPath('userData'), 'session.json');
+const KEYBINDINGS_PATH = path.join(app.getPath('userData'), 'keybindings.json');
+const WINDOW_FRAMES_PATH = path.join(app.getPath('userData'), 'window_frames.json');
+// 本地控制 socket（bin/zwm.js 连接这里）；ZWM_SOCKET 可覆盖，需与 CLI 一致
+const CONTROL_SOCKET_PATH = process.env.ZWM_SOCKET || path.join(app.getPath('userData'), 'zwm.sock');
+const ZED_CHANNELS = detectZedChannels({ home: app.getPath('home') });
 const SQLITE_TIMEOUT_MS = 2000;
-const HIDE_CHECK_INTERVAL_MS = 1000;
-const ZED_ADJUST_DEBOUNCE_MS = 1500;
-const FRONT_STATE_SEPARATOR = '||';
-const LSAPPINFO_FRONT_COMMAND = 'lsappinfo info "$(lsappinfo front | tr -d \'\\n\')"';
-const ZED_FRONT_WINDOW_NAME_SCRIPT = `tell application "System Events"\ntell process "Zed"\nif (count of windows) > 0 then return name of front window\nend tell\nend tell`;
+// 插拔显示器 / 改分辨率时 display-metrics-changed 会连发多次
+const DISPLAY_CHANGE_DEBOUNCE_MS = 500;
+// 拖动 / 缩放窗口时每秒都会记一次位置，合并后再写盘
+const WINDOW_FRAMES_SAVE_DELAY_MS = 2000;
+const WINDOW_FRAMES_LIMIT = 200;
+// 恢复位置的脚本执行完之前，前台轮询读到的仍是旧位置，这段时间不记录
+const WINDOW_FRAME_RESTORE_SETTLE_MS = 3000;
+const SESSION_OPEN_INTERVAL_MS = 600;
+const SESSION_SNAPSHOT_TIMEOUT_MS = 2500;
+const RECENT_WORKSPACE_LIMIT = 100;
+const PATH_CHECK_TIMEOUT_MS = 300;
+const PATH_CHECK_CACHE_TTL_MS = 60 * 1000;
+const GIT_STATUS_INTERVAL_MS = 5000;
+const GIT_STATUS_MIN_REFRESH_MS = 15000;
+const GIT_TIMEOUT_MS = 2000;
+const GIT_CLONE_TIMEOUT_MS = 5 * 60 * 1000;
+const CONFIG_RELOAD_DEBOUNCE_MS = 200;
+// Zed 保存设置时会连续触发多次文件事件
+const THEME_RELOAD_DEBOUNCE_MS = 300;
+const PROJECT_HISTORY_LIMIT = 20;
+const SWITCHER_ITEM_LIMIT = 9;
+const PALETTE_HEIGHT = 440;
+// 左右停靠时面板展开在标签栏旁边
+const PALETTE_WIDTH = 600;
+const PREFERENCES_WINDOW_SIZE = { width: 480, height: 640 };
+const DIAGNOSTICS_WINDOW_SIZE = { width: 720, height: 640 };
+const HOOKS_WINDOW_SIZE = { width: 680, height: 640 };
+// 钩子输出推送给钩子窗口的最小间隔，避免输出很多时刷屏
+const HOOK_RUNS_PUSH_DELAY_MS = 250;
+const REPORTS_WINDOW_SIZE = { width: 760, height: 600 };
+const ACTIVITY_DIR = path.join(app.getPath('userData'), 'activity');
+// 系统空闲时间的检查间隔；判定离开后结束时间回退到最后一次输入
+const ACTIVITY_IDLE_CHECK_MS = 15000;
+// 外部命令任务日志（每行一个 JSON），写满 1MB 轮换，保留 3 个旧文件
+const JOB_LOG_PATH = path.join(app.getPath('userData'), 'logs', 'jobs.jsonl');
+const DEBUG_BUNDLE_RECENT_JOBS = 200;
+// 已打开窗口的跟踪：Zed 在前台 / 不在前台时的刷新间隔，以及按需刷新的最小间隔
+const OPEN_WINDOWS_REFRESH_MS = 5000;
+const OPEN_WINDOWS_IDLE_REFRESH_MS = 30000;
+const OPEN_WINDOWS_MIN_REFRESH_MS = 1000;
+const DEEP_LINK_CONFIRM_TIMEOUT_MS = 30 * 1000;
+const STORE_RECOVERY_TOAST_MS = 10000;
 let mainWindow = null;
+let preferencesWindow = null;
+let diagnosticsWindow = null;
+let hooksWindow = null;
+let reportsWindow = null;
+// 钩子窗口当前显示的项目（getProjectWindowKey）
+let hooksWindowKey = '';
+let hookRunsPushTimer = null;
+// 菜单 / 面板展开时标签栏向屏幕内侧多占的尺寸（横向停靠为高度，纵向为宽度）
+let barOverlay = 0;
+// 标签栏当前所在的显示器，跟随前台 Zed 窗口
+let barDisplayId = null;
+let displayChangeTimer = null;
+// 项目窗口 key -> 上次的位置尺寸（DIP）
+let windowFrames = {};
+let windowFramesSaveTimer = null;
+let windowFrameRestore = { key: '', until: 0 };
 let isSystemDialogOpen = false;
 let dialogState = { lastFolderPath: null };
-let zedWorkspaceCache = { mapping: {}, lastUpdated: 0 };
+let zedWorkspaceCache = { workspaces: [], lastUpdated: 0 };
 let zedWorkspaceRefreshPromise = null;
-let projectsMemoryCache = null;
-let hideCheckTimer = null;
+let projectStoreCache = null;
+let projectStoreLoadPromise = null;
+// 标签数据每变化一次加一；渲染层保存时带上，发现不一致说明数据已被外部或其他入口修改
+let projectStoreRevision = 0;
+// 前台检测结果对应的 Zed 通道（不在前台时为 null）与窗口适配的防抖
+let lastZedFrontChannel = null;
+let lastZedAdjustAt = 0;
+let zedAdjustTimer = null;
 let activeProject = null;
+let projectHistory = [];
+// 当前有 Zed 窗口的项目 key（getProjectWindowKey）；首次列出窗口之前为 null
+let openWindowKeys = null;
+let pendingClosedWindowKeys = new Set();
+// 已触发 open 钩子的项目：close 钩子只对它们触发，保证两者成对
+let hookOpenedWindowKeys = new Set();
+const unresolvedWindowTitles = new Set();
+let openWindowsTimer = null;
+let openWindowsRefreshPromise = null;
+let openWindowsRefreshedAt = 0;
+let isTrackingOpenWindows = false;
+// 活动记录：Zed（或标签栏）在前台、没有空闲、没有锁屏 / 睡眠时才计时
+let isActivityFocused = false;
+let isActivityIdle = false;
+let isSystemAsleep = false;
+let activityIdleTimer = null;
+let isSwitcherOpen = false;
+let frontZedChannel = DEFAULT_CHANNEL_ID;
+let settings = null;
+let sessionTaskRunning = false;
+let isQuitCleanupDone = false;
+const pathExistenceCache = new Map();
+let keybindingState = { bindings: {}, problems: [] };
+let configWatcher = null;
+// 标签栏配色（来自 Zed 当前主题）与 Zed 配置目录的监听
+let barTheme = null;
+let themeWatchers = [];
+let themeReloadTimer = null;
+// 渲染层加载完成前的链接与提示先排队；未知路径的链接等待用户在标签栏确认
+let isRendererReady = false;
+let pendingDeepLinks = [];
+let pendingToasts = [];
+let deepLinkConfirmation = null;
 // ============================================================================
-// APPLESCRIPT EXECUTOR - 双通道队列，用户操作优先，轮询可丢弃
+// SETTINGS STORE - settings.json 经 lib/json-store 原子写入、带 version 与迁移链（读写函数见下方 SETTINGS & SESSION STATE）
 // ============================================================================
-const userQueue = [];   // 用户操作：不可丢弃，优先执行
-const pollQueue = [];   // 轮询任务：可丢弃，新任务替换旧任务
-let isScriptRunning = false;
-function removeQueuedScriptsByTag(tag) {
-  if (!tag) return;
-  for (let i = userQueue.length - 1; i >= 0; i--) {
-    if (userQueue[i].tag === tag) userQueue.splice(i, 1);
-  }
-  for (let i = pollQueue.length - 1; i >= 0; i--) {
-    if (pollQueue[i].tag === tag) pollQueue.splice(i, 1);
-  }
-}
-function runAppleScript(script, callback, options = {}) {
-  const { priority = 'user', droppable = false, prepend = false, tag = null, replaceTag = false } = options;
-  if (replaceTag && tag) removeQueuedScriptsByTag(tag);
-  const entry = { script, callback, tag };
-  if (priority === 'poll') {
-    if (droppable) pollQueue.length = 0;
-    pollQueue.push(entry);
-  } else if (prepend) {
-    userQueue.unshift(entry);
-  } else {
-    userQueue.push(entry);
-  }
-  processScriptQueue();
-}
-function runAppleScriptPromise(script, options = {}) {
-  return new Promise((resolve, reject) => {
-    runAppleScript(script, (err, stdout) => {
-      if (err) return reject(err);
-      resolve(stdout || '');
-    }, options);
-  });
-}
-function processScriptQueue() {
-  if (isScriptRunning) return;
-  // 用户队列优先
-  const task = userQueue.shift() || pollQueue.shift();
-  if (!task) return;
-  isScriptRunning = true;
-  const { script, callback } = task;
-  const child = spawn('osascript', ['-e', script]);
-  let stdout = '';
-  let stderr = '';
-  let killed = false;
-  let callbackCalled = false;
-  // 安全回调：close + error 都可能触发，只调用一次
-  function safeCallback(err, result) {
-    if (callbackCalled) return;
-    callbackCalled = true;
-    clearTimeout(timeout);
-    isScriptRunning = false;
-    callback && callback(err, result);
-    setImmediate(processScriptQueue);
-  }
-  const timeout = setTimeout(() => { killed = true; child.kill('SIGKILL'); }, OSASCRIPT_TIMEOUT_MS);
-  child.stdout.on('data', (data) => { stdout += data; });
-  child.stderr.on('data', (data) => { stderr += data; });
-  child.on('close', (code) => {
-    if (killed) return safeCallback(new Error('timeout'), '');
-    if (code !== 0) return safeCallback(new Error(stderr), '');
-    safeCallback(null, stdout);
-  });
-  child.on('error', (err) => {
-    safeCallback(err, '');
-  });
-}
-function getFrontState(callback) {
-  const child = spawn('sh', ['-lc', LSAPPINFO_FRONT_COMMAND]);
-  let stdout = '';
-  let stderr = '';
-  let killed = false;
-  let callbackCalled = false;
-  const safeCallback = (err, result) => {
-    if (callbackCalled) return;
-    callbackCalled = true;
-    clearTimeout(timeout);
-    callback(err, result);
-  };
-  const timeout = setTimeout(() => { killed = true; child.kill('SIGKILL'); }, OSASCRIPT_TIMEOUT_MS);
-  child.stdout.on('data', (data) => { stdout += data; });
-  child.stderr.on('data', (data) => { stderr += data; });
-  child.on('close', (code) => {
-    if (killed) return safeCallback(new Error('timeout'));
-    if (code !== 0) return safeCallback(new Error(stderr || 'lsappinfo failed'));
-    const match = stdout.match(/^"([^"]+)".*?\bpid = (\d+)/ms);
-    if (!match) return safeCallback(new Error('invalid lsappinfo output'));
-    const frontApp = match[1];
-    const frontPid = Number(match[2]);
-    if (frontApp !== 'Zed') return safeCallback(null, { frontApp, frontPid, frontWindowName: '' });
-    runAppleScript(ZED_FRONT_WINDOW_NAME_SCRIPT, (err, output) => {
-      safeCallback(err, { frontApp, frontPid, frontWindowName: (output || '').trim() });
-    }, { priority: 'poll', droppable: true, tag: 'front-zed-window', replaceTag: true });
-  });
-  child.on('error', (err) => {
-    safeCallback(err);
-  });
-}
+const SETTINGS_SCHEMA_VERSION = 1;
+
+// v0 为没有 version 字段的早期文件
+const SETTINGS_MIGRATIONS = {
+  // v0 -> v1：字段不变，逐项校验后写回带 version 的文件
+  0: raw => normalizeSettings(raw),
+};
+
+// 字段、取值范围与默认值见 lib/settings；窗口后端与脚本队列创建时就要读取，所以放在最前面并同步读取
+const settingsJsonStore = createJsonStore({
+  filePath: SETTINGS_PATH,
+  version: SETTINGS_SCHEMA_VERSION,
+  detectVersion: raw => (raw && typeof raw === 'object' && !Array.isArray(raw)
+    ? (Number.isInteger(raw.version) ? raw.version : 0)
+    : null),
+  migrations: SETTINGS_MIGRATIONS,
+  createDefault: () => ({ ...DEFAULT_SETTINGS }),
+});
+// ============================================================================
+// WINDOW BACKEND - macOS (AppleScript) / X11 (wmctrl) / fake，按平台选择
+// ============================================================================
+const jobLog = createJobLog({ filePath: JOB_LOG_PATH });
+configureScriptQueue({
+  timeoutMs: getSettings().scriptTimeoutMs,
+  onJob: job => jobLog.record({ kind: 'script', ...job }),
+});
+const windowBackend = createWindowBackend({ timeoutMs: getSettings().scriptTimeoutMs });
+// 优先用后端的常驻监听进程，不可用或退出时改为自适应轮询（见 lib/front-detector）
+const frontDetector = createFrontDetector({
+  backend: windowBackend,
+  onState: handleFrontState,
+  getPollIntervalMs: () => getSettings().pollIntervalMs,
+  isPaused: () => isSystemDialogOpen,
+});
+// ============================================================================
+// PROJECT HOOKS - 标签的首次打开 / 激活 / 窗口关闭钩子，受监管的子进程（见 lib/project-hooks）
+// ============================================================================
+const hookRunner = createHookRunner({
+  onStatusChange: (key, status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('hook-status-changed', { key, status });
+  },
+  onRunsChange: scheduleHookRunsPush,
+  // 任务日志只记事件与结果，不记命令内容
+  onRunFinished: run => jobLog.record({
+    kind: 'hook',
+    command: 'hook',
+    tag: run.event,
+    priority: null,
+    waitMs: 0,
+    runMs: run.endedAt - run.startedAt,
+    outcome: run.outcome,
+    error: run.outcome === 'error' ? (run.exitCode !== null ? `exit code ${run.exitCode}` : 'failed to start') : null,
+  }),
+});
+// ============================================================================
+// ACTIVITY LOG - 本地项目使用时长（见 lib/activity-log），只写 userData/activity
+// ============================================================================
+const activityLog = createActivityLog({ dirPath: ACTIVITY_DIR });
+// ============================================================================
+// GIT STATUS - 标签仓库状态，独立定时器串行执行 git，不占用脚本队列与前台轮询
+// ============================================================================
+const gitStatusPoller = createGitStatusPoller({
+  runCommand: runCommandWithTimeout,
+  getPaths: async () => (await loadProjects()).map(project => project.path),
+  onChange: (repoPath, status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('git-status-changed', { path: repoPath, status });
+  },
+  intervalMs: GIT_STATUS_INTERVAL_MS,
+  minRefreshMs: GIT_STATUS_MIN_REFRESH_MS,
+  timeoutMs: GIT_TIMEOUT_MS,
+});
 // ============================================================================
 // WINDOW CREATION
 // ============================================================================
+function getBarSize() {
+  const { dock, barHeight, barWidth } = getSettings();
+  return isVerticalDock(dock) ? barWidth : barHeight;
+}
+
 function getWindowConfig() {
-  const { width } = screen.getPrimaryDisplay().workAreaSize;
+  const { x, y, width, height } = getBarBounds(screen.getPrimaryDisplay().workArea, {
+    dock: getSettings().dock,
+    barSize: getBarSize(),
+  });
   return {
-    width, height: BAR_HEIGHT, x: 0, y: 0,
+    width, height, x, y,
     frame: false, transparent: false, alwaysOnTop: true,
     resizable: false, skipTaskbar: true, hasShadow: false,
-    backgroundColor: '#1e1e1e',
+    backgroundColor: getBarTheme().colors.barBackground,
     webPreferences: { nodeIntegration: true, contextIsolation: false },
   };
 }
 function createWindow() {
   mainWindow = new BrowserWindow(getWindowConfig());
+  barDisplayId = screen.getPrimaryDisplay().id;
   mainWindow.loadFile('index.html');
   mainWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
   mainWindow.setIgnoreMouseEvents(false);
@@ -175,446 +309,2419 @@ function createWindow() {
   mainWindow.setAlwaysOnTop(true, 'floating', 1);
 }
 // ============================================================================
-// PROJECT DATA
+// PREFERENCES - 偏好设置窗口：表单由 lib/settings 的字段生成，修改经 update-settings 立即生效
 // ============================================================================
-async function loadProjects() {
-  if (projectsMemoryCache) return projectsMemoryCache;
 
-  try {
-    if (fs.existsSync(CONFIG_PATH)) {
-      const rawProjects = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
-      const sourceProjects = Array.isArray(rawProjects) ? rawProjects : [];
+// 偏好设置与诊断共用：已打开则前置，否则新建
+function openToolWindow(current, options) {
+  if (current && !current.isDestroyed()) {
+    current.show();
+    current.focus();
+    return current;
+  }
+  const win = new BrowserWindow({
+    ...options.size,
+    title: options.title,
+    resizable: Boolean(options.resizable),
+    minimizable: false,
+    maximizable: false,
+    backgroundColor: getBarTheme().colors.surfaceBackground,
+    webPreferences: { nodeIntegration: true, contextIsolation: false },
+  });
+  win.setMenuBarVisibility(false);
+  win.loadFile(options.file);
+  // 标签栏平时不抢焦点，工具窗口需要键盘输入
+  if (process.platform === 'darwin') app.focus({ steal: true });
+  return win;
+}
 
-      // 数据迁移：旧格式 { name } -> 新格式 { path, displayName }
-      const needsMigration = sourceProjects.some(p => (
-        p && p.name && !p.path && !p.displayName
-      ));
-      const workspaces = needsMigration ? await getZedWorkspacesFresh() : null;
-
-      const projects = sourceProjects.map(p => {
-        if (p.name && !p.path && !p.displayName) {
-          // 旧格式，需要迁移
-          const projectPath = workspaces ? (workspaces[p.name] || null) : null;
-          return {
-            path: projectPath,
-            displayName: p.name,
-            color: p.color
-          };
-        }
-        // 已经是新格式或部分新格式
-        return {
-          path: p.path || null,
-          displayName: p.displayName || p.name,
-          color: p.color
-        };
-      });
+function openPreferencesWindow() {
+  const win = openToolWindow(preferencesWindow, { size: PREFERENCES_WINDOW_SIZE, title: '偏好设置', file: 'preferences.html' });
+  if (win === preferencesWindow) return;
+  preferencesWindow = win;
+  win.on('closed', () => { preferencesWindow = null; });
+}
 
-      if (needsMigration) {
-        saveProjects(projects);
-        console.log('Migrated projects to new format');
-      }
+// 标签栏自己的窗口：标签栏、偏好设置、诊断、钩子、活动报告（主题与设置变化都推送给它们）
+function getAppWindows() {
+  return [mainWindow, preferencesWindow, diagnosticsWindow, hooksWindow, reportsWindow].filter(win => win && !win.isDestroyed());
+}
+
+// ============================================================================
+// DIAGNOSTICS - 诊断窗口：脚本队列深度、外部命令任务的失败与耗时分位数、前台检测统计，以及复制调试信息包
+// ============================================================================
+
+function openDiagnosticsWindow() {
+  const win = openToolWindow(diagnosticsWindow, {
+    size: DIAGNOSTICS_WINDOW_SIZE,
+    title: '诊断',
+    file: 'diagnostics.html',
+    resizable: true,
+  });
+  if (win === diagnosticsWindow) return;
+  diagnosticsWindow = win;
+  win.on('closed', () => { diagnosticsWindow = null; });
+}
+
+function getDiagnostics() {
+  return {
+    queue: getScriptQueueState(),
+    jobs: jobLog.getSummary(),
+    detector: getDetectorStats(),
+    logPath: JOB_LOG_PATH,
+  };
+}
+
+// 提交问题时附上的调试信息：环境、设置、诊断汇总、最近任务与日志末尾（不含标签与路径列表）
+function buildDebugBundle() {
+  return {
+    generatedAt: new Date().toISOString(),
+    app: { version: app.getVersion(), electron: process.versions.electron || null, node: process.versions.node },
+    platform: { os: process.platform, arch: process.arch, backend: windowBackend.name },
+    zedChannels: ZED_CHANNELS.map(channel => channel.id),
+    settings: getSettings(),
+    diagnostics: getDiagnostics(),
+    recentJobs: jobLog.getRecent(DEBUG_BUNDLE_RECENT_JOBS),
+    logTail: jobLog.readTail(),
+  };
+}
+
+function copyDebugBundle() {
+  const text = JSON.stringify(buildDebugBundle(), null, 2);
+  clipboard.writeText(text);
+  return { ok: true, length: text.length };
+}
+
+// ============================================================================
+// HOOKS - 标签钩子的触发与钩子窗口：编辑命令、工作目录与环境变量，查看每次运行的输出
+// ============================================================================
 
-      projectsMemoryCache = projects;
-      return projects;
+async function findProjectByWindowKey(key) {
+  const store = await loadProjectStore();
+  const matches = store.groups.flatMap(group => group.projects).filter(project => getProjectWindowKey(project) === key);
+  return matches.find(project => project.hooks) || matches[0] || null;
+}
+
+async function runProjectHooks(event, key) {
+  if (!key) return;
+  // 窗口关闭时先停掉该项目的常驻钩子（钩子已被删掉时也停）
+  if (event === 'close') hookRunner.stopPersistent(key);
+  const project = await findProjectByWindowKey(key);
+  if (project && project.hooks) await hookRunner.run(key, project, event);
+}
+
+// 钩子可能运行很久，触发方不等待
+function startProjectHooks(event, key) {
+  runProjectHooks(event, key).catch(err => console.error(`Failed to run ${event} hooks:`, err));
+}
+
+// 同一项目在多个分组里都有标签时一起更新
+async function saveProjectHooks(key, hooks) {
+  const store = await loadProjectStore();
+  const projects = store.groups.flatMap(group => group.projects).filter(project => key && getProjectWindowKey(project) === key);
+  if (projects.length === 0) throw new Error('标签已不存在，无法保存钩子');
+  const normalized = normalizeHooks(hooks);
+  projects.forEach((project) => { project.hooks = normalized; });
+  writeProjectStore();
+  await notifyProjectsChanged();
+  return normalized || [];
+}
+
+function openHooksWindow(project) {
+  const key = getProjectWindowKey(project);
+  if (!key) throw new Error('没有路径的标签不能设置钩子');
+  hooksWindowKey = key;
+  const win = openToolWindow(hooksWindow, { size: HOOKS_WINDOW_SIZE, title: '钩子', file: 'hooks.html', resizable: true });
+  // 已打开时换成新的项目
+  if (win === hooksWindow) {
+    win.webContents.send('hooks-target-changed');
+    return;
+  }
+  hooksWindow = win;
+  win.on('closed', () => { hooksWindow = null; });
+}
+
+async function getProjectHooksState() {
+  const key = hooksWindowKey;
+  const project = await findProjectByWindowKey(key);
+  return {
+    key,
+    project: project ? { displayName: project.displayName, path: project.path, roots: project.roots } : null,
+    hooks: (project && project.hooks) || [],
+    events: HOOK_EVENTS,
+    runs: hookRunner.getRuns(key),
+  };
+}
+
+function scheduleHookRunsPush(key) {
+  if (key !== hooksWindowKey || hookRunsPushTimer || !hooksWindow || hooksWindow.isDestroyed()) return;
+  hookRunsPushTimer = setTimeout(() => {
+    hookRunsPushTimer = null;
+    if (hooksWindow && !hooksWindow.isDestroyed()) {
+      hooksWindow.webContents.send('hook-runs-changed', { key: hooksWindowKey, runs: hookRunner.getRuns(hooksWindowKey) });
     }
-  } catch (e) {
-    console.error('Failed to load projects:', e);
+  }, HOOK_RUNS_PUSH_DELAY_MS);
+}
+
+// ============================================================================
+// ACTIVITY - 本地活动记录与报告：按前台项目计时（空闲 / 锁屏 / 睡眠暂停），按天 / 周汇总并导出
+// ============================================================================
+
+function toActivityProject(project) {
+  const key = project ? getProjectWindowKey(project) : '';
+  if (!key) return null;
+  const { roots, channel } = normalizeOpenRequest(project);
+  return { key, name: project.displayName || getWorkspaceTitle(roots), channel, roots };
+}
+
+// 前台、空闲、锁屏或设置变化后调用；当前项目未变时不产生新的时间段
+function updateActivity(at) {
+  const isCounting = getSettings().trackActivity && isActivityFocused && !isActivityIdle && !isSystemAsleep;
+  activityLog.track(isCounting ? toActivityProject(activeProject) : null, at);
+}
+
+function checkActivityIdle() {
+  const idleMs = powerMonitor.getSystemIdleTime() * 1000;
+  const isIdle = idleMs >= getSettings().activityIdleMinutes * 60 * 1000;
+  if (isIdle === isActivityIdle) return;
+  isActivityIdle = isIdle;
+  // 离开的时间从最后一次输入算起，不计入项目
+  updateActivity(isIdle ? Date.now() - idleMs : undefined);
+}
+
+function startActivityTracking() {
+  clearInterval(activityIdleTimer);
+  activityIdleTimer = null;
+  isActivityIdle = false;
+  if (getSettings().trackActivity) activityIdleTimer = setInterval(checkActivityIdle, ACTIVITY_IDLE_CHECK_MS);
+  updateActivity();
+}
+
+function stopActivityTracking() {
+  clearInterval(activityIdleTimer);
+  activityIdleTimer = null;
+  activityLog.stop();
+}
+
+function restartActivityTracking() {
+  startActivityTracking();
+  if (reportsWindow && !reportsWindow.isDestroyed()) reportsWindow.webContents.send('activity-changed');
+}
+
+// 锁屏与睡眠期间不计时；powerMonitor 只能在 ready 之后使用
+function watchPowerState() {
+  const setAsleep = (asleep) => {
+    isSystemAsleep = asleep;
+    updateActivity();
+  };
+  powerMonitor.on('suspend', () => setAsleep(true));
+  powerMonitor.on('lock-screen', () => setAsleep(true));
+  powerMonitor.on('resume', () => setAsleep(false));
+  powerMonitor.on('unlock-screen', () => setAsleep(false));
+}
+
+function openReportsWindow() {
+  const win = openToolWindow(reportsWindow, { size: REPORTS_WINDOW_SIZE, title: '活动报告', file: 'reports.html', resizable: true });
+  if (win === reportsWindow) return;
+  reportsWindow = win;
+  win.on('closed', () => { reportsWindow = null; });
+}
+
+// 标签（所有分组）按窗口键对应的名称；报告里有标签的记录显示标签名
+async function getActivityTabNames() {
+  const store = await loadProjectStore();
+  const names = new Map();
+  store.groups.forEach((group) => {
+    group.projects.forEach((project) => {
+      const key = getProjectWindowKey(project);
+      if (key && !names.has(key)) names.set(key, project.displayName || getWorkspaceTitle(normalizeRoots(project.roots)));
+    });
+  });
+  return names;
+}
+
+// range: day | week；offset: 0 为本日 / 本周，-1 为前一天 / 上周
+async function getActivityReport(range = 'week', offset = 0) {
+  const period = getActivityPeriod(range, Number(offset) || 0);
+  const intervals = activityLog.readIntervals(period.start, period.end);
+  const report = summarizeActivity(intervals, { start: period.start, end: period.end, names: await getActivityTabNames() });
+  return {
+    ...report,
+    range: period.range,
+    offset: period.offset,
+    isTracking: getSettings().trackActivity,
+    current: activityLog.getCurrent(),
+    dirPath: ACTIVITY_DIR,
+    intervals,
+  };
+}
+
+function toSeconds(ms) {
+  return Math.round(ms / 1000);
+}
+
+// JSON 含每天合计与截到报告范围内的原始时间段，时长单位为秒
+function buildActivityExport(report) {
+  const secondsByDay = totals => Object.fromEntries(Object.entries(totals).map(([day, ms]) => [day, toSeconds(ms)]));
+  return {
+    generatedAt: new Date().toISOString(),
+    range: report.range,
+    start: new Date(report.start).toISOString(),
+    end: new Date(report.end).toISOString(),
+    totalSeconds: toSeconds(report.totalMs),
+    totals: secondsByDay(report.totals),
+    projects: report.projects.map(item => ({
+      name: item.name,
+      isTab: item.isTab,
+      channel: item.channel,
+      roots: item.roots,
+      totalSeconds: toSeconds(item.totalMs),
+      totals: secondsByDay(item.totals),
+    })),
+    intervals: report.intervals.map(interval => ({
+      start: new Date(Math.max(report.start, interval.start)).toISOString(),
+      end: new Date(Math.min(report.end, interval.end)).toISOString(),
+      name: interval.name,
+      channel: interval.channel,
+      roots: interval.roots,
+    })),
+  };
+}
+
+async function exportActivityReport(range, offset, format = 'csv') {
+  const report = await getActivityReport(range, offset);
+  if (report.projects.length === 0) return { ok: false, message: '这段时间没有活动记录' };
+  const extension = format === 'json' ? 'json' : 'csv';
+  const content = extension === 'json'
+    ? `${JSON.stringify(buildActivityExport(report), null, 2)}\n`
+    : formatActivityCsv(report);
+  const rangeLabel = report.days.length > 1 ? `${report.days[0]}_${report.days[report.days.length - 1]}` : report.days[0];
+
+  return runSystemDialog(async (dialog, targetWindow) => {
+    const saveOptions = {
+      title: '导出活动报告',
+      defaultPath: path.join(app.getPath('downloads'), `zed-activity-${rangeLabel}.${extension}`),
+      filters: [extension === 'json' ? { name: 'JSON', extensions: ['json'] } : { name: 'CSV', extensions: ['csv'] }],
+    };
+    const result = targetWindow
+      ? await dialog.showSaveDialog(targetWindow, saveOptions)
+      : await dialog.showSaveDialog(saveOptions);
+    if (result.canceled || !result.filePath) return { ok: false, canceled: true, message: '' };
+    try {
+      fs.writeFileSync(result.filePath, content);
+    } catch (e) {
+      console.error('Failed to export activity report:', e);
+      return { ok: false, message: `写入报告失败：${e.message}` };
+    }
+    return { ok: true, path: result.filePath, message: `已导出到 ${path.basename(result.filePath)}` };
+  }, reportsWindow);
+}
+
+// ============================================================================
+// THEME - 标签栏配色与字体跟随 Zed 当前主题；Zed 设置、主题文件或系统明暗变化时推送给渲染层
+// ============================================================================
+
+function loadCurrentBarTheme() {
+  const home = app.getPath('home');
+  return loadBarTheme({
+    configDir: getZedConfigDir({ home }),
+    dataDir: getZedDataDir(process.platform, home, process.env),
+    prefersDark: nativeTheme.shouldUseDarkColors,
+  });
+}
+
+function getBarTheme() {
+  if (!barTheme) barTheme = loadCurrentBarTheme();
+  return barTheme;
+}
+
+function refreshBarTheme() {
+  const nextTheme = loadCurrentBarTheme();
+  if (barTheme && JSON.stringify(nextTheme) === JSON.stringify(barTheme)) return;
+  barTheme = nextTheme;
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.setBackgroundColor(barTheme.colors.barBackground);
+  getAppWindows().forEach(win => win.webContents.send('theme-changed', barTheme));
+}
+
+function scheduleBarThemeRefresh() {
+  clearTimeout(themeReloadTimer);
+  themeReloadTimer = setTimeout(() => {
+    themeReloadTimer = null;
+    try {
+      refreshBarTheme();
+    } catch (e) {
+      console.error('Failed to reload Zed theme:', e);
+    }
+  }, THEME_RELOAD_DEBOUNCE_MS);
+}
+
+function watchZedTheme() {
+  // 与 CONFIG WATCH 相同，监听目录而非文件；主题目录不存在时只监听 settings.json 所在目录
+  const configDir = getZedConfigDir({ home: app.getPath('home') });
+  const watchTargets = [
+    { dir: configDir, matches: filename => filename === 'settings.json' || filename === 'themes' },
+    { dir: path.join(configDir, 'themes'), matches: filename => !filename || filename.endsWith('.json') },
+  ];
+  watchTargets.forEach(({ dir, matches }) => {
+    if (!fs.existsSync(dir)) return;
+    try {
+      themeWatchers.push(fs.watch(dir, (_, filename) => {
+        if (matches(filename)) scheduleBarThemeRefresh();
+      }));
+    } catch (e) {
+      console.error(`Failed to watch ${dir}:`, e);
+    }
+  });
+  // 主题设为 mode: system 时跟随系统明暗
+  nativeTheme.on('updated', scheduleBarThemeRefresh);
+}
+
+function stopWatchingZedTheme() {
+  clearTimeout(themeReloadTimer);
+  themeReloadTimer = null;
+  themeWatchers.forEach(watcher => watcher.close());
+  themeWatchers = [];
+}
+
+// ============================================================================
+// DISPLAYS - 标签栏跟随前台 Zed 窗口所在的显示器；每块屏幕的停靠边都留出标签栏
+// ============================================================================
+
+function getBackendScale() {
+  // X11 后端用物理像素；Electron 在 Linux 上所有屏幕共用一个缩放比
+  return windowBackend.usesDevicePixels ? screen.getPrimaryDisplay().scaleFactor : 1;
+}
+
+function getDisplayLayouts() {
+  return buildDisplayLayouts(screen.getAllDisplays(), {
+    dock: getSettings().dock,
+    barSize: getBarSize(),
+    primaryId: screen.getPrimaryDisplay().id,
+  });
+}
+
+function moveBarToDisplay(display) {
+  if (!mainWindow || mainWindow.isDestroyed() || !display) return;
+  barDisplayId = display.id;
+  // 展开尺寸保持不变：面板 / 下拉菜单展开时换屏也不收起
+  mainWindow.setBounds(getBarBounds(display.workArea, {
+    dock: getSettings().dock,
+    barSize: getBarSize(),
+    overlay: barOverlay,
+  }));
+}
+
+function getBarDisplay() {
+  return screen.getAllDisplays().find(item => item.id === barDisplayId) || screen.getPrimaryDisplay();
+}
+
+// 菜单 / 面板需要的额外空间；0 表示收起为只有标签栏
+function setBarOverlay(extent) {
+  barOverlay = Math.max(0, Math.round(Number(extent) || 0));
+  moveBarToDisplay(getBarDisplay());
+}
+
+// 前台 Zed 窗口换到另一块屏幕时把标签栏挪过去，返回是否挪动
+function followZedWindowDisplay(windowBounds) {
+  if (!windowBounds) return false;
+  const layout = findDisplayForRect(getDisplayLayouts(), scaleRect(windowBounds, 1 / getBackendScale()));
+  if (!layout || layout.id === barDisplayId) return false;
+  moveBarToDisplay(screen.getAllDisplays().find(display => display.id === layout.id));
+  return true;
+}
+
+function handleDisplaysChanged() {
+  clearTimeout(displayChangeTimer);
+  displayChangeTimer = setTimeout(() => {
+    displayChangeTimer = null;
+    // 标签栏所在屏幕被拔掉时回到主屏；工作区变化（分辨率、Dock、菜单栏）后重新贴齐
+    moveBarToDisplay(getBarDisplay());
+    adjustZedWindows();
+  }, DISPLAY_CHANGE_DEBOUNCE_MS);
+}
+
+function watchDisplays() {
+  ['display-added', 'display-removed', 'display-metrics-changed'].forEach((eventName) => {
+    screen.on(eventName, handleDisplaysChanged);
+  });
+}
+
+// ============================================================================
+// PROJECT DATA - projects.json v2：{ version, activeGroupId, groups: [{ id, name, projects }] }
+// ============================================================================
+//
+// 版本与迁移链（lib/json-store 逐级执行，迁移前的原文件强制进备份）：
+//   v0  扁平数组，含旧格式 { name } 条目
+//   v1  扁平数组，条目为 { path, roots, displayName, color, channel }
+//   v2  命名分组
+const PROJECTS_SCHEMA_VERSION = 2;
+const DEFAULT_GROUP_ID = 'default';
+const DEFAULT_GROUP_NAME = '默认';
+
+function isLegacyProjectEntry(p) {
+  return Boolean(p && p.name && !p.path && !p.displayName);
+}
+
+function normalizeProjectEntry(p) {
+  // 多根工作区：roots 保存全部根目录，path 恒为首个根目录（兼容旧数据与按路径匹配的逻辑）
+  const roots = normalizeRoots(Array.isArray(p.roots) && p.roots.length > 0 ? p.roots : [p.path]);
+  return {
+    path: roots[0] || null,
+    roots,
+    displayName: p.displayName || p.name,
+    color: p.color,
+    channel: p.channel || undefined,
+    // 未设置时跟随全局窗口布局
+    layout: normalizeLayoutPolicy(p.layout, TAB_LAYOUT_POLICIES),
+    // 由「自动添加新打开的项目窗口」加入、尚未被用户固定；窗口关闭后可被自动移除
+    autoAdded: p.autoAdded === true ? true : undefined,
+    hooks: normalizeHooks(p.hooks),
+  };
+}
+
+function migrateProjectEntry(p, workspaces) {
+  if (!isLegacyProjectEntry(p)) return normalizeProjectEntry(p);
+  // 旧格式 { name } -> 新格式 { path, displayName }
+  const workspace = workspaces ? findWorkspaceByLabel(workspaces, p.name) : null;
+  return normalizeProjectEntry({
+    roots: workspace ? workspace.roots : [],
+    displayName: p.name,
+    color: p.color
+  });
+}
+
+function createGroupId() {
+  return `group-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function createEmptyProjectStore() {
+  return {
+    version: PROJECTS_SCHEMA_VERSION,
+    activeGroupId: DEFAULT_GROUP_ID,
+    groups: [{ id: DEFAULT_GROUP_ID, name: DEFAULT_GROUP_NAME, projects: [] }],
+  };
+}
+
+function normalizeProjectStore(store) {
+  const groups = (Array.isArray(store.groups) ? store.groups : [])
+    .filter(group => group && group.id)
+    .map(group => ({
+      id: String(group.id),
+      name: String(group.name || DEFAULT_GROUP_NAME),
+      projects: Array.isArray(group.projects) ? group.projects : [],
+    }));
+  if (groups.length === 0) return createEmptyProjectStore();
+  const activeGroupId = groups.some(group => group.id === store.activeGroupId)
+    ? store.activeGroupId
+    : groups[0].id;
+  return { version: PROJECTS_SCHEMA_VERSION, activeGroupId, groups };
+}
+
+function detectProjectsVersion(raw) {
+  if (Array.isArray(raw)) return raw.some(isLegacyProjectEntry) ? 0 : 1;
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.groups)) return null;
+  // 分组格式最早就带 version 字段
+  return Number.isInteger(raw.version) ? raw.version : 2;
+}
+
+const PROJECTS_MIGRATIONS = {
+  // v0 -> v1：旧格式 { name } 按名称从 Zed 数据库找回路径
+  0: async (entries) => {
+    const workspaces = await getZedWorkspacesFresh();
+    return entries.filter(Boolean).map(p => migrateProjectEntry(p, workspaces));
+  },
+  // v1 -> v2：扁平数组整体迁入默认分组
+  1: entries => ({
+    activeGroupId: DEFAULT_GROUP_ID,
+    groups: [{ id: DEFAULT_GROUP_ID, name: DEFAULT_GROUP_NAME, projects: entries.filter(Boolean) }],
+  }),
+};
+
+const projectJsonStore = createJsonStore({
+  filePath: CONFIG_PATH,
+  version: PROJECTS_SCHEMA_VERSION,
+  detectVersion: detectProjectsVersion,
+  migrations: PROJECTS_MIGRATIONS,
+  createDefault: createEmptyProjectStore,
+});
+
+// resetLabel：没有可用备份时重置成了什么
+function reportStoreRecovery(fileName, recovery, resetLabel = '空') {
+  const kept = recovery.corruptPath ? `，损坏的文件已另存为 ${path.basename(recovery.corruptPath)}` : '';
+  const message = recovery.backupPath
+    ? `${fileName} 已损坏，已从备份 ${path.basename(recovery.backupPath)} 恢复${kept}`
+    : `${fileName} 已损坏且没有可用备份，已重置为${resetLabel}${kept}`;
+  console.error(message);
+  showBarToast(message, 'error', STORE_RECOVERY_TOAST_MS);
+}
+
+function normalizeLoadedProjectStore(data) {
+  const store = normalizeProjectStore(data);
+  store.groups.forEach((group) => {
+    group.projects = group.projects.filter(Boolean).map(normalizeProjectEntry);
+  });
+  return store;
+}
+
+async function readProjectStore() {
+  const { data, recovery } = await projectJsonStore.load();
+  if (recovery) reportStoreRecovery('projects.json', recovery);
+  return normalizeLoadedProjectStore(data);
+}
+
+async function loadProjectStore() {
+  if (projectStoreCache) return projectStoreCache;
+  // 迁移 / 恢复会移动文件，并发调用共用同一次读取
+  if (!projectStoreLoadPromise) {
+    projectStoreLoadPromise = readProjectStore()
+      .catch((e) => {
+        console.error('Failed to load projects:', e);
+        return createEmptyProjectStore();
+      })
+      .then((store) => {
+        projectStoreCache = store;
+        projectStoreLoadPromise = null;
+        return store;
+      });
   }
-  projectsMemoryCache = [];
-  return projectsMemoryCache;
+  return projectStoreLoadPromise;
 }
 
-function saveProjects(projects) {
-  projectsMemoryCache = Array.isArray(projects) ? projects : [];
+function writeProjectStore() {
+  projectStoreRevision++;
+  projectJsonStore.save(projectStoreCache);
+}
+
+async function reloadProjectStoreFromDisk() {
+  // 还没读过或文件被删除（编辑器"改名再写"的中间态）时不处理
+  if (!projectStoreCache || !fs.existsSync(CONFIG_PATH)) return;
+  let store;
   try {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(projectsMemoryCache, null, 2));
+    store = normalizeLoadedProjectStore((await projectJsonStore.load({ recover: false })).data);
   } catch (e) {
-    console.error('Failed to save projects:', e);
+    // 手动编辑到一半的文件：保留内存中的标签，不覆盖也不移走用户的文件
+    console.error('Ignored invalid external projects.json:', e.message);
+    showBarToast(`projects.json 格式有误，已忽略这次修改：${e.message}`);
+    return;
+  }
+  // 自己刚写入的内容也会触发监听：规范化后与内存一致就忽略
+  const current = normalizeLoadedProjectStore(JSON.parse(JSON.stringify(projectStoreCache)));
+  if (JSON.stringify(store) === JSON.stringify(current)) return;
+
+  projectStoreCache = store;
+  projectStoreRevision++;
+  await notifyProjectsChanged();
+  showBarToast('已载入 projects.json 的外部修改', 'info');
+}
+
+async function saveProjectsWithRevision(projects, revision) {
+  await loadProjectStore();
+  // 渲染层看到的是旧数据（外部编辑、zwm、链接等刚改过）：拒绝覆盖，把最新内容交回去
+  if (Number.isInteger(revision) && revision !== projectStoreRevision) {
+    return { ok: false, conflict: true, snapshot: await getProjectGroupsSnapshot() };
+  }
+  saveProjects(projects);
+  return { ok: true, revision: projectStoreRevision };
+}
+
+function getActiveGroup(store) {
+  return store.groups.find(group => group.id === store.activeGroupId) || store.groups[0];
+}
+
+async function loadProjects() {
+  // 标签栏、快捷键只面向当前分组
+  return getActiveGroup(await loadProjectStore()).projects;
+}
+
+function saveProjects(projects) {
+  if (!projectStoreCache) projectStoreCache = createEmptyProjectStore();
+  getActiveGroup(projectStoreCache).projects = Array.isArray(projects) ? projects : [];
+  writeProjectStore();
+}
+
+async function getProjectGroupsSnapshot() {
+  const store = await loadProjectStore();
+  return {
+    activeGroupId: store.activeGroupId,
+    groups: store.groups.map(group => ({ id: group.id, name: group.name, count: group.projects.length })),
+    projects: getActiveGroup(store).projects,
+    revision: projectStoreRevision,
+  };
+}
+
+async function notifyProjectsChanged() {
+  const snapshot = await getProjectGroupsSnapshot();
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('projects-changed', snapshot);
+  return snapshot;
+}
+
+async function switchProjectGroup(groupId) {
+  const store = await loadProjectStore();
+  if (!store.groups.some(group => group.id === groupId)) return getProjectGroupsSnapshot();
+  store.activeGroupId = groupId;
+  writeProjectStore();
+  return notifyProjectsChanged();
+}
+
+async function createProjectGroup(name) {
+  const store = await loadProjectStore();
+  const group = { id: createGroupId(), name: String(name || '').trim() || '新分组', projects: [] };
+  store.groups.push(group);
+  store.activeGroupId = group.id;
+  writeProjectStore();
+  return notifyProjectsChanged();
+}
+
+async function renameProjectGroup(groupId, name) {
+  const store = await loadProjectStore();
+  const group = store.groups.find(item => item.id === groupId);
+  const nextName = String(name || '').trim();
+  if (group && nextName) {
+    group.name = nextName;
+    writeProjectStore();
+  }
+  return notifyProjectsChanged();
+}
+
+async function deleteProjectGroup(groupId) {
+  const store = await loadProjectStore();
+  const index = store.groups.findIndex(group => group.id === groupId);
+  // 至少保留一个分组；被删分组的标签并入剩余的第一个分组，避免误删数据
+  if (index === -1 || store.groups.length <= 1) return getProjectGroupsSnapshot();
+  const [removed] = store.groups.splice(index, 1);
+  const target = store.groups[0];
+  const existingKeys = new Set(target.projects.map(p => normalizeRoots(p.roots).join('\n')).filter(Boolean));
+  removed.projects.forEach((p) => {
+    const key = normalizeRoots(p.roots).join('\n');
+    if (!key || !existingKeys.has(key)) target.projects.push(p);
+  });
+  if (store.activeGroupId === groupId) store.activeGroupId = target.id;
+  writeProjectStore();
+  return notifyProjectsChanged();
+}
+
+async function moveProjectToGroup(index, groupId) {
+  const store = await loadProjectStore();
+  const source = getActiveGroup(store);
+  const target = store.groups.find(group => group.id === groupId);
+  if (!target || target === source || !source.projects[index]) return getProjectGroupsSnapshot();
+  const [project] = source.projects.splice(index, 1);
+  target.projects.push(project);
+  writeProjectStore();
+  return notifyProjectsChanged();
+}
+
+function getProjectIndexOrThrow(projects, index) {
+  const value = Number(index);
+  if (!Number.isInteger(value) || value < 0 || value >= projects.length) {
+    throw new Error(`标签序号超出范围：${index}（当前分组共 ${projects.length} 个标签）`);
   }
+  return value;
+}
+
+async function addProject(request, options = {}) {
+  const { roots, displayName, channel } = normalizeOpenRequest(request);
+  if (roots.length === 0) throw new Error('缺少项目路径，无法固定为标签');
+  const projects = await loadProjects();
+  const key = getProjectWindowKey({ roots, channel });
+  // 同通道同一组根目录已有标签时不重复添加
+  const existingIndex = projects.findIndex(project => getProjectWindowKey(project) === key);
+  if (existingIndex !== -1) return { added: false, index: existingIndex, project: projects[existingIndex] };
+
+  const project = normalizeProjectEntry({
+    roots,
+    displayName: displayName || getWorkspaceTitle(roots),
+    color: request && request.color,
+    channel,
+    autoAdded: options.autoAdded,
+  });
+  const index = Number.isInteger(options.index)
+    ? Math.max(0, Math.min(options.index, projects.length))
+    : projects.length;
+  projects.splice(index, 0, project);
+  saveProjects(projects);
+  await notifyProjectsChanged();
+  return { added: true, index, project };
+}
+
+async function removeProject(index) {
+  const projects = await loadProjects();
+  const [removed] = projects.splice(getProjectIndexOrThrow(projects, index), 1);
+  saveProjects(projects);
+  await notifyProjectsChanged();
+  return removed;
+}
+
+async function moveProject(fromIndex, toIndex) {
+  const projects = await loadProjects();
+  const from = getProjectIndexOrThrow(projects, fromIndex);
+  const to = getProjectIndexOrThrow(projects, toIndex);
+  const [project] = projects.splice(from, 1);
+  projects.splice(to, 0, project);
+  saveProjects(projects);
+  await notifyProjectsChanged();
+  return projects;
 }
 
 // ============================================================================
 // DIALOG STATE
 // ============================================================================
 
-function loadDialogState() {
+const DIALOG_STATE_SCHEMA_VERSION = 1;
+
+const dialogStateJsonStore = createJsonStore({
+  filePath: DIALOG_STATE_PATH,
+  version: DIALOG_STATE_SCHEMA_VERSION,
+  // 早期文件没有 version 字段，结构与 v1 相同
+  detectVersion: raw => (raw && typeof raw === 'object' && !Array.isArray(raw)
+    ? (Number.isInteger(raw.version) ? raw.version : 1)
+    : null),
+  createDefault: () => ({ lastFolderPath: null }),
+});
+
+async function loadDialogState() {
   try {
-    if (fs.existsSync(DIALOG_STATE_PATH)) {
-      const state = JSON.parse(fs.readFileSync(DIALOG_STATE_PATH, 'utf-8'));
-      return {
-        lastFolderPath: state.lastFolderPath || null,
-      };
-    }
+    const { data, recovery } = await dialogStateJsonStore.load();
+    // 只影响对话框默认目录，记日志即可，不打扰用户
+    if (recovery) console.error('dialog_state.json was corrupt, recovered:', recovery);
+    return { lastFolderPath: data.lastFolderPath || null };
   } catch (e) {
     console.error('Failed to load dialog state:', e);
+    return { lastFolderPath: null };
   }
-  return { lastFolderPath: null };
 }
 
 function saveDialogState(state) {
+  dialogStateJsonStore.save(state);
+}
+
+function isSlowDialogPath(folderPath) {
+  if (!folderPath) return true;
+  const normalized = path.normalize(folderPath);
+
+  // 云盘/网络卷常触发首次枚举卡顿
+  if (normalized.includes('/Library/CloudStorage/')) return true;
+  if (normalized.includes('/Library/Mobile Documents/')) return true;
+  if (normalized.startsWith('/Volumes/')) return true;
+  if (normalized.startsWith('/Network/')) return true;
+
+  return false;
+}
+
+function resolveDialogDefaultPath() {
+  const lastFolderPath = dialogState.lastFolderPath;
+  // 先检查是否慢路径，避免 fs.existsSync 在网络/云盘路径上阻塞
+  if (lastFolderPath && !isSlowDialogPath(lastFolderPath) && fs.existsSync(lastFolderPath)) {
+    return lastFolderPath;
+  }
+
+  const downloadsPath = app.getPath('downloads');
+  if (downloadsPath && fs.existsSync(downloadsPath)) {
+    return downloadsPath;
+  }
+
+  return app.getPath('home');
+}
+
+// ============================================================================
+// WINDOW LAYOUT - Zed 进入前台时按策略摆放窗口、记住每个项目的窗口位置、平铺
+// ============================================================================
+
+const WINDOW_FRAMES_SCHEMA_VERSION = 1;
+
+const windowFramesJsonStore = createJsonStore({
+  filePath: WINDOW_FRAMES_PATH,
+  version: WINDOW_FRAMES_SCHEMA_VERSION,
+  createDefault: () => ({ frames: {} }),
+});
+
+async function loadWindowFrames() {
+  try {
+    const { data, recovery } = await windowFramesJsonStore.load();
+    // 只是窗口位置记录，记日志即可
+    if (recovery) console.error('window_frames.json was corrupt, recovered:', recovery);
+    return data.frames && typeof data.frames === 'object' ? data.frames : {};
+  } catch (e) {
+    console.error('Failed to load window frames:', e);
+    return {};
+  }
+}
+
+function scheduleWindowFramesSave() {
+  clearTimeout(windowFramesSaveTimer);
+  windowFramesSaveTimer = setTimeout(() => {
+    windowFramesSaveTimer = null;
+    // 只保留最近用过的项目
+    const entries = Object.entries(windowFrames)
+      .sort(([, a], [, b]) => (b.savedAt || 0) - (a.savedAt || 0))
+      .slice(0, WINDOW_FRAMES_LIMIT);
+    windowFrames = Object.fromEntries(entries);
+    windowFramesJsonStore.save({ frames: windowFrames });
+  }, WINDOW_FRAMES_SAVE_DELAY_MS);
+}
+
+function flushWindowFrames() {
+  if (!windowFramesSaveTimer) return;
+  clearTimeout(windowFramesSaveTimer);
+  windowFramesSaveTimer = null;
+  windowFramesJsonStore.save({ frames: windowFrames });
+}
+
+function rememberWindowFrame(project, bounds) {
+  const key = project ? getProjectWindowKey(project) : '';
+  if (!key || !bounds) return;
+  if (windowFrameRestore.key === key && Date.now() < windowFrameRestore.until) return;
+  const previous = windowFrames[key];
+  if (previous && previous.x === bounds.x && previous.y === bounds.y
+    && previous.width === bounds.width && previous.height === bounds.height) return;
+  windowFrames[key] = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, savedAt: Date.now() };
+  scheduleWindowFramesSave();
+}
+
+// 所有分组的标签：key -> { layout, tileIndex }；当前分组排在前面，平铺顺序即标签顺序
+async function getTabLayouts() {
+  const store = await loadProjectStore();
+  const activeGroup = getActiveGroup(store);
+  const tabLayouts = new Map();
+  [activeGroup, ...store.groups.filter(group => group !== activeGroup)]
+    .flatMap(group => group.projects)
+    .forEach((project, index) => {
+      const key = getProjectWindowKey(project);
+      if (key && !tabLayouts.has(key)) {
+        tabLayouts.set(key, { layout: normalizeLayoutPolicy(project.layout, TAB_LAYOUT_POLICIES), tileIndex: index });
+      }
+    });
+  return tabLayouts;
+}
+
+function getWindowLayoutPolicy(tabLayouts, key) {
+  const tab = tabLayouts.get(key);
+  return (tab && tab.layout) || getSettings().windowLayout;
+}
+
+function toBackendPlacements(placements) {
+  const scale = getBackendScale();
+  return placements.map(placement => ({ ...placement, frame: scaleRect(placement.frame, scale) }));
+}
+
+// 按各窗口（所属标签或全局）的策略摆放该通道的 Zed 窗口，返回移动的窗口数
+async function adjustZedWindows(channelId = frontZedChannel) {
+  try {
+    const channel = getZedChannel(channelId).id;
+    const scale = getBackendScale();
+    const [entries, tabLayouts, workspaces] = await Promise.all([
+      windowBackend.listWindows(channel),
+      getTabLayouts(),
+      getZedWorkspacesFresh(),
+    ]);
+    const windows = resolveWindowRoots(entries, workspaces).map(window => ({
+      id: window.id,
+      title: window.title,
+      bounds: window.bounds ? scaleRect(window.bounds, 1 / scale) : null,
+      key: getProjectWindowKey({ roots: window.roots, channel }),
+    }));
+    const layouts = getDisplayLayouts();
+    const placements = planWindowPlacements(windows, {
+      layouts,
+      tileLayout: layouts.find(layout => layout.id === barDisplayId) || layouts[0],
+      dock: getSettings().dock,
+      getPolicy: window => getWindowLayoutPolicy(tabLayouts, window.key),
+      getTileIndex: window => tabLayouts.get(window.key).tileIndex,
+      getRememberedFrame: window => windowFrames[window.key] || null,
+    });
+    if (placements.length > 0) windowBackend.setWindowFrames(toBackendPlacements(placements), channel);
+    return placements.length;
+  } catch (err) {
+    console.error('Failed to adjust Zed windows:', err);
+    return 0;
+  }
+}
+
+// 前台项目切换时：设为记住位置的项目恢复上次的位置和尺寸
+async function restoreProjectWindowFrame(project, windowName) {
+  const key = project ? getProjectWindowKey(project) : '';
+  const remembered = key ? windowFrames[key] : null;
+  if (!remembered || !windowName) return;
+  if (getWindowLayoutPolicy(await getTabLayouts(), key) !== 'remember') return;
+  const [placement] = planWindowPlacements([{ id: null, title: windowName, bounds: null, key }], {
+    layouts: getDisplayLayouts(),
+    dock: getSettings().dock,
+    getPolicy: () => 'remember',
+    getRememberedFrame: () => remembered,
+  });
+  if (!placement) return;
+  windowFrameRestore = { key, until: Date.now() + WINDOW_FRAME_RESTORE_SETTLE_MS };
+  // 前台窗口即同标题窗口中 z 序第一个
+  windowBackend.setWindowFrames(toBackendPlacements([placement]), getZedChannel(project.channel).id);
+}
+
+// 分组菜单 / 快捷键：立即按策略整理所有通道的窗口，并把平铺的标签窗口前置
+async function arrangeZedWindows() {
+  const counts = await Promise.all(ZED_CHANNELS.map(channel => adjustZedWindows(channel.id)));
+  const tiled = (await loadProjects()).filter(project => project.layout === 'tile');
+  if (tiled.length > 0) {
+    const windowsByChannel = await listWindowsByChannel();
+    for (const project of tiled) {
+      const target = findProjectWindowTarget(project, windowsByChannel);
+      if (target) await windowBackend.raiseWindow({ ...target, channel: getZedChannel(project.channel).id });
+    }
+  }
+  const moved = counts.reduce((sum, count) => sum + count, 0);
+  return { ok: true, moved, message: moved > 0 ? `已整理 ${moved} 个 Zed 窗口` : 'Zed 窗口已按布局摆放，无需调整' };
+}
+
+// ============================================================================
+// SETTINGS & SESSION STATE
+// ============================================================================
+
+function loadSettings() {
+  try {
+    const { data, recovery } = settingsJsonStore.loadSync();
+    if (recovery) reportStoreRecovery('settings.json', recovery, '默认设置');
+    return normalizeSettings(data);
+  } catch (e) {
+    console.error('Failed to load settings:', e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+function saveSettings(next) {
+  settingsJsonStore.save(next);
+}
+
+function getSettings() {
+  if (!settings) settings = loadSettings();
+  return settings;
+}
+
+function hasSettingChanged(previous, next, keys) {
+  return keys.some(key => previous[key] !== next[key]);
+}
+
+// 设置变更立即生效：停靠与尺寸重新摆放标签栏并重新适配 Zed 窗口，轮询与超时重新配置
+function applySettings(previous, next) {
+  if (hasSettingChanged(previous, next, ['scriptTimeoutMs'])) {
+    configureScriptQueue({ timeoutMs: next.scriptTimeoutMs });
+    windowBackend.setTimeoutMs(next.scriptTimeoutMs);
+  }
+  if (hasSettingChanged(previous, next, ['pollIntervalMs'])) {
+    frontDetector.reconfigure();
+  }
+  if (hasSettingChanged(previous, next, ['trackActivity', 'activityIdleMinutes'])) {
+    restartActivityTracking();
+  }
+  if (hasSettingChanged(previous, next, ['dock', 'barHeight', 'barWidth'])) {
+    // 换停靠边时展开的菜单位置已不对，渲染层会随 settings-changed 一并收起
+    barOverlay = 0;
+    moveBarToDisplay(getBarDisplay());
+    adjustZedWindows();
+  }
+  getAppWindows().forEach(win => win.webContents.send('settings-changed', next));
+}
+
+function updateSettings(partial = {}) {
+  const previous = getSettings();
+  settings = normalizeSettings(partial, previous);
+  saveSettings(settings);
+  applySettings(previous, settings);
+  return settings;
+}
+
+// 外部修改：格式有误时保留当前设置，不动用户的文件
+function reloadSettingsFromDisk() {
+  if (!settings) return;
+  let next = null;
+  try {
+    next = normalizeSettings(settingsJsonStore.loadSync({ recover: false }).data);
+  } catch (e) {
+    console.error('Failed to reload settings:', e.message);
+    return;
+  }
+  if (JSON.stringify(next) === JSON.stringify(settings)) return;
+  const previous = settings;
+  settings = next;
+  applySettings(previous, settings);
+}
+
+const SESSION_SCHEMA_VERSION = 1;
+
+// 快照在退出时写入，经 json-store 原子写入，退出中途崩溃也不会留下半个文件
+const sessionJsonStore = createJsonStore({
+  filePath: SESSION_PATH,
+  version: SESSION_SCHEMA_VERSION,
+  // 早期文件没有 version 字段，结构与 v1 相同
+  detectVersion: raw => (raw && typeof raw === 'object' && !Array.isArray(raw)
+    ? (Number.isInteger(raw.version) ? raw.version : 1)
+    : null),
+  createDefault: () => ({ savedAt: 0, projects: [] }),
+});
+
+async function loadSession() {
+  try {
+    const { data, recovery } = await sessionJsonStore.load();
+    // 只影响启动时恢复哪些窗口，记日志即可
+    if (recovery) console.error('session.json was corrupt, recovered:', recovery);
+    return {
+      savedAt: Number(data.savedAt) || 0,
+      projects: (Array.isArray(data.projects) ? data.projects : []).filter(Boolean).map(normalizeProjectEntry),
+    };
+  } catch (e) {
+    console.error('Failed to load session:', e);
+    return { savedAt: 0, projects: [] };
+  }
+}
+
+function saveSession(projects) {
+  sessionJsonStore.save({ savedAt: Date.now(), projects });
+}
+
+// ============================================================================
+// ZED DATABASE - 读取工作区路径
+// ============================================================================
+
+function readZedWorkspaceRowsWithTimeout(dbPath, timeoutMs = SQLITE_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    // 多根工作区的 paths 以换行分隔，用 -json 输出避免按行拆分出错
+    const sql = "SELECT workspace_id, paths, paths_order, timestamp FROM workspaces WHERE paths IS NOT NULL AND paths != '' ORDER BY timestamp DESC;";
+    const child = spawnCommand('sqlite3', ['-json', dbPath, sql]);
+    const startedAt = Date.now();
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+    let settled = false;
+
+    // error 与 close 可能都触发，只结算（并记入任务日志）一次；tag 为通道的数据库目录（0-stable / 0-preview ...）
+    const settle = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      jobLog.record({
+        kind: 'sqlite',
+        command: 'sqlite3',
+        tag: path.basename(path.dirname(dbPath)),
+        priority: null,
+        waitMs: 0,
+        runMs: Date.now() - startedAt,
+        outcome: killed ? 'timeout' : (err ? 'error' : 'ok'),
+        error: err && !killed ? String(err.message).trim().slice(0, 500) : null,
+      });
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      killed = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+
+    child.on('error', err => settle(err));
+
+    child.on('close', (code) => {
+      if (killed) return settle(new Error('sqlite timeout'));
+      if (code !== 0) return settle(new Error(stderr || `sqlite exit code ${code}`));
+      settle(null, stdout);
+    });
+  });
+}
+
+function refreshZedWorkspaces() {
+  if (zedWorkspaceRefreshPromise) return zedWorkspaceRefreshPromise;
+
+  // 各通道各自一个数据库，逐个读取后按时间合并；单个通道失败不影响其他通道
+  const readChannel = channel => readZedWorkspaceRowsWithTimeout(channel.dbPath)
+    .then(stdout => parseZedWorkspaces(stdout).map(workspace => ({ ...workspace, channel: channel.id })));
+
+  zedWorkspaceRefreshPromise = new Promise((resolve) => {
+    Promise.allSettled(ZED_CHANNELS.map(readChannel))
+      .then((results) => {
+        const fulfilled = results.filter(result => result.status === 'fulfilled');
+        results
+          .filter(result => result.status === 'rejected')
+          .forEach(result => console.error('Failed to read Zed database:', result.reason));
+        if (fulfilled.length === 0) throw new Error('no readable Zed database');
+
+        const workspaces = fulfilled
+          .flatMap(result => result.value)
+          .sort((a, b) => b.timestamp - a.timestamp);
+        zedWorkspaceCache = {
+          workspaces,
+          lastUpdated: Date.now(),
+        };
+        resolve(workspaces);
+      })
+      .catch((err) => {
+        console.error('Failed to read Zed database:', err);
+        resolve(zedWorkspaceCache.workspaces);
+      })
+      .finally(() => {
+        zedWorkspaceRefreshPromise = null;
+      });
+  });
+
+  return zedWorkspaceRefreshPromise;
+}
+
+function getZedWorkspacesCached() {
+  // 返回缓存工作区列表并触发后台刷新，避免阻塞 UI
+  const now = Date.now();
+  const isStale = !zedWorkspaceCache.lastUpdated
+    || (now - zedWorkspaceCache.lastUpdated > getSettings().workspaceCacheTtlMs);
+
+  if (isStale) {
+    refreshZedWorkspaces();
+  }
+  return zedWorkspaceCache.workspaces;
+}
+
+async function getZedWorkspacesFresh() {
+  // 需要可靠工作区列表时使用，等待刷新完成
+  const now = Date.now();
+  const isStale = !zedWorkspaceCache.lastUpdated
+    || (now - zedWorkspaceCache.lastUpdated > getSettings().workspaceCacheTtlMs);
+
+  if (isStale) {
+    return await refreshZedWorkspaces();
+  }
+  return zedWorkspaceCache.workspaces;
+}
+
+// ============================================================================
+// ZED CONTROL (window backend)
+// ============================================================================
+
+function openProjectPathInZed(projectPath, channelId) {
+  if (!projectPath) return Promise.resolve(false);
+  return windowBackend.openPaths([projectPath], channelId);
+}
+
+function toProjectState(resolvedWindow) {
+  const roots = resolvedWindow.roots || [];
+  return {
+    path: roots[0] || null,
+    roots,
+    displayName: resolvedWindow.label,
+    channel: getZedChannel(resolvedWindow.channel).id
+  };
+}
+
+function getActiveProjectFromWindowName(windowName, channelId) {
+  if (!windowName) return null;
+  const channel = getZedChannel(channelId).id;
+  if (windowName === 'empty project') return { path: null, roots: [], displayName: 'empty project', channel };
+  // 前台窗口即同标题窗口中 z 序第一个，由身份解析层决定它背后是哪个工作区
+  const [resolved] = resolveWindowRoots([{ id: null, title: windowName, channel }], getZedWorkspacesCached());
+  return toProjectState(resolved);
+}
+
+function isSameProjectState(a, b) {
+  if (!a || !b) return a === b;
+  return a.displayName === b.displayName
+    && a.channel === b.channel
+    && normalizeRoots(a.roots).join('\n') === normalizeRoots(b.roots).join('\n');
+}
+
+function syncActiveProject(project) {
+  const nextProject = project || null;
+  if (isSameProjectState(activeProject, nextProject)) return;
+  activeProject = nextProject;
+  recordProjectActivation(activeProject);
+  if (activeProject && activeProject.path) gitStatusPoller.requestRefresh(activeProject.path);
+  if (activeProject) startProjectHooks('activate', getProjectWindowKey(activeProject));
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('active-project-changed', activeProject);
+}
+
+async function getZedWindows() {
+  return resolveZedWindows(await listWindowsByChannel());
+}
+
+function resolveZedWindows(windowsByChannel) {
+  // 每个已安装通道分别解析窗口；empty project 的序号按通道各自计数
+  return ZED_CHANNELS.flatMap((channel) => {
+    const entries = windowsByChannel.get(channel.id) || [];
+    let emptyCount = 0;
+    return resolveWindowRoots(entries, getZedWorkspacesCached()).map((resolved) => {
+      const windowName = resolved.title;
+      if (windowName === 'empty project') {
+        return {
+          windowName: `empty project (${++emptyCount})`,
+          path: null,
+          roots: [],
+          displayName: `empty project (${emptyCount})`,
+          channel: channel.id
+        };
+      }
+
+      return { windowName, ...toProjectState(resolved) };
+    });
+  });
+}
+
+async function activateZedWindowByName(windowName, channelId) {
+  if (!windowName) return false;
+  const channel = getZedChannel(channelId).id;
+
+  const match = windowName.match(/^empty project \((\d+)\)$/);
+  if (match) {
+    return windowBackend.raiseWindow({
+      title: 'empty project',
+      occurrence: parseInt(match[1], 10),
+      channel
+    });
+  }
+
+  return windowBackend.raiseWindow({
+    title: windowName,
+    titlePrefix: `${windowName} — `,
+    channel
+  });
+}
+
+async function activateWorkspaceWindow(roots, channelId) {
+  const workspaces = getZedWorkspacesCached().filter(workspace => workspace.channel === channelId);
+  const workspaceTitle = getWorkspaceTitle(roots);
+  if (!hasAmbiguousTitle(roots, workspaces)) return activateZedWindowByName(workspaceTitle, channelId);
+
+  // 存在同名工作区（如 ~/work/api 与 ~/oss/api）：先列出窗口确认目标
+  const windows = await windowBackend.listWindows(channelId);
+  const { target, sameTitleCount } = findWindowTarget(roots, windows, workspaces);
+  if (!target) return false;
+  if (sameTitleCount === 1) return windowBackend.raiseWindow({ ...target, channel: channelId });
+  // 多个同标题窗口无法仅凭标题区分：交给 Zed 按路径聚焦已打开的那个窗口，结果精确
+  return windowBackend.openPaths(roots, channelId);
+}
+
+function normalizeOpenRequest(request) {
+  // 兼容旧调用：字符串为路径（以 / 开头）或窗口名；对象为 { path, roots, displayName, channel }
+  if (typeof request === 'string') {
+    if (request.startsWith('/')) return { roots: [request], displayName: path.basename(request), channel: DEFAULT_CHANNEL_ID };
+    return { roots: [], displayName: request, channel: DEFAULT_CHANNEL_ID };
+  }
+  if (!request) return { roots: [], displayName: '', channel: DEFAULT_CHANNEL_ID };
+  const roots = normalizeRoots(Array.isArray(request.roots) && request.roots.length > 0 ? request.roots : [request.path]);
+  return {
+    roots,
+    displayName: request.displayName || request.name || '',
+    channel: getZedChannel(request.channel).id
+  };
+}
+
+async function openProject(request) {
+  const { roots, displayName, channel } = normalizeOpenRequest(request);
+  if (roots.length === 0 && !displayName) {
+    return {
+      ok: false,
+      activated: false,
+      opened: false,
+      message: '项目信息为空，无法打开'
+    };
+  }
+
+  // 有路径：先激活标题匹配的已打开窗口；如果没有匹配到，则把全部根目录一起打开
+  if (roots.length > 0) {
+    const workspaceTitle = getWorkspaceTitle(roots);
+    const activated = await activateWorkspaceWindow(roots, channel);
+
+    if (activated) {
+      recordBarActivation(roots);
+      recordProjectActivation({ roots, displayName, channel });
+      frontDetector.refresh();
+      return { ok: true, activated: true, opened: false, message: '' };
+    }
+
+    const opened = await windowBackend.openPaths(roots, channel);
+    if (opened) {
+      recordBarActivation(roots);
+      recordProjectActivation({ roots, displayName, channel });
+      frontDetector.refresh();
+      return { ok: true, activated: false, opened: true, message: '' };
+    }
+    return {
+      ok: false,
+      activated: false,
+      opened: false,
+      message: `未找到已打开窗口，且新开项目失败：${workspaceTitle}（${getZedChannel(channel).label}）`
+    };
+  }
+
+  // 无路径：只能按窗口名激活
+  const activated = await activateZedWindowByName(displayName, channel);
+  if (activated) {
+    frontDetector.refresh();
+    return { ok: true, activated: true, opened: false, message: '' };
+  }
+  return {
+    ok: false,
+    activated: false,
+    opened: false,
+    message: `未找到已打开窗口：${displayName}`
+  };
+}
+
+// ============================================================================
+// PROJECT HISTORY - 最近使用（MRU）栈，来源为前台轮询与标签栏打开
+// ============================================================================
+
+function recordProjectActivation(project) {
+  const key = project ? getProjectWindowKey(project) : '';
+  if (!key) return;
+  const activatedAt = Date.now();
+  if (projectHistory[0] && projectHistory[0].key === key) {
+    projectHistory[0].activatedAt = activatedAt;
+    return;
+  }
+
+  const { roots, displayName, channel } = normalizeOpenRequest(project);
+  const entry = {
+    key,
+    project: { path: roots[0], roots, displayName: displayName || getWorkspaceTitle(roots), channel },
+    activatedAt,
+  };
+  projectHistory = [entry, ...projectHistory.filter(item => item.key !== key)].slice(0, PROJECT_HISTORY_LIMIT);
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('project-history-changed', getProjectHistory());
+}
+
+function getProjectHistory() {
+  return projectHistory.map(({ key, project, activatedAt }) => ({ key, ...project, activatedAt }));
+}
+
+function getPreviousProject() {
+  // 历史栈顶通常就是当前项目，取第一个不是当前项目的
+  const activeKey = activeProject ? getProjectWindowKey(activeProject) : '';
+  const entry = projectHistory.find(item => item.key !== activeKey);
+  return entry ? entry.project : null;
+}
+
+// ============================================================================
+// SESSION - 一键打开 / 关闭全部标签，退出时记录、启动时恢复
+// ============================================================================
+
+function getProjectWindowKey(project) {
+  const { roots, channel } = normalizeOpenRequest(project);
+  return roots.length > 0 ? `${channel}\n${roots.join('\n')}` : '';
+}
+
+async function listWindowsByChannel(options) {
+  const entries = await Promise.all(ZED_CHANNELS.map(async channel => [channel.id, await windowBackend.listWindows(channel.id, options)]));
+  return new Map(entries);
+}
+
+function findProjectWindowTarget(project, windowsByChannel) {
+  const { roots, channel } = normalizeOpenRequest(project);
+  if (roots.length === 0) return null;
+  const windows = windowsByChannel.get(channel) || [];
+  const workspaces = getZedWorkspacesCached().filter(workspace => workspace.channel === channel);
+  const { target } = findWindowTarget(roots, windows, workspaces);
+  if (target || hasAmbiguousTitle(roots, workspaces)) return target;
+
+  // 数据库里还没有该工作区（或读取失败）：标题没有歧义时直接按标题定位
+  const title = getWorkspaceTitle(roots);
+  const match = windows.find(window => window.title === title || window.title.startsWith(`${title} — `));
+  return match ? { id: match.id || null, title, titlePrefix: `${title} — `, occurrence: 1 } : null;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runSessionTask(task) {
+  if (sessionTaskRunning) {
+    return { ok: false, count: 0, skipped: 0, failed: 0, message: '上一批操作还在进行中，请稍候' };
+  }
+  sessionTaskRunning = true;
+  try {
+    return await task();
+  } finally {
+    sessionTaskRunning = false;
+  }
+}
+
+function openAllProjects(projectList) {
+  return runSessionTask(async () => {
+    const projects = projectList || await loadProjects();
+    await getZedWorkspacesFresh();
+    const windowsByChannel = await listWindowsByChannel();
+    const handledKeys = new Set();
+    let count = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const project of projects) {
+      const key = getProjectWindowKey(project);
+      // 无路径的标签（empty project）无法新开；已有窗口的不重复打开
+      if (!key || handledKeys.has(key) || findProjectWindowTarget(project, windowsByChannel)) {
+        skipped++;
+        continue;
+      }
+      handledKeys.add(key);
+      const { roots, channel } = normalizeOpenRequest(project);
+      // 逐个经用户队列交给 Zed，并留出间隔，避免一次性涌入大量窗口
+      if (count + failed > 0) await delay(SESSION_OPEN_INTERVAL_MS);
+      const opened = await windowBackend.openPaths(roots, channel, { throttled: true });
+      if (opened) {
+        recordBarActivation(roots);
+        count++;
+      } else {
+        failed++;
+      }
+    }
+
+    return {
+      ok: failed === 0,
+      count,
+      skipped,
+      failed,
+      message: failed > 0 ? `已打开 ${count} 个项目，${failed} 个打开失败` : `已打开 ${count} 个项目`
+    };
+  });
+}
+
+function closeAllProjects(projectList) {
+  return runSessionTask(async () => {
+    const projects = projectList || await loadProjects();
+    await getZedWorkspacesFresh();
+    let count = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const project of projects) {
+      const { channel } = normalizeOpenRequest(project);
+      // 每关一个窗口都重新列出，z 序与同名窗口序号随之变化
+      const windowsByChannel = new Map([[channel, await windowBackend.listWindows(channel)]]);
+      const target = findProjectWindowTarget(project, windowsByChannel);
+      if (!target) {
+        skipped++;
+        continue;
+      }
+      // 走 Zed 自己的关闭流程：有未保存内容时 Zed 会弹出确认，窗口可能保留
+      const closed = await windowBackend.closeWindow({ ...target, channel });
+      if (closed) count++;
+      else failed++;
+    }
+
+    return {
+      ok: failed === 0,
+      count,
+      skipped,
+      failed,
+      message: failed > 0 ? `已请求关闭 ${count} 个窗口，${failed} 个关闭失败` : `已请求关闭 ${count} 个窗口`
+    };
+  });
+}
+
+async function saveSessionSnapshot() {
+  // 记录所有分组中当前有 Zed 窗口的标签，下次启动时恢复
+  const store = await loadProjectStore();
+  const windowsByChannel = await listWindowsByChannel();
+  const seen = new Set();
+  const liveProjects = [];
+  store.groups.forEach((group) => {
+    group.projects.forEach((project) => {
+      const key = getProjectWindowKey(project);
+      if (!key || seen.has(key) || !findProjectWindowTarget(project, windowsByChannel)) return;
+      seen.add(key);
+      liveProjects.push(project);
+    });
+  });
+  saveSession(liveProjects);
+}
+
+async function restoreLastSession() {
+  const { projects } = await loadSession();
+  if (projects.length === 0) return;
+  const result = await openAllProjects(projects);
+  if (!result.ok) console.error('Failed to restore session:', result.message);
+}
+
+// ============================================================================
+// OPEN WINDOWS - 持续跟踪已打开的 Zed 窗口：标签是否有窗口、自动添加新窗口、自动移除已关闭的标签
+// ============================================================================
+
+// 能解析出根目录的窗口，加上能按标题定位到窗口的标签（数据库里还没有该工作区时）
+function getOpenWindowKeys(windowsByChannel, resolvedWindows, projects) {
+  const keys = new Set(resolvedWindows.map(getProjectWindowKey).filter(Boolean));
+  projects.forEach((project) => {
+    const key = getProjectWindowKey(project);
+    if (key && !keys.has(key) && findProjectWindowTarget(project, windowsByChannel)) keys.add(key);
+  });
+  return keys;
+}
+
+function isSameKeySet(a, b) {
+  return Boolean(a && b) && a.size === b.size && [...a].every(key => b.has(key));
+}
+
+async function autoPinOpenedWindows(windows) {
+  const store = await loadProjectStore();
+  // 任一分组已有该项目时不再添加
+  const pinnedKeys = new Set(store.groups.flatMap(group => group.projects).map(getProjectWindowKey));
+  for (const window of windows) {
+    const key = getProjectWindowKey(window);
+    if (pinnedKeys.has(key)) continue;
+    pinnedKeys.add(key);
+    await addProject(window, { autoAdded: true });
+  }
+}
+
+async function removeClosedAutoAddedTabs(closedKeys) {
+  const store = await loadProjectStore();
+  let removedCount = 0;
+  store.groups.forEach((group) => {
+    const kept = group.projects.filter(project => !(project.autoAdded && closedKeys.has(getProjectWindowKey(project))));
+    removedCount += group.projects.length - kept.length;
+    group.projects = kept;
+  });
+  if (removedCount === 0) return;
+  writeProjectStore();
+  await notifyProjectsChanged();
+}
+
+async function updateOpenWindows() {
+  openWindowsRefreshedAt = Date.now();
+  const windowsByChannel = await listWindowsByChannel({ background: true });
+  let resolvedWindows = resolveZedWindows(windowsByChannel);
+  // 新窗口的工作区可能还不在缓存里：每个未识别的标题只强制重读一次数据库
+  const unresolvedTitles = resolvedWindows
+    .filter(window => window.roots.length === 0 && !window.windowName.startsWith('empty project'))
+    .map(window => window.windowName)
+    .filter(title => !unresolvedWindowTitles.has(title));
+  if (unresolvedTitles.length > 0) {
+    unresolvedTitles.forEach(title => unresolvedWindowTitles.add(title));
+    await refreshZedWorkspaces();
+    resolvedWindows = resolveZedWindows(windowsByChannel);
+  }
+
+  const store = await loadProjectStore();
+  const nextKeys = getOpenWindowKeys(windowsByChannel, resolvedWindows, store.groups.flatMap(group => group.projects));
+  const previousKeys = openWindowKeys;
+  // 连续两次都没列出才算关闭，避免一次列窗口失败（超时返回空列表）就移除标签；只缺了一次又出现的也不算新打开
+  const closedKeys = new Set([...pendingClosedWindowKeys].filter(key => !nextKeys.has(key)));
+  // 首次列出的窗口作为基准，不算新打开
+  const openedKeys = new Set(previousKeys
+    ? [...nextKeys].filter(key => !previousKeys.has(key) && !pendingClosedWindowKeys.has(key))
+    : []);
+  pendingClosedWindowKeys = new Set(previousKeys ? [...previousKeys].filter(key => !nextKeys.has(key)) : []);
+  openWindowKeys = nextKeys;
+
+  const { autoPinNewWindows, autoRemoveClosedTabs } = getSettings();
+  if (autoPinNewWindows && openedKeys.size > 0) {
+    await autoPinOpenedWindows(resolvedWindows.filter(window => openedKeys.has(getProjectWindowKey(window))));
+  }
+  // 钩子不以首次列出为基准：标签栏启动时已经打开的窗口也触发 open，之后关闭时才有对应的 close
+  nextKeys.forEach((key) => {
+    if (hookOpenedWindowKeys.has(key)) return;
+    hookOpenedWindowKeys.add(key);
+    startProjectHooks('open', key);
+  });
+  closedKeys.forEach((key) => {
+    if (!hookOpenedWindowKeys.delete(key)) return;
+    startProjectHooks('close', key);
+  });
+  if (autoRemoveClosedTabs && closedKeys.size > 0) await removeClosedAutoAddedTabs(closedKeys);
+  if (!isSameKeySet(previousKeys, nextKeys) && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('open-windows-changed', [...nextKeys]);
+  }
+}
+
+function refreshOpenWindows() {
+  openWindowsTimer = null;
+  if (!openWindowsRefreshPromise) {
+    openWindowsRefreshPromise = updateOpenWindows()
+      .catch(err => console.error('Failed to track open windows:', err))
+      .finally(() => {
+        openWindowsRefreshPromise = null;
+        scheduleOpenWindowsRefresh();
+      });
+  }
+  return openWindowsRefreshPromise;
+}
+
+// Zed 在前台时较频繁地重新列窗口，其他应用在前台时低频兜底
+function scheduleOpenWindowsRefresh(delayMs = lastZedFrontChannel ? OPEN_WINDOWS_REFRESH_MS : OPEN_WINDOWS_IDLE_REFRESH_MS) {
+  clearTimeout(openWindowsTimer);
+  openWindowsTimer = isTrackingOpenWindows ? setTimeout(refreshOpenWindows, delayMs) : null;
+}
+
+// 窗口集合可能刚变过（Zed 进出前台、切到未知窗口、批量打开 / 关闭）：尽快刷新，但保持最小间隔
+function requestOpenWindowsRefresh() {
+  if (!isTrackingOpenWindows || openWindowsRefreshPromise) return;
+  scheduleOpenWindowsRefresh(Math.max(0, openWindowsRefreshedAt + OPEN_WINDOWS_MIN_REFRESH_MS - Date.now()));
+}
+
+function getOpenWindows() {
+  return openWindowKeys ? [...openWindowKeys] : null;
+}
+
+function startOpenWindowTracking() {
+  isTrackingOpenWindows = true;
+  scheduleOpenWindowsRefresh(0);
+}
+
+function stopOpenWindowTracking() {
+  isTrackingOpenWindows = false;
+  clearTimeout(openWindowsTimer);
+  openWindowsTimer = null;
+}
+
+// ============================================================================
+// MANIFEST - 团队清单：导出标签集合（相对路径 + git remote），导入时映射到本机并可从本地远端克隆
+// ============================================================================
+
+// parentWindow 为工具窗口（活动报告）时对话框挂在它上面，默认挂在标签栏
+async function runSystemDialog(task, parentWindow) {
+  // 与 select-folder 相同：系统对话框期间暂停前台轮询，并取消置顶以免挡住对话框
+  const { dialog } = require('electron');
+  const barWindow = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  const targetWindow = parentWindow && !parentWindow.isDestroyed() ? parentWindow : barWindow;
+  const previousAlwaysOnTop = targetWindow ? targetWindow.isAlwaysOnTop() : false;
+  isSystemDialogOpen = true;
+  if (targetWindow) {
+    targetWindow.setAlwaysOnTop(false);
+    if (targetWindow === barWindow) focusBarWindow();
+  }
   try {
-    fs.writeFileSync(DIALOG_STATE_PATH, JSON.stringify(state, null, 2));
-  } catch (e) {
-    console.error('Failed to save dialog state:', e);
+    return await task(dialog, targetWindow);
+  } finally {
+    if (targetWindow && !targetWindow.isDestroyed()) targetWindow.setAlwaysOnTop(previousAlwaysOnTop);
+    isSystemDialogOpen = false;
+    // 对话框期间的前台变化被丢弃了，立即重新探测
+    frontDetector.refresh();
   }
 }
 
-function isSlowDialogPath(folderPath) {
-  if (!folderPath) return true;
-  const normalized = path.normalize(folderPath);
-
-  // 云盘/网络卷常触发首次枚举卡顿
-  if (normalized.includes('/Library/CloudStorage/')) return true;
-  if (normalized.includes('/Library/Mobile Documents/')) return true;
-  if (normalized.startsWith('/Volumes/')) return true;
-  if (normalized.startsWith('/Network/')) return true;
-
-  return false;
+async function chooseDirectory(dialog, targetWindow, options) {
+  const dialogOptions = { properties: ['openDirectory', 'createDirectory'], dontAddToRecent: true, ...options };
+  const result = targetWindow
+    ? await dialog.showOpenDialog(targetWindow, dialogOptions)
+    : await dialog.showOpenDialog(dialogOptions);
+  return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
 }
 
-function resolveDialogDefaultPath() {
-  const lastFolderPath = dialogState.lastFolderPath;
-  // 先检查是否慢路径，避免 fs.existsSync 在网络/云盘路径上阻塞
-  if (lastFolderPath && !isSlowDialogPath(lastFolderPath) && fs.existsSync(lastFolderPath)) {
-    return lastFolderPath;
+function getCommonParentPath(paths) {
+  // 各标签所在目录的公共父目录，作为导出根目录的默认值
+  const parts = paths.map(item => path.dirname(item).split(path.sep));
+  if (parts.length === 0) return app.getPath('home');
+  const common = [];
+  for (let index = 0; index < parts[0].length; index++) {
+    if (!parts.every(segments => segments[index] === parts[0][index])) break;
+    common.push(parts[0][index]);
   }
+  return common.join(path.sep) || path.sep;
+}
 
-  const downloadsPath = app.getPath('downloads');
-  if (downloadsPath && fs.existsSync(downloadsPath)) {
-    return downloadsPath;
+async function getGitRemote(repoPath) {
+  const run = args => runCommandWithTimeout('git', ['-C', repoPath, ...args], { timeoutMs: GIT_TIMEOUT_MS });
+  try {
+    return (await run(['remote', 'get-url', 'origin'])).trim() || null;
+  } catch (e) {
+    // 没有 origin 时取第一个远端；不是仓库则为 null
+    try {
+      const [first] = (await run(['remote'])).split('\n').map(line => line.trim()).filter(Boolean);
+      return first ? (await run(['remote', 'get-url', first])).trim() || null : null;
+    } catch (err) {
+      return null;
+    }
   }
+}
 
-  return app.getPath('home');
+async function getGitRemotes(paths) {
+  const unique = [...new Set(paths)];
+  const remotes = await Promise.all(unique.map(getGitRemote));
+  return new Map(unique.map((item, index) => [item, remotes[index]]));
 }
 
-// ============================================================================
-// ZED DATABASE - 读取工作区路径
-// ============================================================================
+async function exportManifest() {
+  const store = await loadProjectStore();
+  const group = getActiveGroup(store);
+  const roots = group.projects.flatMap(project => normalizeRoots(project.roots));
+  if (roots.length === 0) return { ok: false, message: '当前分组没有可导出的标签' };
+
+  return runSystemDialog(async (dialog, targetWindow) => {
+    const root = await chooseDirectory(dialog, targetWindow, {
+      title: '选择清单路径的相对根目录',
+      message: '清单中各项目路径将相对于此目录保存（通常是存放所有仓库的目录）',
+      defaultPath: getCommonParentPath(roots),
+    });
+    if (!root) return { ok: false, canceled: true, message: '' };
+    // 清单只能记录根目录下的相对路径，导入时才不会越出对方选的目录
+    const outside = roots.filter(rootPath => !isInsideRoot(root, rootPath));
+    if (outside.length > 0) {
+      return { ok: false, message: `${outside.length} 个项目目录不在所选根目录下，请选择包含所有仓库的目录：${outside[0]}` };
+    }
+
+    const saveOptions = {
+      title: '导出团队清单',
+      defaultPath: path.join(root, 'zed-workspaces.json'),
+      filters: [{ name: 'Zed 工作区清单', extensions: ['json'] }],
+    };
+    const result = targetWindow
+      ? await dialog.showSaveDialog(targetWindow, saveOptions)
+      : await dialog.showSaveDialog(saveOptions);
+    if (result.canceled || !result.filePath) return { ok: false, canceled: true, message: '' };
 
-function parseZedWorkspaces(raw) {
-  const mapping = {};
-  raw.trim().split('\n').forEach(p => {
-    if (!p) return;
-    const name = path.basename(p);
-    // 如果有同名项目，保留最近使用的（先出现的）
-    if (!mapping[name]) {
-      mapping[name] = p;
+    const manifest = buildManifest(group.projects, { root, name: group.name, remotes: await getGitRemotes(roots) });
+    try {
+      fs.writeFileSync(result.filePath, `${JSON.stringify(manifest, null, 2)}\n`);
+    } catch (e) {
+      console.error('Failed to export manifest:', e);
+      return { ok: false, message: `写入清单失败：${e.message}` };
     }
+    return { ok: true, path: result.filePath, message: `已导出 ${manifest.projects.length} 个项目到 ${path.basename(result.filePath)}` };
   });
-  return mapping;
 }
 
-function readZedWorkspaceRowsWithTimeout(timeoutMs = SQLITE_TIMEOUT_MS) {
-  return new Promise((resolve, reject) => {
-    const sql = 'SELECT paths FROM workspaces WHERE paths IS NOT NULL ORDER BY timestamp DESC;';
-    const child = spawn('sqlite3', [ZED_DB_PATH, sql]);
-    let stdout = '';
-    let stderr = '';
-    let killed = false;
+async function cloneManifestRoots(clonable, cloneDir, importRoot) {
+  // 同一仓库可能出现在多个条目里，只克隆一次
+  const results = new Map();
+  for (const item of clonable) {
+    if (results.has(item.localPath)) continue;
+    const target = cloneDir === importRoot ? item.localPath : resolveManifestPath(cloneDir, item.path);
+    if (!target) {
+      results.set(item.localPath, null);
+      continue;
+    }
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      await runCommandWithTimeout('git', ['clone', '--', resolveLocalRemote(item.remote), target], { timeoutMs: GIT_CLONE_TIMEOUT_MS });
+      results.set(item.localPath, target);
+    } catch (e) {
+      console.error(`Failed to clone ${item.remote}:`, e.message);
+      results.set(item.localPath, null);
+    }
+  }
+  return results;
+}
 
-    const timer = setTimeout(() => {
-      killed = true;
-      child.kill('SIGKILL');
-    }, timeoutMs);
+async function importManifest() {
+  return runSystemDialog(async (dialog, targetWindow) => {
+    const openOptions = {
+      title: '导入团队清单',
+      properties: ['openFile'],
+      filters: [{ name: 'Zed 工作区清单', extensions: ['json'] }],
+    };
+    const picked = targetWindow
+      ? await dialog.showOpenDialog(targetWindow, openOptions)
+      : await dialog.showOpenDialog(openOptions);
+    if (picked.canceled || picked.filePaths.length === 0) return { ok: false, canceled: true, message: '' };
 
-    child.stdout.on('data', (data) => { stdout += data; });
-    child.stderr.on('data', (data) => { stderr += data; });
+    let manifest;
+    try {
+      manifest = parseManifest(JSON.parse(fs.readFileSync(picked.filePaths[0], 'utf-8')));
+    } catch (e) {
+      return { ok: false, message: `无法读取清单：${e.message}` };
+    }
 
-    child.on('error', (err) => {
-      clearTimeout(timer);
-      reject(err);
+    const root = await chooseDirectory(dialog, targetWindow, {
+      title: '选择本机存放这些仓库的根目录',
+      message: '清单中的相对路径将在此目录下查找',
+      defaultPath: path.dirname(picked.filePaths[0]),
+    });
+    if (!root) return { ok: false, canceled: true, message: '' };
+
+    const projects = await loadProjects();
+    const existingRoots = projects.flatMap(project => normalizeRoots(project.roots));
+    const entries = await planManifestImport(manifest, {
+      root,
+      existingProjects: projects,
+      existingRemotes: await getGitRemotes(existingRoots),
+      pathExists: item => fs.promises.access(item).then(() => true, () => false),
     });
 
-    child.on('close', (code) => {
-      clearTimeout(timer);
-      if (killed) {
-        reject(new Error('sqlite timeout'));
+    const clonable = entries
+      .filter(entry => !entry.isExisting)
+      .flatMap(entry => entry.roots.filter(item => item.status === 'clonable'));
+    let cloned = new Map();
+    if (clonable.length > 0) {
+      const names = [...new Set(clonable.map(item => item.path))];
+      const messageOptions = {
+        type: 'question',
+        buttons: ['克隆到…', '跳过'],
+        defaultId: 0,
+        cancelId: 1,
+        message: `${names.length} 个仓库本机不存在，可从本地远端克隆`,
+        detail: names.join('\n'),
+      };
+      // 与其他对话框一致：没有标签栏窗口时用不带父窗口的重载，不传 null
+      const choice = targetWindow
+        ? await dialog.showMessageBox(targetWindow, messageOptions)
+        : await dialog.showMessageBox(messageOptions);
+      if (choice.response === 0) {
+        const cloneDir = await chooseDirectory(dialog, targetWindow, { title: '选择克隆到的目录', defaultPath: root });
+        if (cloneDir) cloned = await cloneManifestRoots(clonable, cloneDir, root);
+      }
+    }
+
+    // 合并：保持清单顺序追加到当前分组，已有的路径不重复添加
+    const seenKeys = new Set(projects.map(project => normalizeRoots(project.roots).join('\n')));
+    let added = 0;
+    let skipped = 0;
+    let missing = 0;
+    entries.forEach((entry) => {
+      const roots = entry.roots.map((item) => {
+        if (item.status === 'found') return item.localPath;
+        return cloned.get(item.localPath) || null;
+      });
+      if (roots.some(item => !item)) {
+        missing++;
         return;
       }
-      if (code !== 0) {
-        reject(new Error(stderr || `sqlite exit code ${code}`));
+      const key = normalizeRoots(roots).join('\n');
+      if (entry.isExisting || seenKeys.has(key)) {
+        skipped++;
         return;
       }
-      resolve(stdout);
+      seenKeys.add(key);
+      projects.push(normalizeProjectEntry({
+        roots,
+        displayName: entry.displayName || getWorkspaceTitle(roots),
+        color: entry.color,
+        channel: entry.channel ? getZedChannel(entry.channel).id : undefined,
+      }));
+      added++;
     });
+
+    if (added > 0) {
+      saveProjects(projects);
+      await notifyProjectsChanged();
+    }
+    const failedClones = [...cloned.values()].filter(item => !item).length;
+    const details = [
+      skipped > 0 ? `${skipped} 个已存在` : '',
+      missing > 0 ? `${missing} 个本机缺失` : '',
+      failedClones > 0 ? `${failedClones} 个克隆失败` : '',
+    ].filter(Boolean).join('，');
+    return {
+      ok: missing === 0,
+      added,
+      skipped,
+      missing,
+      message: `已导入 ${added} 个项目${details ? `（${details}）` : ''}`,
+    };
   });
 }
 
-function refreshZedWorkspaces() {
-  if (zedWorkspaceRefreshPromise) return zedWorkspaceRefreshPromise;
+// ============================================================================
+// RECENT WORKSPACES - Zed 历史工作区（+ 下拉菜单的「最近」分区）
+// ============================================================================
 
-  zedWorkspaceRefreshPromise = new Promise((resolve) => {
-    readZedWorkspaceRowsWithTimeout()
-      .then((stdout) => {
-        const output = stdout ? stdout.trim() : '';
-        const mapping = output ? parseZedWorkspaces(output) : {};
-        zedWorkspaceCache = {
-          mapping,
-          lastUpdated: Date.now(),
-        };
-        resolve(mapping);
-      })
-      .catch((err) => {
-        console.error('Failed to read Zed database:', err);
-        resolve(zedWorkspaceCache.mapping);
-      })
-      .finally(() => {
-        zedWorkspaceRefreshPromise = null;
-      });
+function checkPathExists(folderPath) {
+  // 云盘 / 网络卷不做检查、直接视为存在，避免首次枚举卡住整个列表
+  if (isSlowDialogPath(folderPath)) return Promise.resolve(true);
+
+  const cached = pathExistenceCache.get(folderPath);
+  if (cached && Date.now() - cached.checkedAt < PATH_CHECK_CACHE_TTL_MS) return Promise.resolve(cached.exists);
+
+  // 检查超时同样视为存在：宁可多显示一条，也不让下拉菜单等待
+  return Promise.race([
+    fs.promises.access(folderPath).then(() => true, () => false),
+    delay(PATH_CHECK_TIMEOUT_MS).then(() => true),
+  ]).then((exists) => {
+    pathExistenceCache.set(folderPath, { exists, checkedAt: Date.now() });
+    return exists;
   });
+}
 
-  return zedWorkspaceRefreshPromise;
+async function getRecentWorkspaces() {
+  const workspaces = (await getZedWorkspacesFresh()).slice(0, RECENT_WORKSPACE_LIMIT);
+  const existence = await Promise.all(workspaces.map(async (workspace) => {
+    const results = await Promise.all(workspace.roots.map(checkPathExists));
+    return results.every(Boolean);
+  }));
+  return workspaces
+    .filter((workspace, index) => workspace.roots.length > 0 && existence[index])
+    .map(workspace => ({
+      path: workspace.roots[0],
+      roots: workspace.roots,
+      displayName: getWorkspaceTitle(workspace.roots),
+      channel: workspace.channel,
+      timestamp: workspace.timestamp,
+    }));
 }
 
-function getZedWorkspacesCached() {
-  // 返回缓存映射并触发后台刷新，避免阻塞 UI
-  const now = Date.now();
-  const isStale = !zedWorkspaceCache.lastUpdated
-    || (now - zedWorkspaceCache.lastUpdated > ZED_WORKSPACE_CACHE_TTL_MS);
+// ============================================================================
+// PALETTE - 全局快捷键唤起的模糊搜索面板（标签 + 已打开窗口 + Zed 历史工作区）
+// ============================================================================
 
-  if (isStale) {
-    refreshZedWorkspaces();
+async function getPaletteItems() {
+  const workspaces = await getZedWorkspacesFresh();
+  const [projects, windows] = await Promise.all([loadProjects(), getZedWindows()]);
+  const items = new Map();
+
+  function upsert(project, patch) {
+    const { roots, displayName, channel } = normalizeOpenRequest(project);
+    // empty project 等无路径窗口只能按窗口名区分
+    const key = getProjectWindowKey(project) || `${channel}\n#${displayName}`;
+    const existing = items.get(key) || {
+      key,
+      path: roots[0] || null,
+      roots,
+      displayName: displayName || getWorkspaceTitle(roots),
+      channel,
+      pinned: false,
+      open: false,
+      lastSeen: getLastSeen({ roots, timestamp: 0 }),
+    };
+    items.set(key, { ...existing, ...patch, lastSeen: Math.max(existing.lastSeen, patch.lastSeen || 0) });
   }
-  return zedWorkspaceCache.mapping;
+
+  workspaces.forEach(workspace => upsert(
+    { roots: workspace.roots, channel: workspace.channel },
+    { lastSeen: getLastSeen(workspace) }
+  ));
+  // 标签覆盖历史记录中的名称：保留用户重命名后的名称与颜色
+  projects.forEach(project => upsert(project, {
+    pinned: true,
+    displayName: project.displayName || getWorkspaceTitle(normalizeRoots(project.roots)),
+    color: project.color,
+  }));
+  windows.forEach((window) => {
+    if (window.roots.length === 0 && !window.windowName.startsWith('empty project')) {
+      // 数据库里还没有该窗口的工作区：标题唯一对应一个已知项目时视为同一个
+      const sameTitle = [...items.values()].filter(item => (
+        item.channel === window.channel && item.roots.length > 0 && getWorkspaceTitle(item.roots) === window.displayName
+      ));
+      if (sameTitle.length === 1) {
+        sameTitle[0].open = true;
+        return;
+      }
+    }
+    upsert(window, { open: true });
+  });
+
+  // 默认按最近使用排序；输入关键字后由渲染层按匹配度重排
+  return [...items.values()].sort((a, b) => b.lastSeen - a.lastSeen);
 }
 
-async function getZedWorkspacesFresh() {
-  // 需要可靠映射时使用，等待刷新完成
-  const now = Date.now();
-  const isStale = !zedWorkspaceCache.lastUpdated
-    || (now - zedWorkspaceCache.lastUpdated > ZED_WORKSPACE_CACHE_TTL_MS);
+function focusBarWindow() {
+  // 面板 / 菜单需要键盘输入，必须真正获得焦点（标签栏平时只 showInactive）
+  mainWindow.show();
+  if (process.platform === 'darwin') app.focus({ steal: true });
+  mainWindow.focus();
+}
 
-  if (isStale) {
-    return await refreshZedWorkspaces();
+function getPaletteOverlay() {
+  return isVerticalDock(getSettings().dock) ? PALETTE_WIDTH : PALETTE_HEIGHT;
+}
+
+function showPalette() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  setBarOverlay(getPaletteOverlay());
+  focusBarWindow();
+  mainWindow.webContents.send('show-palette');
+}
+
+function cycleRecentProjects() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  // 浮层已打开：继续按住修饰键再按一次，选中下一个
+  if (isSwitcherOpen) {
+    mainWindow.webContents.send('switcher-next');
+    return;
   }
-  return zedWorkspaceCache.mapping;
+
+  const history = getProjectHistory().slice(0, SWITCHER_ITEM_LIMIT);
+  if (history.length < 2) {
+    showBarToast('还没有可切换的最近项目', 'info');
+    return;
+  }
+  isSwitcherOpen = true;
+  setBarOverlay(getPaletteOverlay());
+  // 获得焦点后渲染层才能收到修饰键松开的 keyup
+  focusBarWindow();
+  mainWindow.webContents.send('switcher-start', history);
+}
+
+function hideBarOverlay(restoreFocus) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  isSwitcherOpen = false;
+  setBarOverlay(0);
+  if (!restoreFocus || !mainWindow.isFocused()) return;
+  // 取消时把焦点还给之前的应用：macOS 隐藏整个应用，轮询会在 Zed 回到前台后重新显示标签栏
+  if (process.platform === 'darwin') app.hide();
+  else mainWindow.blur();
 }
 
 // ============================================================================
-// ZED CONTROL (AppleScript)
+// KEYBINDINGS - keybindings.json 动作 → 全局快捷键，保存后实时重新注册
 // ============================================================================
 
-function adjustZedWindows() {
-  const display = screen.getPrimaryDisplay();
-  const menuBarHeight = display.workArea.y;
-  const { width, height } = display.workAreaSize;
-  const topOffset = menuBarHeight + BAR_HEIGHT;
-
-  const script = `tell application "System Events"
-    if not (exists process "Zed") then return
-    tell process "Zed"
-      repeat with w in every window
-        set position of w to {0, ${topOffset}}
-        set size of w to {${width}, ${height - BAR_HEIGHT}}
-      end repeat
-    end tell
-  end tell`;
-  runAppleScript(script, null, { tag: 'adjust-zed-windows', replaceTag: true });
+function showBarToast(message, variant = 'error', duration) {
+  const toast = { message, variant, duration };
+  // 启动早期（如读取 projects.json 时）渲染层还没加载，等加载完再显示
+  if (!isRendererReady) {
+    pendingToasts.push(toast);
+    return;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('show-toast', toast);
 }
 
-function toAppleScriptString(value) {
-  const normalized = String(value || '');
-  const escaped = normalized
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"');
-  return `"${escaped}"`;
+function writeDefaultKeybindingsFile() {
+  const content = {
+    '//': '动作 → Electron 快捷键（accelerator），设为 null 表示不绑定；保存后立即生效',
+    ...DEFAULT_KEYBINDINGS,
+  };
+  // 文件被监听，原子写入避免读到写了一半的内容
+  try {
+    writeFileAtomic(KEYBINDINGS_PATH, JSON.stringify(content, null, 2));
+  } catch (e) {
+    console.error('Failed to write keybindings:', e);
+  }
 }
 
-function openProjectPathInZed(projectPath) {
-  return new Promise((resolve) => {
-    if (!projectPath) return resolve(false);
+function loadKeybindings() {
+  try {
+    if (!fs.existsSync(KEYBINDINGS_PATH)) writeDefaultKeybindingsFile();
+    return parseKeybindings(JSON.parse(fs.readFileSync(KEYBINDINGS_PATH, 'utf-8')));
+  } catch (e) {
+    console.error('Failed to load keybindings:', e);
+    return {
+      bindings: { ...DEFAULT_KEYBINDINGS },
+      problems: [`keybindings.json 解析失败，已使用默认快捷键：${e.message}`],
+    };
+  }
+}
 
-    const child = spawn('open', ['-a', 'Zed', projectPath]);
-    child.on('error', (err) => {
-      console.error('Failed to open project in Zed:', err);
-      resolve(false);
-    });
-    child.on('close', (code) => {
-      resolve(code === 0);
-    });
-  });
+function findActiveTabIndex(projects) {
+  const activeKey = activeProject ? getProjectWindowKey(activeProject) : '';
+  if (!activeKey) return -1;
+  return projects.findIndex(project => getProjectWindowKey(project) === activeKey);
 }
 
-function getActiveProjectFromWindowName(windowName) {
-  if (!windowName) return null;
-  if (windowName === 'empty project') return { path: null, displayName: 'empty project' };
-  const displayName = windowName.includes(' — ') ? windowName.split(' — ')[0] : windowName;
-  return { path: getZedWorkspacesCached()[displayName] || null, displayName };
+async function openTabByOffset(offset) {
+  const projects = await loadProjects();
+  if (projects.length === 0) return;
+  const current = findActiveTabIndex(projects);
+  // 当前项目不在标签里时，「下一个」从第一个开始，「上一个」从最后一个开始
+  const next = current === -1
+    ? (offset > 0 ? 0 : projects.length - 1)
+    : (current + offset + projects.length) % projects.length;
+  await openProject(projects[next]);
 }
 
-function syncActiveProject(project) {
-  const nextProject = project || null;
-  if (
-    (activeProject && nextProject &&
-      activeProject.path === nextProject.path &&
-      activeProject.displayName === nextProject.displayName) ||
-    (!activeProject && !nextProject)
-  ) return;
-  activeProject = nextProject;
-  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('active-project-changed', activeProject);
+async function removeCurrentTab() {
+  const projects = await loadProjects();
+  const index = findActiveTabIndex(projects);
+  if (index === -1) {
+    showBarToast('当前项目没有对应的标签');
+    return;
+  }
+  const removed = await removeProject(index);
+  showBarToast(`已移除标签：${removed.displayName || removed.path}`, 'info');
 }
 
-function getZedWindows() {
-  return new Promise((resolve) => {
-    const script = `tell application "System Events"
-      if not (exists process "Zed") then return ""
-      tell process "Zed" to get name of every window
-    end tell`;
-    runAppleScript(script, (err, stdout) => {
-      if (err || !stdout.trim()) return resolve([]);
-
-      const workspaces = getZedWorkspacesCached();
-
-      let emptyCount = 0;
-      const windows = stdout.trim().split(', ')
-        .filter(name => name)
-        .map(windowName => {
-          if (windowName === 'empty project') {
-            return {
-              windowName: `empty project (${++emptyCount})`,
-              path: null,
-              displayName: `empty project (${emptyCount})`
-            };
-          }
-
-          const projectName = windowName.includes(' — ')
-            ? windowName.split(' — ')[0]
-            : windowName;
-
-          const projectPath = workspaces[projectName] || null;
-
-          return {
-            windowName,
-            path: projectPath,
-            displayName: projectName
-          };
-        });
-      resolve(windows);
-    });
-  });
+async function runKeybindingAction(action) {
+  const jump = action.match(/^jump-to-(\d)$/);
+  if (jump) {
+    const projects = await loadProjects();
+    const project = projects[Number(jump[1]) - 1];
+    if (project) await openProject(project);
+    return;
+  }
+
+  switch (action) {
+    case 'next-tab':
+      await openTabByOffset(1);
+      break;
+    case 'previous-tab':
+      await openTabByOffset(-1);
+      break;
+    case 'toggle-previous-project': {
+      const previous = getPreviousProject();
+      if (previous) await openProject(previous);
+      break;
+    }
+    case 'cycle-recent-projects':
+      cycleRecentProjects();
+      break;
+    case 'open-add-dropdown':
+      if (!mainWindow || mainWindow.isDestroyed()) break;
+      focusBarWindow();
+      mainWindow.webContents.send('open-add-dropdown');
+      break;
+    case 'remove-current-tab':
+      await removeCurrentTab();
+      break;
+    case 'arrange-zed-windows': {
+      const result = await arrangeZedWindows();
+      showBarToast(result.message, 'info');
+      break;
+    }
+    case 'open-palette':
+      showPalette();
+      break;
+    case 'open-preferences':
+      openPreferencesWindow();
+      break;
+    case 'toggle-devtools':
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.openDevTools({ mode: 'detach' });
+      break;
+    default:
+      break;
+  }
 }
 
-async function activateZedWindowByName(windowName) {
-  if (!windowName) return false;
+function registerKeybindings() {
+  const { bindings, problems } = loadKeybindings();
+  globalShortcut.unregisterAll();
 
-  const match = windowName.match(/^empty project \((\d+)\)$/);
-  if (match) {
-    const index = parseInt(match[1], 10);
-    const script = `tell application "System Events"
-      tell process "Zed"
-        set emptyCount to 0
-        repeat with w in every window
-          if name of w is "empty project" then
-            set emptyCount to emptyCount + 1
-            if emptyCount is ${index} then
-              perform action "AXRaise" of w
-              set frontmost to true
-              return "activated"
-            end if
-          end if
-        end repeat
-      end tell
-    end tell`;
+  Object.entries(bindings).forEach(([action, accelerator]) => {
+    if (!accelerator) return;
+    let registered = false;
     try {
-      const output = await runAppleScriptPromise(script, {
-        prepend: true,
-        tag: 'activate-zed-window',
-        replaceTag: true
+      registered = globalShortcut.register(accelerator, () => {
+        runKeybindingAction(action).catch(err => console.error(`Keybinding ${action} failed:`, err));
       });
-      return output.trim() === 'activated';
-    } catch (err) {
-      return false;
+    } catch (e) {
+      registered = false;
     }
-  }
+    if (!registered) problems.push(`快捷键注册失败（可能已被其他应用占用）：${accelerator}「${getKeybindingLabel(action)}」`);
+  });
+
+  problems.forEach(problem => console.error(`[keybindings] ${problem}`));
+  keybindingState = { bindings, problems };
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('keybindings-changed', keybindingState);
+}
+
+// ============================================================================
+// CONFIG WATCH - 手动编辑、dotfiles 同步或从备份还原的配置文件实时生效
+// ============================================================================
+
+const CONFIG_RELOADERS = {
+  'keybindings.json': () => registerKeybindings(),
+  'projects.json': () => reloadProjectStoreFromDisk(),
+  'settings.json': () => reloadSettingsFromDisk(),
+};
 
-  const exactName = toAppleScriptString(windowName);
-  const prefixName = toAppleScriptString(`${windowName} — `);
-  const script = `tell application "System Events"
-    tell process "Zed"
-      repeat with w in every window
-        if name of w is ${exactName} or name of w starts with ${prefixName} then
-          perform action "AXRaise" of w
-          set frontmost to true
-          return "activated"
-        end if
-      end repeat
-    end tell
-  end tell`;
+function watchConfigFiles() {
+  // 监听所在目录而非文件本身：编辑器常以"写临时文件再改名"的方式保存，文件监听会失效
+  const reloadTimers = new Map();
   try {
-    const output = await runAppleScriptPromise(script, {
-      prepend: true,
-      tag: 'activate-zed-window',
-      replaceTag: true
+    configWatcher = fs.watch(app.getPath('userData'), (_, filename) => {
+      const reload = CONFIG_RELOADERS[filename];
+      if (!reload) return;
+      clearTimeout(reloadTimers.get(filename));
+      reloadTimers.set(filename, setTimeout(() => {
+        Promise.resolve(reload()).catch(err => console.error(`Failed to reload ${filename}:`, err));
+      }, CONFIG_RELOAD_DEBOUNCE_MS));
     });
-    return output.trim() === 'activated';
-  } catch (err) {
-    return false;
+  } catch (e) {
+    console.error('Failed to watch config files:', e);
+  }
+}
+
+function stopWatchingConfigFiles() {
+  if (configWatcher) {
+    configWatcher.close();
+    configWatcher = null;
   }
 }
 
 // ============================================================================
-// IPC HANDLERS
+// DEEP LINKS - zed-workspace://open?path=… / add?path=…&name=…&color=…
 // ============================================================================
 
-ipcMain.handle('get-projects', async () => loadProjects());
+function registerDeepLinkProtocol() {
+  // 开发模式（electron .）需要把入口脚本一并登记，否则系统只会启动裸 Electron
+  const registered = process.defaultApp
+    ? app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL, process.execPath, [path.resolve(process.argv[1])])
+    : app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL);
+  if (!registered) console.error(`Failed to register ${DEEP_LINK_PROTOCOL}:// protocol handler`);
+}
 
-ipcMain.handle('save-projects', (_, projects) => {
-  saveProjects(projects);
+function showDeepLinkToast(message, variant = 'error') {
+  // 点击链接时前台是浏览器等其他应用，先把标签栏带到前台，提示才看得见
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  focusBarWindow();
+  showBarToast(message, variant);
+}
+
+async function isKnownProjectPath(roots) {
+  // 标签（任一分组）、Zed 历史工作区或标签栏打开过的路径视为已知，无需确认
+  const key = normalizeRoots(roots).join('\n');
+  const store = await loadProjectStore();
+  if (store.groups.some(group => group.projects.some(project => normalizeRoots(project.roots).join('\n') === key))) return true;
+  const workspaces = await getZedWorkspacesFresh();
+  if (workspaces.some(workspace => workspace.roots.join('\n') === key)) return true;
+  return getLastSeen({ roots, timestamp: 0 }) > 0;
+}
+
+async function runDeepLink(link) {
+  if (link.action === 'add') {
+    const { added, index, project } = await addProject(link);
+    showDeepLinkToast(
+      added ? `已固定为第 ${index + 1} 个标签：${project.displayName}` : `已有标签：${project.displayName}`,
+      'info'
+    );
+    return;
+  }
+  // 与标签点击同一套逻辑：已打开则激活窗口，否则用 Zed 打开
+  const result = await openProject(link);
+  if (!result.ok) showDeepLinkToast(result.message);
+}
+
+function clearDeepLinkConfirmation() {
+  if (!deepLinkConfirmation) return;
+  clearTimeout(deepLinkConfirmation.timer);
+  deepLinkConfirmation = null;
+}
+
+function requestDeepLinkConfirmation(link) {
+  // 同一时间只保留最新的一条待确认链接
+  clearDeepLinkConfirmation();
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const title = link.displayName || getWorkspaceTitle(link.roots);
+  const message = link.action === 'add'
+    ? `链接请求把未知目录固定为标签：${title}（${link.roots.join(', ')}）`
+    : `链接请求打开未知目录：${title}（${link.roots.join(', ')}）`;
+  deepLinkConfirmation = {
+    id,
+    link,
+    timer: setTimeout(() => {
+      clearDeepLinkConfirmation();
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('deep-link-confirm-expired', id);
+    }, DEEP_LINK_CONFIRM_TIMEOUT_MS),
+  };
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  focusBarWindow();
+  mainWindow.webContents.send('deep-link-confirm', {
+    id,
+    message,
+    confirmLabel: link.action === 'add' ? '固定' : '打开',
+  });
+}
+
+async function resolveDeepLinkConfirmation(id, accepted) {
+  if (!deepLinkConfirmation || deepLinkConfirmation.id !== id) return false;
+  const { link } = deepLinkConfirmation;
+  clearDeepLinkConfirmation();
+  if (!accepted) {
+    // 取消时把焦点还给点击链接的应用
+    hideBarOverlay(true);
+    return false;
+  }
+  await runDeepLink(link);
   return true;
-});
+}
 
-ipcMain.handle('open-project', async (_, pathOrName) => {
-  if (!pathOrName) {
-    return {
-      ok: false,
-      activated: false,
-      opened: false,
-      message: '项目信息为空，无法打开'
-    };
+async function handleDeepLink(url) {
+  if (!isRendererReady) {
+    pendingDeepLinks.push(url);
+    return;
   }
 
-  // 有路径：先激活同名已打开窗口；如果没有匹配到，则自动打开该路径
-  if (pathOrName.startsWith('/')) {
-    const projectPath = pathOrName;
-    const projectName = path.basename(projectPath);
-    const activated = await activateZedWindowByName(projectName);
+  let link;
+  try {
+    link = parseDeepLink(url, { home: app.getPath('home') });
+  } catch (e) {
+    console.error(`Invalid deep link ${url}:`, e.message);
+    showDeepLinkToast(`链接无效：${e.message}`);
+    return;
+  }
 
-    if (activated) {
-      return { ok: true, activated: true, opened: false, message: '' };
+  try {
+    if (await isKnownProjectPath(link.roots)) {
+      await runDeepLink(link);
+      return;
     }
-
-    const opened = await openProjectPathInZed(projectPath);
-    if (opened) {
-      return { ok: true, activated: false, opened: true, message: '' };
+    const existence = await Promise.all(link.roots.map(checkPathExists));
+    const missing = link.roots.filter((_, index) => !existence[index]);
+    if (missing.length > 0) {
+      showDeepLinkToast(`链接中的路径不存在：${missing.join(', ')}`);
+      return;
     }
-    return {
-      ok: false,
-      activated: false,
-      opened: false,
-      message: `未找到已打开窗口，且新开项目失败：${projectName}`
-    };
+    requestDeepLinkConfirmation(link);
+  } catch (err) {
+    console.error('Failed to handle deep link:', err);
+    showDeepLinkToast('处理链接失败');
   }
+}
 
-  // 无路径：只能按窗口名激活
-  const activated = await activateZedWindowByName(pathOrName);
-  if (activated) {
-    return { ok: true, activated: true, opened: false, message: '' };
-  }
-  return {
-    ok: false,
-    activated: false,
-    opened: false,
-    message: `未找到已打开窗口：${pathOrName}`
-  };
+function handleRendererReady() {
+  isRendererReady = true;
+  const toasts = pendingToasts;
+  const urls = pendingDeepLinks;
+  pendingToasts = [];
+  pendingDeepLinks = [];
+  toasts.forEach(toast => mainWindow.webContents.send('show-toast', toast));
+  urls.forEach(handleDeepLink);
+}
+
+// ============================================================================
+// CONTROL COMMANDS - IPC 与本地 socket（zwm CLI）共用的命令表
+// ============================================================================
+
+// 只放脚本需要的数据与标签操作；对话框、窗口高度等界面细节仍只走 IPC
+const CONTROL_COMMANDS = {
+  'get-projects': () => loadProjects(),
+  'get-project-groups': () => getProjectGroupsSnapshot(),
+  'switch-project-group': groupId => switchProjectGroup(groupId),
+  'open-project': request => openProject(request),
+  'add-project': (request, options) => addProject(request, options),
+  'remove-project': index => removeProject(index),
+  'move-project': (fromIndex, toIndex) => moveProject(fromIndex, toIndex),
+  'get-zed-windows': () => getZedWindows(),
+  'get-active-project': () => activeProject,
+  'get-project-history': () => getProjectHistory(),
+  'get-detector-stats': () => getDetectorStats(),
+  'get-diagnostics': () => getDiagnostics(),
+  'get-activity-report': (range, offset) => getActivityReport(range, offset),
+};
+
+const controlServer = createControlServer({
+  socketPath: CONTROL_SOCKET_PATH,
+  commands: CONTROL_COMMANDS,
 });
 
-ipcMain.handle('get-zed-windows', () => getZedWindows());
-ipcMain.handle('get-active-project', () => activeProject);
+// ============================================================================
+// IPC HANDLERS
+// ============================================================================
 
-ipcMain.handle('set-window-height', (_, height) => {
-  if (mainWindow) mainWindow.setSize(mainWindow.getSize()[0], height);
+Object.entries(CONTROL_COMMANDS).forEach(([channel, handler]) => {
+  ipcMain.handle(channel, (_, ...args) => handler(...args));
 });
 
+ipcMain.handle('save-projects', (_, projects, revision) => saveProjectsWithRevision(projects, revision));
+
+ipcMain.handle('create-project-group', (_, name) => createProjectGroup(name));
+ipcMain.handle('rename-project-group', (_, groupId, name) => renameProjectGroup(groupId, name));
+ipcMain.handle('delete-project-group', (_, groupId) => deleteProjectGroup(groupId));
+ipcMain.handle('move-project-to-group', (_, index, groupId) => moveProjectToGroup(index, groupId));
+
+ipcMain.handle('open-all-projects', () => openAllProjects().finally(requestOpenWindowsRefresh));
+ipcMain.handle('close-all-projects', () => closeAllProjects().finally(requestOpenWindowsRefresh));
+ipcMain.handle('get-open-windows', () => getOpenWindows());
+ipcMain.handle('export-manifest', () => exportManifest());
+ipcMain.handle('import-manifest', () => importManifest());
+
+ipcMain.handle('get-recent-workspaces', () => getRecentWorkspaces());
+ipcMain.handle('get-palette-items', () => getPaletteItems());
+ipcMain.handle('hide-bar-overlay', (_, restoreFocus) => hideBarOverlay(Boolean(restoreFocus)));
+
+ipcMain.handle('get-settings', () => getSettings());
+ipcMain.handle('get-theme', () => getBarTheme());
+ipcMain.handle('arrange-zed-windows', () => arrangeZedWindows());
+ipcMain.handle('update-settings', (_, partial) => updateSettings(partial));
+
+ipcMain.handle('get-zed-channels', () => ZED_CHANNELS.map(({ id, label, badge }) => ({ id, label, badge })));
+ipcMain.handle('get-git-status', () => gitStatusPoller.getSnapshot());
+ipcMain.handle('get-keybindings', () => keybindingState);
+ipcMain.handle('resolve-deep-link', (_, id, accepted) => resolveDeepLinkConfirmation(id, Boolean(accepted)));
+
+ipcMain.handle('set-bar-overlay', (_, extent) => setBarOverlay(extent));
+ipcMain.handle('open-preferences', () => openPreferencesWindow());
+ipcMain.handle('open-diagnostics', () => openDiagnosticsWindow());
+ipcMain.handle('copy-debug-bundle', () => copyDebugBundle());
+ipcMain.handle('get-hook-statuses', () => hookRunner.getStatuses());
+ipcMain.handle('open-project-hooks', (_, project) => openHooksWindow(project));
+ipcMain.handle('get-project-hooks', () => getProjectHooksState());
+ipcMain.handle('save-project-hooks', (_, key, hooks) => saveProjectHooks(key, hooks));
+ipcMain.handle('run-project-hooks', (_, key, event) => startProjectHooks(event, key));
+ipcMain.handle('stop-hook-run', (_, runId) => hookRunner.stopRun(runId));
+ipcMain.handle('open-activity-report', () => openReportsWindow());
+ipcMain.handle('export-activity-report', (_, range, offset, format) => exportActivityReport(range, offset, format));
+ipcMain.handle('get-setting-fields', () => SETTING_FIELDS);
+
 ipcMain.handle('select-folder', async (event) => {
   const t0 = Date.now();
   console.log(`[select-folder] ▶ IPC 收到请求 t=0ms`);
@@ -663,11 +2770,12 @@ ipcMain.handle('select-folder', async (event) => {
       targetWindow.setAlwaysOnTop(previousAlwaysOnTop);
     }
     isSystemDialogOpen = false;
+    frontDetector.refresh();
   }
 });
 
-ipcMain.handle('open-folder-in-zed', async (_, folderPath) => {
-  await openProjectPathInZed(folderPath);
+ipcMain.handle('open-folder-in-zed', async (_, folderPath, channelId) => {
+  await openProjectPathInZed(folderPath, channelId);
   return path.basename(folderPath);
 });
 
@@ -675,92 +2783,132 @@ ipcMain.handle('open-folder-in-zed', async (_, folderPath) => {
 // APP LIFECYCLE
 // ============================================================================
 
-function startHideCheck() {
-  let lastFrontApp = '';
-  let isPollInFlight = false;
-  let lastAdjustAt = 0;
+// 前台应用 / 窗口的每次检测结果（监听进程推送或轮询）：显示或隐藏标签栏、同步当前项目、跟随屏幕并适配窗口
+function handleFrontState(frontState) {
+  const win = mainWindow;
+  if (!win || win.isDestroyed()) return;
+
+  const isZedFront = Boolean(frontState.isZed);
+  const frontPid = Number(frontState.frontPid);
+  const frontWindowName = String(frontState.frontWindowName || '');
+  const shouldShow = isZedFront || frontPid === process.pid;
+
+  let hasBarMoved = false;
+  if (isZedFront) {
+    // 跟随当前位于前台的通道（Stable / Preview ...）
+    frontZedChannel = getZedChannel(frontState.channel).id;
+    const previousProject = activeProject;
+    syncActiveProject(getActiveProjectFromWindowName(frontWindowName.trim(), frontZedChannel));
+    hasBarMoved = followZedWindowDisplay(frontState.frontWindowBounds);
+    if (activeProject !== previousProject) {
+      restoreProjectWindowFrame(activeProject, frontWindowName.trim())
+        .catch(err => console.error('Failed to restore window frame:', err));
+      // 换了前台窗口：可能刚打开新项目，或关掉了原来的窗口
+      requestOpenWindowsRefresh();
+    } else if (frontState.frontWindowBounds) {
+      rememberWindowFrame(activeProject, scaleRect(frontState.frontWindowBounds, 1 / getBackendScale()));
+    }
+  }
 
-  hideCheckTimer = setInterval(() => {
-    if (isSystemDialogOpen) return;
-    // 上次轮询还没返回，跳过本次
-    if (isPollInFlight) return;
+  // 点标签栏不打断计时；看活动报告、偏好设置等工具窗口不算在项目上
+  isActivityFocused = isZedFront || (frontPid === process.pid && BrowserWindow.getFocusedWindow() === win);
+  updateActivity();
 
-    isPollInFlight = true;
-    getFrontState((err, frontState) => {
-      isPollInFlight = false;
-      const win = mainWindow;
-      if (err || !win || win.isDestroyed()) return;
+  try {
+    if (shouldShow && !win.isVisible()) {
+      win.showInactive();
+      // 设置更高的窗口层级
+      win.setAlwaysOnTop(true, 'floating', 1);
+      win.setIgnoreMouseEvents(false);
+    } else if (!shouldShow && win.isVisible()) {
+      win.hide();
+    }
+  } catch (e) {
+    return;
+  }
 
-      const frontApp = String(frontState.frontApp || '').trim().toLowerCase();
-      const frontPid = Number(frontState.frontPid);
-      const frontWindowName = String(frontState.frontWindowName || '');
-      const shouldShow = frontApp === 'zed' || frontPid === process.pid;
+  // 进入 Zed、切换到另一个通道或前台窗口换屏时适配窗口
+  const zedFrontChannel = isZedFront ? frontZedChannel : null;
+  if (zedFrontChannel && (zedFrontChannel !== lastZedFrontChannel || hasBarMoved)) {
+    requestZedWindowAdjust();
+  }
+  // 进出 Zed 时窗口可能已打开 / 关闭（含退出 Zed），并切换跟踪频率
+  if (zedFrontChannel !== lastZedFrontChannel) requestOpenWindowsRefresh();
+  lastZedFrontChannel = zedFrontChannel;
+}
 
-      if (frontApp === 'zed') {
-        syncActiveProject(getActiveProjectFromWindowName(frontWindowName.trim()));
-      }
+// 防抖期内的请求顺延到防抖结束；监听进程只在变化时推送，不能等下一次结果再补做
+function requestZedWindowAdjust() {
+  if (zedAdjustTimer) return;
+  const waitMs = Math.max(0, lastZedAdjustAt + getSettings().adjustDebounceMs - Date.now());
+  zedAdjustTimer = setTimeout(() => {
+    zedAdjustTimer = null;
+    // 等待期间 Zed 已不在前台
+    if (!lastZedFrontChannel) return;
+    lastZedAdjustAt = Date.now();
+    adjustZedWindows();
+  }, waitMs);
+}
 
-      try {
-        if (shouldShow && !win.isVisible()) {
-          win.showInactive();
-          // 设置更高的窗口层级
-          win.setAlwaysOnTop(true, 'floating', 1);
-          win.setIgnoreMouseEvents(false);
-        } else if (!shouldShow && win.isVisible()) {
-          win.hide();
-        }
-      } catch (e) {
-        return;
-      }
+function startFrontDetection() {
+  frontDetector.start();
+}
 
-      if (frontApp === 'zed' && lastFrontApp !== 'zed') {
-        const now = Date.now();
-        if (now - lastAdjustAt >= ZED_ADJUST_DEBOUNCE_MS) {
-          lastAdjustAt = now;
-          adjustZedWindows();
-        }
-      }
-      lastFrontApp = frontApp;
-    });
-  }, HIDE_CHECK_INTERVAL_MS);
+function stopFrontDetection() {
+  frontDetector.stop();
+  clearTimeout(zedAdjustTimer);
+  zedAdjustTimer = null;
 }
 
-function stopHideCheck() {
-  if (hideCheckTimer) {
-    clearInterval(hideCheckTimer);
-    hideCheckTimer = null;
-  }
+// 前台检测的开销与延迟：监听 / 轮询模式、各自次数、检测延迟与启动以来创建的外部进程数
+function getDetectorStats() {
+  return { ...frontDetector.getStats(), spawns: getSpawnStats() };
 }
 
+// macOS 通过 open-url 投递链接，可能早于 ready 到达（冷启动时），先排队
+app.on('open-url', (event, url) => {
+  event.preventDefault();
+  handleDeepLink(url);
+});
+
 app.whenReady().then(() => {
+  // 第二个实例只负责把链接转交给已运行的实例然后退出，不创建窗口，也不碰 zwm.sock
+  if (!gotTheLock) return;
   createWindow();
-  dialogState = loadDialogState();
-  startHideCheck();
-
-  // 调试快捷键：Cmd+Shift+D 打开 DevTools
-  globalShortcut.register('CommandOrControl+Shift+D', () => {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.openDevTools({ mode: 'detach' });
-    }
-  });
-
-  for (let i = 1; i <= 9; i++) {
-    globalShortcut.register(`CommandOrControl+Alt+${i}`, async () => {
-      const projects = await loadProjects();
-      const p = projects[i - 1];
-      if (p) {
-        const name = p.path ? path.basename(p.path) : p.displayName;
-        const activated = await activateZedWindowByName(name);
-        if (!activated && p.path) {
-          await openProjectPathInZed(p.path);
-        }
-      }
-    });
+  registerDeepLinkProtocol();
+  // 冷启动时 Linux 的链接在命令行参数里；渲染层就绪后再处理，确认提示才能显示
+  const launchUrl = findDeepLinkInArgv(process.argv);
+  if (launchUrl) pendingDeepLinks.push(launchUrl);
+  mainWindow.webContents.once('did-finish-load', handleRendererReady);
+  loadDialogState().then((state) => { dialogState = state; });
+  loadWindowFrames().then((frames) => { windowFrames = frames; });
+  watchDisplays();
+  startFrontDetection();
+  startOpenWindowTracking();
+  watchPowerState();
+  startActivityTracking();
+  gitStatusPoller.start();
+
+  if (getSettings().restoreSessionOnLaunch) {
+    restoreLastSession().catch(err => console.error('Failed to restore session:', err));
   }
+
+  // 全局快捷键（含调试用的 DevTools）全部来自 keybindings.json；配置文件变更后实时重新载入
+  registerKeybindings();
+  watchConfigFiles();
+  watchZedTheme();
+  controlServer.start();
 });
 
 app.on('window-all-closed', () => {
-  stopHideCheck();
+  stopFrontDetection();
+  stopOpenWindowTracking();
+  hookRunner.stopAll();
+  stopActivityTracking();
+  gitStatusPoller.stop();
+  stopWatchingConfigFiles();
+  stopWatchingZedTheme();
+  controlServer.stop();
   globalShortcut.unregisterAll();
   // 工具类应用：关窗即退出，不留僵尸进程
   app.quit();
@@ -772,7 +2920,34 @@ app.on('activate', () => {
   }
 });
 
+app.on('before-quit', (event) => {
+  if (!gotTheLock || isQuitCleanupDone) return;
+  const tasks = [];
+  // 退出前先记下仍有 Zed 窗口的标签；列窗口有超时保护，最多拖慢退出几秒
+  if (getSettings().restoreSessionOnLaunch) {
+    tasks.push(Promise.race([saveSessionSnapshot(), delay(SESSION_SNAPSHOT_TIMEOUT_MS)])
+      .catch(err => console.error('Failed to save session:', err)));
+  }
+  // 钩子进程组先收 SIGTERM，宽限期内没退出的再 SIGKILL，等到这一步做完再退出
+  if (hookRunner.hasRunning()) tasks.push(hookRunner.stopAll());
+  if (tasks.length === 0) return;
+  event.preventDefault();
+  isQuitCleanupDone = true;
+  Promise.all(tasks).finally(() => app.quit());
+});
+
 app.on('will-quit', () => {
-  stopHideCheck();
+  if (!gotTheLock) return;
+  stopFrontDetection();
+  stopOpenWindowTracking();
+  // 再次退出跳过了上面的等待时，直接结束剩下的钩子
+  hookRunner.killAll();
+  stopActivityTracking();
+  jobLog.flush();
+  flushWindowFrames();
+  gitStatusPoller.stop();
+  stopWatchingConfigFiles();
+  stopWatchingZedTheme();
+  controlServer.stop();
   globalShortcut.unregisterAll();
 });
@@ -0,0 +1,176 @@
+/**
+ * [INPUT]: lib/activity-log
+ * [OUTPUT]: 时间段落盘（定期改写同一行、空闲回退收回已记下的部分）、按天 / 周取区间、跨零点拆分汇总与 CSV 导出的测试
+ * [POS]: node --test 用例；时间用本地时区构造并 mock Date.now，结果与运行时区无关
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createActivityLog,
+  getActivityPeriod,
+  summarizeActivity,
+  formatActivityCsv,
+} = require('../lib/activity-log');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const api = { key: 'stable\n/w/api', name: 'api', channel: 'stable', roots: ['/w/api'] };
+const web = { key: 'stable\n/w/web', name: 'web', channel: 'stable', roots: ['/w/web'] };
+
+// 2026-03-10 10:00（本地时间）起，用 clock.now 推进时间
+function setup(t) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zwm-test-'));
+  const clock = { now: new Date(2026, 2, 10, 10).getTime() };
+  t.mock.method(Date, 'now', () => clock.now);
+  const log = createActivityLog({ dirPath, checkpointMs: 24 * HOUR });
+  // 先停掉记录再删目录，否则收尾写盘会把目录建回来
+  t.after(() => {
+    log.stop();
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+  const readLines = () => fs.readFileSync(path.join(dirPath, '2026-03.jsonl'), 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        const entry = JSON.parse(line);
+        return [entry.name, (Date.parse(entry.end) - Date.parse(entry.start)) / MINUTE];
+      } catch (e) {
+        return line;
+      }
+    });
+  return { dirPath, clock, log, readLines };
+}
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+test('切换项目时写下上一段，checkpoint 原地改写进行中的那一行', (t) => {
+  const { clock, log, readLines } = setup(t);
+  log.track(api);
+  clock.now += 5 * MINUTE;
+  log.checkpoint();
+  clock.now += 5 * MINUTE;
+  log.checkpoint();
+  assert.deepEqual(readLines(), [['api', 10]]);
+
+  clock.now += 2 * MINUTE;
+  log.track(web);
+  clock.now += 3 * MINUTE;
+  log.stop();
+  assert.deepEqual(readLines(), [['api', 12], ['web', 3]]);
+});
+
+test('空闲回退到上次落盘之前时收回已记下的时长', (t) => {
+  const { clock, log, readLines } = setup(t);
+  log.track(api);
+  clock.now += 10 * MINUTE;
+  log.checkpoint();
+  clock.now += 5 * MINUTE;
+  // 最后一次输入在 3 分钟时
+  log.track(null, clock.now - 12 * MINUTE);
+  assert.deepEqual(readLines(), [['api', 3]]);
+});
+
+test('回退后不足 1 秒的时间段整行删掉', (t) => {
+  const { clock, log, readLines } = setup(t);
+  log.track(web);
+  clock.now += 5 * MINUTE;
+  log.track(api);
+  clock.now += 5 * MINUTE;
+  log.checkpoint();
+  log.track(null, clock.now - 5 * MINUTE + 500);
+  assert.deepEqual(readLines(), [['web', 5]]);
+});
+
+test('上次进程留下的半行不和新写的一行粘在一起', (t) => {
+  const { dirPath, clock, log, readLines } = setup(t);
+  fs.writeFileSync(path.join(dirPath, '2026-03.jsonl'), '{"start":');
+  log.track(api);
+  clock.now += MINUTE;
+  log.checkpoint();
+  clock.now += MINUTE;
+  log.stop();
+  assert.deepEqual(readLines(), ['{"start":', ['api', 2]]);
+});
+
+test('readIntervals 不重复计入进行中时间段已落盘的部分', (t) => {
+  const { clock, log } = setup(t);
+  const day = getActivityPeriod('day', 0, clock.now);
+  log.track(api);
+  clock.now += 10 * MINUTE;
+  log.checkpoint();
+  clock.now += 5 * MINUTE;
+
+  const intervals = log.readIntervals(day.start, day.end);
+  assert.equal(intervals.reduce((sum, item) => sum + item.end - item.start, 0), 15 * MINUTE);
+  assert.deepEqual(intervals.map(item => Boolean(item.isOpen)), [false, true]);
+  assert.equal(log.getCurrent().start, clock.now - 15 * MINUTE);
+});
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+test('getActivityPeriod 按本地日期取天，周从周一开始', () => {
+  // 2026-03-12 是周四
+  const now = new Date(2026, 2, 12, 15, 30).getTime();
+  assert.deepEqual(getActivityPeriod('day', -1, now), {
+    range: 'day', offset: -1, start: new Date(2026, 2, 11).getTime(), end: new Date(2026, 2, 12).getTime(),
+  });
+  assert.deepEqual(getActivityPeriod('week', 0, now), {
+    range: 'week', offset: 0, start: new Date(2026, 2, 9).getTime(), end: new Date(2026, 2, 16).getTime(),
+  });
+  // 周日仍属于本周
+  assert.equal(getActivityPeriod('week', 0, new Date(2026, 2, 15, 23).getTime()).start, new Date(2026, 2, 9).getTime());
+  assert.equal(getActivityPeriod('week', 'x', now).offset, 0);
+});
+
+test('summarizeActivity 把跨零点的时间段拆到两天，并裁掉区间外的部分', () => {
+  const period = getActivityPeriod('week', 0, new Date(2026, 2, 12).getTime());
+  const report = summarizeActivity([
+    { ...api, start: new Date(2026, 2, 10, 23).getTime(), end: new Date(2026, 2, 11, 1, 30).getTime() },
+    { ...web, start: new Date(2026, 2, 8, 23).getTime(), end: new Date(2026, 2, 9, 0, 30).getTime() },
+    { ...api, start: new Date(2026, 2, 11, 9).getTime(), end: new Date(2026, 2, 11, 10).getTime() },
+  ], { ...period, names: new Map([[api.key, 'API 标签']]) });
+
+  assert.deepEqual(report.projects.map(item => [item.name, item.isTab, item.totalMs / MINUTE]), [
+    ['API 标签', true, 210],
+    ['web', false, 30],
+  ]);
+  assert.equal(report.projects[0].totals['2026-03-10'], HOUR);
+  assert.equal(report.projects[0].totals['2026-03-11'], 2.5 * HOUR);
+  assert.equal(report.totals['2026-03-09'], 30 * MINUTE);
+  assert.equal(report.totalMs, 240 * MINUTE);
+  assert.equal(report.days.length, 7);
+});
+
+test('formatActivityCsv 每个项目每天一行并转义特殊字符', () => {
+  const period = getActivityPeriod('day', 0, new Date(2026, 2, 10).getTime());
+  const report = summarizeActivity([
+    { ...api, name: 'api, "v2"', start: new Date(2026, 2, 10, 9).getTime(), end: new Date(2026, 2, 10, 10, 30).getTime() },
+  ], period);
+  assert.equal(formatActivityCsv(report), [
+    'date,project,roots,channel,seconds,hours',
+    '2026-03-10,"api, ""v2""",/w/api,stable,5400,1.50',
+    '',
+  ].join('\n'));
+});
+
+test('formatActivityCsv 给可能被当成公式的单元格加上 \'', () => {
+  const period = getActivityPeriod('day', 0, new Date(2026, 2, 10).getTime());
+  const report = summarizeActivity([
+    { ...api, key: 'a', name: '=HYPERLINK("http://x","y")', roots: ['@sum/a', '-b'], start: new Date(2026, 2, 10, 9).getTime(), end: new Date(2026, 2, 10, 10).getTime() },
+    { ...web, key: 'b', name: '+1', roots: ['/w/web'], start: new Date(2026, 2, 10, 11).getTime(), end: new Date(2026, 2, 10, 11, 30).getTime() },
+  ], period);
+  assert.deepEqual(formatActivityCsv(report).split('\n').slice(1, 3), [
+    '2026-03-10,"\'=HYPERLINK(""http://x"",""y"")",\'@sum/a;-b,stable,3600,1.00',
+    '2026-03-10,\'+1,/w/web,stable,1800,0.50',
+  ]);
+});
@@ -0,0 +1,46 @@
+/**
+ * [INPUT]: lib/deep-link
+ * [OUTPUT]: zed-workspace:// 链接识别与解析（路径展开与规范化、通道与颜色校验）的测试
+ * [POS]: node --test 用例；home 显式传入，不依赖运行环境
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDeepLinkInArgv, parseDeepLink } = require('../lib/deep-link');
+
+const home = '/home/dev';
+
+test('findDeepLinkInArgv 从命令行参数中找出链接', () => {
+  assert.equal(findDeepLinkInArgv(['/opt/zwm', '--flag', 'Zed-Workspace://open?path=/a']), 'Zed-Workspace://open?path=/a');
+  assert.equal(findDeepLinkInArgv(['/opt/zwm']), null);
+  assert.equal(findDeepLinkInArgv(null), null);
+});
+
+test('parseDeepLink 展开 ~ 并去掉末尾的 /，多个 path 为多根工作区', () => {
+  const link = parseDeepLink('zed-workspace://add?path=~/code/api/&path=/srv//web/&name=%20API%20&color=%23AABBCC&channel=preview', { home });
+  assert.deepEqual(link, {
+    action: 'add',
+    roots: ['/home/dev/code/api', '/srv/web'],
+    displayName: 'API',
+    color: '#aabbcc',
+    channel: 'preview',
+  });
+});
+
+test('parseDeepLink 兼容 zed-workspace:open 写法', () => {
+  const link = parseDeepLink('zed-workspace:open?path=~', { home });
+  assert.equal(link.action, 'open');
+  assert.deepEqual(link.roots, [home]);
+  assert.equal(link.displayName, undefined);
+});
+
+test('parseDeepLink 拒绝无效链接', () => {
+  assert.throws(() => parseDeepLink('not a url', { home }), /无法解析链接/);
+  assert.throws(() => parseDeepLink('https://open?path=/a', { home }), /不是 zed-workspace/);
+  assert.throws(() => parseDeepLink('zed-workspace://delete?path=/a', { home }), /不支持的操作：delete/);
+  assert.throws(() => parseDeepLink('zed-workspace://open', { home }), /缺少 path 参数/);
+  assert.throws(() => parseDeepLink('zed-workspace://open?path=code/api', { home }), /必须是绝对路径/);
+  assert.throws(() => parseDeepLink('zed-workspace://open?path=/a&channel=beta', { home }), /未知的 Zed 通道/);
+  assert.throws(() => parseDeepLink('zed-workspace://open?path=/a&color=red', { home }), /颜色格式无效/);
+});
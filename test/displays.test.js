@@ -0,0 +1,58 @@
+/**
+ * [INPUT]: lib/displays
+ * [OUTPUT]: 多显示器几何（各停靠边扣掉标签栏后的窗口区域、标签栏位置、窗口归属屏幕、缩放）的测试
+ * [POS]: node --test 用例；显示器列表为手写的 screen.getAllDisplays() 形状
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDisplayLayouts, getBarBounds, findDisplayForRect, scaleRect } = require('../lib/displays');
+
+// 副屏在左侧，菜单栏占掉主屏顶部 25px
+const displays = [
+  { id: 2, bounds: { x: -1280, y: 0, width: 1280, height: 1024 }, workArea: { x: -1280, y: 0, width: 1280, height: 1024 } },
+  { id: 1, bounds: { x: 0, y: 0, width: 1440, height: 900 }, workArea: { x: 0, y: 25, width: 1440, height: 875 } },
+];
+
+test('buildDisplayLayouts 主屏在前，每块屏幕的停靠边都预留标签栏', () => {
+  const layouts = buildDisplayLayouts(displays, { dock: 'top', barSize: 36, primaryId: 1 });
+  assert.deepEqual(layouts, [
+    { id: 1, bounds: { x: 0, y: 0, width: 1440, height: 900 }, frame: { x: 0, y: 61, width: 1440, height: 839 } },
+    { id: 2, bounds: { x: -1280, y: 0, width: 1280, height: 1024 }, frame: { x: -1280, y: 36, width: 1280, height: 988 } },
+  ]);
+});
+
+test('buildDisplayLayouts 按停靠边扣掉宽度或高度', () => {
+  const [main] = buildDisplayLayouts([displays[1]], { dock: 'bottom', barSize: 36 });
+  assert.deepEqual(main.frame, { x: 0, y: 25, width: 1440, height: 839 });
+  const [left] = buildDisplayLayouts([displays[1]], { dock: 'left', barSize: 200 });
+  assert.deepEqual(left.frame, { x: 200, y: 25, width: 1240, height: 875 });
+  const [right] = buildDisplayLayouts([displays[1]], { dock: 'right', barSize: 2000 });
+  assert.deepEqual(right.frame, { x: 0, y: 25, width: 0, height: 875 });
+  assert.deepEqual(buildDisplayLayouts([null, { id: 3 }]), []);
+});
+
+test('getBarBounds 贴住停靠边，展开菜单时向屏幕内侧加宽', () => {
+  const { workArea } = displays[1];
+  assert.deepEqual(getBarBounds(workArea, { dock: 'top', barSize: 36, overlay: 300 }), { x: 0, y: 25, width: 1440, height: 336 });
+  assert.deepEqual(getBarBounds(workArea, { dock: 'bottom', barSize: 36 }), { x: 0, y: 864, width: 1440, height: 36 });
+  assert.deepEqual(getBarBounds(workArea, { dock: 'left', barSize: 200 }), { x: 0, y: 25, width: 200, height: 875 });
+  assert.deepEqual(getBarBounds(workArea, { dock: 'right', barSize: 200 }), { x: 1240, y: 25, width: 200, height: 875 });
+});
+
+test('findDisplayForRect 按窗口中心点找屏幕，找不到时归到主屏', () => {
+  const layouts = buildDisplayLayouts(displays, { barSize: 36, primaryId: 1 });
+  // 大半在副屏上的窗口
+  assert.equal(findDisplayForRect(layouts, { x: -900, y: 100, width: 1000, height: 600 }).id, 2);
+  assert.equal(findDisplayForRect(layouts, { x: 5000, y: 5000, width: 100, height: 100 }).id, 1);
+  assert.equal(findDisplayForRect(layouts, null).id, 1);
+  assert.equal(findDisplayForRect([], { x: 0, y: 0, width: 1, height: 1 }), null);
+});
+
+test('scaleRect 按缩放比换算并取整，比例为 1 时原样返回', () => {
+  const rect = { x: 10, y: 20, width: 333, height: 101 };
+  assert.deepEqual(scaleRect(rect, 1.5), { x: 15, y: 30, width: 500, height: 152 });
+  assert.equal(scaleRect(rect, 1), rect);
+  assert.equal(scaleRect(null, 2), null);
+});
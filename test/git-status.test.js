@@ -0,0 +1,111 @@
+/**
+ * [INPUT]: lib/git-status
+ * [OUTPUT]: git status --porcelain=v2 解析与后台轮询器（限频、优先刷新、只在变化时通知、清理缓存）的测试
+ * [POS]: node --test 用例；runCommand 由用例提供，不执行 git
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGitStatus, createGitStatusPoller } = require('../lib/git-status');
+
+test('parseGitStatus 读取分支、上游、领先落后与各类改动', () => {
+  const status = parseGitStatus([
+    '# branch.oid 1f2e3d',
+    '# branch.head feature/tabs',
+    '# branch.upstream origin/feature/tabs',
+    '# branch.ab +2 -1',
+    '1 M. N... 100644 100644 100644 a b src/a.js',
+    '1 .M N... 100644 100644 100644 a b src/b.js',
+    '2 RM N... 100644 100644 100644 a b R100 src/c.js\tsrc/old.js',
+    'u UU N... 100644 100644 100644 100644 a b c src/d.js',
+    '? notes.txt',
+    '',
+  ].join('\n'));
+  assert.deepEqual(status, {
+    branch: 'feature/tabs',
+    detached: false,
+    oid: '1f2e3d',
+    upstream: 'origin/feature/tabs',
+    ahead: 2,
+    behind: 1,
+    staged: 2,
+    modified: 2,
+    untracked: 1,
+    conflicted: 1,
+    dirty: true,
+  });
+});
+
+test('parseGitStatus 处理分离头指针与空仓库', () => {
+  const detached = parseGitStatus('# branch.oid abc\n# branch.head (detached)\n');
+  assert.equal(detached.detached, true);
+  assert.equal(detached.branch, null);
+  assert.equal(detached.dirty, false);
+  const initial = parseGitStatus('# branch.oid (initial)\n# branch.head main\n');
+  assert.equal(initial.oid, null);
+  assert.equal(initial.branch, 'main');
+  assert.equal(initial.upstream, null);
+});
+
+// 每个路径的输出由 outputs 决定，值为 null 时模拟不是 git 仓库
+function createPoller(t, outputs, paths) {
+  const calls = [];
+  const changes = [];
+  const clock = { now: 0 };
+  t.mock.method(Date, 'now', () => clock.now);
+  const poller = createGitStatusPoller({
+    runCommand: (command, args) => {
+      const repoPath = args[args.indexOf('-C') + 1];
+      calls.push(repoPath);
+      const output = outputs[repoPath];
+      return output === null ? Promise.reject(new Error('not a git repository')) : Promise.resolve(output);
+    },
+    getPaths: async () => paths.list,
+    onChange: (repoPath, status) => changes.push([repoPath, status && status.branch]),
+    intervalMs: 5000,
+    minRefreshMs: 15000,
+  });
+  return { poller, calls, changes, clock };
+}
+
+test('轮询器按最短间隔限频，只在状态变化时通知', async (t) => {
+  const outputs = { '/w/api': '# branch.head main\n', '/w/tmp': null };
+  const paths = { list: ['/w/api', '/w/tmp', '/w/api', ''] };
+  const { poller, calls, changes, clock } = createPoller(t, outputs, paths);
+
+  await poller.refreshNow();
+  assert.deepEqual(calls, ['/w/api', '/w/tmp']);
+  assert.deepEqual(changes, [['/w/api', 'main'], ['/w/tmp', null]]);
+
+  clock.now = 10000;
+  await poller.refreshNow();
+  assert.equal(calls.length, 2);
+
+  clock.now = 15000;
+  outputs['/w/api'] = '# branch.head dev\n';
+  await poller.refreshNow();
+  assert.deepEqual(calls.slice(2), ['/w/api', '/w/tmp']);
+  assert.deepEqual(changes.slice(2), [['/w/api', 'dev']]);
+
+  paths.list = ['/w/api'];
+  clock.now = 16000;
+  await poller.refreshNow();
+  assert.deepEqual(Object.keys(poller.getSnapshot()), ['/w/api']);
+});
+
+test('requestRefresh 让路径在下一轮优先刷新，距上次检查太近时跳过', async (t) => {
+  const outputs = { '/w/a': '# branch.head a\n', '/w/b': '# branch.head b\n' };
+  const { poller, calls, clock } = createPoller(t, outputs, { list: ['/w/a', '/w/b'] });
+
+  await poller.refreshNow();
+  clock.now = 3000;
+  poller.requestRefresh('/w/b');
+  await poller.refreshNow();
+  assert.equal(calls.length, 2);
+
+  clock.now = 6000;
+  poller.requestRefresh('/w/b');
+  await poller.refreshNow();
+  assert.deepEqual(calls.slice(2), ['/w/b']);
+});
@@ -0,0 +1,122 @@
+/**
+ * [INPUT]: lib/json-store
+ * [OUTPUT]: 版本迁移链、迁移前备份、损坏时从备份恢复、recover: false、同步读取（loadSync）与单独的原子写入的测试
+ * [POS]: node --test 用例；每个用例在自己的临时目录里读写
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore, writeFileAtomic } = require('../lib/json-store');
+
+// 临时目录与静音的日志（恢复、迁移都会打日志）
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwm-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+  return path.join(dir, 'store.json');
+}
+
+// v0 为裸数组，v1 包成 { items }，v2 每项带 done
+function createStore(filePath, options = {}) {
+  return createJsonStore({
+    filePath,
+    version: 2,
+    detectVersion: raw => (Array.isArray(raw) ? 0 : raw && Number.isInteger(raw.version) ? raw.version : null),
+    migrations: {
+      0: raw => ({ items: raw }),
+      1: data => ({ ...data, items: data.items.map(name => ({ name, done: false })) }),
+    },
+    createDefault: () => ({ items: [] }),
+    ...options,
+  });
+}
+
+test('load 逐级迁移旧文件，写回当前版本并把原文件留作备份', async (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, JSON.stringify(['a', 'b']));
+
+  const { data, recovery } = await createStore(filePath).load();
+  assert.equal(recovery, null);
+  assert.deepEqual(data.items, [{ name: 'a', done: false }, { name: 'b', done: false }]);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf-8')).version, 2);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.bak.1`, 'utf-8')), ['a', 'b']);
+});
+
+test('load 支持异步迁移', async (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, items: ['a'] }));
+  const store = createStore(filePath, {
+    migrations: { 1: async data => ({ items: data.items.map(name => ({ name, done: true })) }) },
+  });
+  assert.deepEqual((await store.load()).data.items, [{ name: 'a', done: true }]);
+});
+
+test('save 总是写入当前版本号', async (t) => {
+  const filePath = setup(t);
+  const store = createStore(filePath);
+  assert.equal(store.save({ version: 0, items: [] }), true);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), { version: 2, items: [] });
+  assert.deepEqual(await store.load(), { data: { version: 2, items: [] }, recovery: null });
+});
+
+test('文件损坏时挪开原文件并从最近的可用备份恢复', async (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, '{"version": 2, "items": [');
+  fs.writeFileSync(`${filePath}.bak.1`, 'garbage');
+  fs.writeFileSync(`${filePath}.bak.2`, JSON.stringify(['from-backup']));
+
+  const { data, recovery } = await createStore(filePath).load();
+  assert.deepEqual(data.items, [{ name: 'from-backup', done: false }]);
+  assert.equal(recovery.backupPath, `${filePath}.bak.2`);
+  assert.equal(fs.readFileSync(recovery.corruptPath, 'utf-8'), '{"version": 2, "items": [');
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')).items, data.items);
+});
+
+test('没有可用备份时恢复为默认内容；recover: false 时直接抛出且不动原文件', async (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, JSON.stringify({ unknown: true }));
+  const store = createStore(filePath);
+
+  await assert.rejects(store.load({ recover: false }), /unrecognized store\.json format/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), { unknown: true });
+
+  const { data, recovery } = await store.load();
+  assert.deepEqual(data, { items: [] });
+  assert.equal(recovery.backupPath, null);
+});
+
+test('loadSync 同步迁移并在文件损坏时从备份恢复', (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, JSON.stringify(['a']));
+  const store = createStore(filePath);
+  assert.deepEqual(store.loadSync().data.items, [{ name: 'a', done: false }]);
+
+  fs.writeFileSync(filePath, 'not json');
+  assert.throws(() => store.loadSync({ recover: false }), SyntaxError);
+  const { data, recovery } = store.loadSync();
+  assert.deepEqual(data.items, [{ name: 'a', done: false }]);
+  assert.equal(recovery.backupPath, `${filePath}.bak.1`);
+});
+
+test('loadSync 遇到异步迁移时报错，不动原文件', (t) => {
+  const filePath = setup(t);
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, items: ['a'] }));
+  const store = createStore(filePath, {
+    migrations: { 1: async data => ({ items: data.items.map(name => ({ name, done: true })) }) },
+  });
+  assert.throws(() => store.loadSync({ recover: false }), /is async, use load\(\)/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), { version: 1, items: ['a'] });
+});
+
+test('writeFileAtomic 覆盖写入且不留临时文件', (t) => {
+  const filePath = setup(t);
+  writeFileAtomic(filePath, 'first');
+  writeFileAtomic(filePath, 'second');
+  assert.equal(fs.readFileSync(filePath, 'utf-8'), 'second');
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['store.json']);
+});
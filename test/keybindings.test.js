@@ -0,0 +1,53 @@
+/**
+ * [INPUT]: lib/keybindings
+ * [OUTPUT]: 快捷键语法校验、规范化与 keybindings.json 解析（未知动作、停用、冲突）的测试
+ * [POS]: node --test 用例；platform 显式传入，结果与运行平台无关
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_KEYBINDINGS, normalizeAccelerator, parseKeybindings } = require('../lib/keybindings');
+
+test('normalizeAccelerator 按平台展开 CommandOrControl 并排序修饰键', () => {
+  assert.equal(normalizeAccelerator('CmdOrCtrl+Alt+p', 'darwin'), 'Alt+Command+P');
+  assert.equal(normalizeAccelerator('Alt+CommandOrControl+P', 'linux'), 'Alt+Control+P');
+  assert.equal(normalizeAccelerator('Ctrl+Esc', 'linux'), 'Control+escape');
+  assert.equal(normalizeAccelerator('F5', 'linux'), 'F5');
+  // 不带修饰键的普通键、重复修饰键、空段都不合法
+  assert.equal(normalizeAccelerator('A', 'linux'), null);
+  assert.equal(normalizeAccelerator('Ctrl+Control+A', 'linux'), null);
+  assert.equal(normalizeAccelerator('Ctrl++', 'linux'), null);
+});
+
+test('parseKeybindings 合并默认值，跳过注释，报告未知动作', () => {
+  const { bindings, problems } = parseKeybindings({
+    '// 注释': 'anything',
+    'open-palette': ' Ctrl+Shift+P ',
+    'toggle-devtools': null,
+    'no-such-action': 'Ctrl+X',
+  }, 'linux');
+  assert.equal(bindings['open-palette'], 'Ctrl+Shift+P');
+  assert.equal(bindings['toggle-devtools'], null);
+  assert.equal(bindings['next-tab'], DEFAULT_KEYBINDINGS['next-tab']);
+  assert.deepEqual(problems, ['未知动作：no-such-action']);
+});
+
+test('parseKeybindings 停用写错的绑定，冲突时保留先出现的动作', () => {
+  const { bindings, problems } = parseKeybindings({
+    'open-palette': 'Ctrl+Nope',
+    'jump-to-1': 'Control+Alt+J',
+    'jump-to-2': 'Alt+Ctrl+j',
+  }, 'linux');
+  assert.equal(bindings['open-palette'], null);
+  assert.equal(bindings['jump-to-1'], 'Control+Alt+J');
+  assert.equal(bindings['jump-to-2'], null);
+  assert.equal(problems.length, 2);
+  assert.match(problems[1], /快捷键冲突/);
+});
+
+test('parseKeybindings 内容不是对象时使用默认快捷键', () => {
+  const { bindings, problems } = parseKeybindings(['Ctrl+A'], 'linux');
+  assert.deepEqual(bindings, DEFAULT_KEYBINDINGS);
+  assert.equal(problems.length, 1);
+});
@@ -0,0 +1,75 @@
+/**
+ * [INPUT]: lib/project-identity
+ * [OUTPUT]: 同名项目窗口与工作区的对应（最近出现顺序、通道隔离、标签栏激活、首个根目录兜底）与窗口定位的测试
+ * [POS]: node --test 用例；标签栏激活记录是模块级状态，改动它的用例放在最后
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  recordBarActivation,
+  resolveWindowRoots,
+  hasAmbiguousTitle,
+  findWindowTarget,
+} = require('../lib/project-identity');
+
+const workApi = { roots: ['/work/api'], timestamp: 2000 };
+const ossApi = { roots: ['/oss/api'], timestamp: 1000 };
+const web = { roots: ['/w/web', '/w/shared'], timestamp: 500 };
+
+test('同标题的第 n 个窗口（z 序）对应第 n 个最近出现的工作区', () => {
+  const resolved = resolveWindowRoots([
+    { title: 'api — main.rs' },
+    { title: 'web, shared' },
+    { title: 'api' },
+    { title: 'api — lib.rs' },
+  ], [ossApi, workApi, web]);
+  assert.deepEqual(resolved.map(window => [window.label, window.occurrence, window.roots]), [
+    ['api', 1, ['/work/api']],
+    ['web, shared', 1, ['/w/web', '/w/shared']],
+    ['api', 2, ['/oss/api']],
+    // 工作区比窗口少时不乱配
+    ['api', 3, []],
+  ]);
+});
+
+test('不同通道的窗口只在各自通道的工作区里匹配，序号也分开计', () => {
+  const resolved = resolveWindowRoots([
+    { title: 'api', channel: 'preview' },
+    { title: 'api', channel: 'stable' },
+  ], [{ ...workApi, channel: 'stable' }, { ...ossApi, channel: 'preview' }]);
+  assert.deepEqual(resolved.map(window => [window.occurrence, window.roots]), [
+    [1, ['/oss/api']],
+    [1, ['/work/api']],
+  ]);
+});
+
+test('没有标题完全一致的工作区时，只给第一个窗口按首个根目录名兜底', () => {
+  const resolved = resolveWindowRoots([{ title: 'web, docs' }, { title: 'web, docs' }], [web]);
+  assert.deepEqual(resolved.map(window => window.roots), [['/w/web', '/w/shared'], []]);
+});
+
+test('findWindowTarget 返回可交给窗口后端的目标与同标题窗口数', () => {
+  const windows = [{ id: 'w1', title: 'api — main.rs' }, { id: 'w2', title: 'api' }];
+  assert.deepEqual(findWindowTarget(['/oss/api'], windows, [workApi, ossApi]), {
+    target: { id: 'w2', title: 'api', titlePrefix: 'api — ', occurrence: 2 },
+    sameTitleCount: 2,
+  });
+  assert.deepEqual(findWindowTarget(['/w/web', '/w/shared'], windows, [workApi, ossApi, web]), {
+    target: null,
+    sameTitleCount: 0,
+  });
+});
+
+test('hasAmbiguousTitle 只在有其他同标题工作区时为真', () => {
+  assert.equal(hasAmbiguousTitle(['/work/api'], [workApi, ossApi]), true);
+  assert.equal(hasAmbiguousTitle(['/work/api'], [workApi, web]), false);
+});
+
+test('标签栏刚激活的工作区排在数据库时间戳更新的同名工作区前面', (t) => {
+  t.mock.method(Date, 'now', () => 5000);
+  recordBarActivation(['/oss/api']);
+  const resolved = resolveWindowRoots([{ title: 'api' }, { title: 'api' }], [workApi, ossApi]);
+  assert.deepEqual(resolved.map(window => window.roots), [['/oss/api'], ['/work/api']]);
+});
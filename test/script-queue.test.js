@@ -0,0 +1,111 @@
+/**
+ * [INPUT]: lib/script-queue（spawnCommand 换成可控的假进程）
+ * [OUTPUT]: 双通道命令队列（用户操作优先、可丢弃轮询只替换同 tag 的旧任务、按 tag 移除）的测试
+ * [POS]: node --test 用例；假进程由用例决定何时输出与退出，不执行外部命令
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const processUtils = require('../lib/process-utils');
+
+// 每次 spawn 记下 { command, args, finish }，finish(stdout, code) 结束该进程
+const spawned = [];
+test.mock.method(processUtils, 'spawnCommand', (command, args) => {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = () => child.emit('close', null);
+  spawned.push({
+    command,
+    args,
+    finish(stdout = '', code = 0) {
+      if (stdout) child.stdout.emit('data', stdout);
+      child.emit('close', code);
+    },
+  });
+  return child;
+});
+// 必须在替换 spawnCommand 之后加载
+const {
+  configureScriptQueue,
+  enqueueCommand,
+  enqueueCommandPromise,
+  removeQueuedCommandsByTag,
+  getScriptQueueState,
+} = require('../lib/script-queue');
+
+const jobs = [];
+configureScriptQueue({ onJob: job => jobs.push(job) });
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// 依次结束正在执行的假进程，直到队列清空
+async function drain() {
+  for (let i = 0; i < 20 && (spawned.some(item => !item.done) || getScriptQueueState().running); i++) {
+    const next = spawned.find(item => !item.done);
+    if (next) {
+      next.done = true;
+      next.finish(`${next.args[0]}\n`);
+    }
+    await tick();
+  }
+}
+
+test('后台列窗口排在可丢弃的前台窗口轮询后面时不被丢弃', async () => {
+  jobs.length = 0;
+  const busy = enqueueCommandPromise('osascript', ['busy']);
+  const list = enqueueCommandPromise('osascript', ['list'], { priority: 'poll', tag: 'list-zed-windows' });
+  const oldFront = [];
+  enqueueCommand('osascript', ['front-1'], (err, stdout) => oldFront.push(stdout), {
+    priority: 'poll', droppable: true, tag: 'front-zed-window', replaceTag: true,
+  });
+  const front = enqueueCommandPromise('osascript', ['front-2'], {
+    priority: 'poll', droppable: true, tag: 'front-zed-window', replaceTag: true,
+  });
+  assert.equal(getScriptQueueState().pollQueue, 2);
+
+  await drain();
+  assert.equal(await busy, 'busy\n');
+  assert.equal(await list, 'list\n');
+  assert.equal(await front, 'front-2\n');
+  // 被替换的旧轮询不执行也不回调，只记一条 dropped
+  assert.deepEqual(oldFront, []);
+  assert.deepEqual(jobs.map(job => [job.tag, job.outcome]), [
+    ['front-zed-window', 'dropped'],
+    [null, 'ok'],
+    ['list-zed-windows', 'ok'],
+    ['front-zed-window', 'ok'],
+  ]);
+});
+
+test('用户操作排在已排队的轮询前面，prepend 的排最前', async () => {
+  const order = [];
+  const record = (err, stdout) => order.push(stdout.trim());
+  enqueueCommand('osascript', ['running'], record);
+  enqueueCommand('osascript', ['poll'], record, { priority: 'poll', tag: 'list-zed-windows' });
+  enqueueCommand('osascript', ['user'], record);
+  enqueueCommand('osascript', ['urgent'], record, { prepend: true });
+  await drain();
+  assert.deepEqual(order, ['running', 'urgent', 'user', 'poll']);
+});
+
+test('removeQueuedCommandsByTag 只移除排队中、tag 相同的任务', async () => {
+  const order = [];
+  const record = (err, stdout) => order.push(stdout.trim());
+  enqueueCommand('osascript', ['running'], record, { tag: 'raise' });
+  enqueueCommand('osascript', ['queued-raise'], record, { tag: 'raise' });
+  enqueueCommand('osascript', ['other'], record, { tag: 'close' });
+  removeQueuedCommandsByTag('raise');
+  await drain();
+  assert.deepEqual(order, ['running', 'other']);
+});
+
+test('命令以非零退出码结束时 Promise reject', async () => {
+  const failed = enqueueCommandPromise('osascript', ['broken']);
+  const child = spawned[spawned.length - 1];
+  child.done = true;
+  child.finish('', 1);
+  await assert.rejects(failed);
+});
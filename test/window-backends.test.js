@@ -0,0 +1,100 @@
+/**
+ * [INPUT]: lib/window-backends/fake、lib/window-backends/x11 的纯解析函数
+ * [OUTPUT]: fake 后端（场景文件、打开 / 前置 / 关闭窗口、前台状态推送）与 wmctrl / xwininfo 输出解析的测试
+ * [POS]: node --test 用例；不启动 Electron，也不执行外部命令
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeBackend } = require('../lib/window-backends/fake');
+const { parseWmctrlLine, parseXwininfo } = require('../lib/window-backends/x11');
+
+// ============================================================================
+// FAKE
+// ============================================================================
+
+test('fake 后端读取场景文件中的前台应用与窗口', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwm-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const scenarioPath = path.join(dir, 'scenario.json');
+  fs.writeFileSync(scenarioPath, JSON.stringify({
+    frontApp: 'Zed',
+    windows: [
+      { title: 'api — main.rs', bounds: { x: 0, y: 36, width: 800, height: 600 } },
+      { title: 'web', channel: 'preview' },
+    ],
+  }));
+  const backend = createFakeBackend({ scenarioPath });
+
+  const front = await backend.getFrontState();
+  assert.equal(front.isZed, true);
+  assert.equal(front.channel, 'stable');
+  assert.equal(front.frontWindowName, 'api — main.rs');
+  assert.deepEqual(front.frontWindowBounds, { x: 0, y: 36, width: 800, height: 600 });
+  assert.deepEqual((await backend.listWindows('preview')).map(w => w.title), ['web']);
+});
+
+test('fake 后端打开路径时新建窗口，已打开时只前置', async () => {
+  const backend = createFakeBackend();
+  backend.setState({ frontApp: 'Finder', windows: [{ title: 'web' }] });
+
+  assert.equal(await backend.openPaths(['/w/api', '/w/shared'], 'stable'), true);
+  assert.equal((await backend.getFrontState()).frontWindowName, 'api, shared');
+  assert.equal(await backend.openPaths(['/w/web'], 'stable'), true);
+  assert.deepEqual((await backend.listWindows('stable')).map(w => w.title), ['web', 'api, shared']);
+  assert.equal(await backend.openPaths([], 'stable'), false);
+  assert.deepEqual(backend.calls.filter(call => call.method === 'openPaths').map(call => call.args[0]), [
+    ['/w/api', '/w/shared'], ['/w/web'], [],
+  ]);
+});
+
+test('fake 后端按标题前置和关闭窗口，并推送前台变化', async () => {
+  const backend = createFakeBackend();
+  backend.setState({ frontApp: 'Zed', windows: [{ title: 'api' }, { title: 'web' }] });
+  const states = [];
+  const watcher = backend.watchFrontState({ onState: state => states.push(state.frontWindowName) });
+
+  assert.equal(await backend.raiseWindow({ title: 'web', channel: 'stable' }), true);
+  assert.equal(await backend.raiseWindow({ title: 'missing', channel: 'stable' }), false);
+  assert.equal(await backend.closeWindow({ title: 'web', channel: 'stable' }), true);
+  watcher.stop();
+  backend.setState({ frontApp: 'Finder' });
+
+  assert.deepEqual(states, ['api', 'web', 'api']);
+  assert.deepEqual(backend.getState().windows.map(w => w.title), ['api']);
+});
+
+// ============================================================================
+// X11 PARSERS
+// ============================================================================
+
+test('parseWmctrlLine 解析 wmctrl -lpGx 的一行', () => {
+  assert.deepEqual(
+    parseWmctrlLine('0x04a00003  0 12345 -8   36   1920 1044 dev.zed.Zed.dev.zed.Zed host api — src/main.rs'),
+    {
+      id: '0x04a00003',
+      pid: 12345,
+      bounds: { x: -8, y: 36, width: 1920, height: 1044 },
+      windowClass: 'dev.zed.Zed.dev.zed.Zed',
+      title: 'api — src/main.rs',
+    },
+  );
+  // 没有标题的窗口
+  assert.equal(parseWmctrlLine('0x01 -1 1 0 0 10 10 a.b host').title, '');
+  assert.equal(parseWmctrlLine('not a window'), null);
+});
+
+test('parseXwininfo 读取绝对位置与尺寸，缺项时返回 null', () => {
+  const raw = [
+    '  Absolute upper-left X:  100',
+    '  Absolute upper-left Y:  -20',
+    '  Width: 800',
+    '  Height: 600',
+  ].join('\n');
+  assert.deepEqual(parseXwininfo(raw), { x: 100, y: -20, width: 800, height: 600 });
+  assert.equal(parseXwininfo('  Width: 800'), null);
+});
@@ -0,0 +1,85 @@
+/**
+ * [INPUT]: lib/window-layout、lib/displays
+ * [OUTPUT]: 窗口布局策略（nudge 推开停靠边、平铺分列、记住的位置、maximize）与最终移动计划的测试
+ * [POS]: node --test 用例；只算位置，不移动窗口
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDisplayLayouts } = require('../lib/displays');
+const {
+  TAB_LAYOUT_POLICIES,
+  normalizeLayoutPolicy,
+  getNudgedFrame,
+  getTileFrames,
+  planWindowPlacements,
+} = require('../lib/window-layout');
+
+const frame = { x: 0, y: 36, width: 1000, height: 764 };
+
+test('normalizeLayoutPolicy 只接受允许的策略', () => {
+  assert.equal(normalizeLayoutPolicy('tile'), undefined);
+  assert.equal(normalizeLayoutPolicy('tile', TAB_LAYOUT_POLICIES), 'tile');
+  assert.equal(normalizeLayoutPolicy('bogus', TAB_LAYOUT_POLICIES, 'off'), 'off');
+});
+
+test('getNudgedFrame 只推停靠边一侧，远离标签栏的边不动', () => {
+  assert.deepEqual(getNudgedFrame({ x: 50, y: 0, width: 600, height: 500 }, frame, 'top'), { x: 50, y: 36, width: 600, height: 464 });
+  // 没压住标签栏时不动
+  assert.equal(getNudgedFrame({ x: 50, y: 40, width: 600, height: 500 }, frame, 'top'), null);
+  // 底部停靠：推下边，上边不动
+  const bottomFrame = { x: 0, y: 0, width: 1000, height: 764 };
+  assert.deepEqual(getNudgedFrame({ x: 0, y: 400, width: 500, height: 400 }, bottomFrame, 'bottom'), { x: 0, y: 400, width: 500, height: 364 });
+  // 左侧停靠：推左边
+  const leftFrame = { x: 200, y: 0, width: 800, height: 800 };
+  assert.deepEqual(getNudgedFrame({ x: 100, y: 0, width: 500, height: 800 }, leftFrame, 'left'), { x: 200, y: 0, width: 400, height: 800 });
+  assert.equal(getNudgedFrame(null, frame), null);
+});
+
+test('getNudgedFrame 挪动后至少保留最小尺寸，且不超出可用区域', () => {
+  assert.deepEqual(getNudgedFrame({ x: 0, y: 0, width: 400, height: 100 }, frame, 'top'), { x: 0, y: 36, width: 400, height: 200 });
+  assert.deepEqual(getNudgedFrame({ x: 0, y: -100, width: 400, height: 2000 }, frame, 'top'), { x: 0, y: 36, width: 400, height: 764 });
+});
+
+test('getTileFrames 等分宽度，除不尽的像素给最后一列', () => {
+  assert.deepEqual(getTileFrames(3, frame).map(item => [item.x, item.width]), [[0, 333], [333, 333], [666, 334]]);
+  assert.ok(getTileFrames(3, frame).every(item => item.y === 36 && item.height === 764));
+  assert.deepEqual(getTileFrames(0, frame), []);
+  assert.deepEqual(getTileFrames(2, null), []);
+});
+
+test('planWindowPlacements 按各窗口的策略生成移动计划，已在位的窗口不动', () => {
+  const layouts = buildDisplayLayouts([
+    { id: 1, bounds: { x: 0, y: 0, width: 1000, height: 800 }, workArea: { x: 0, y: 0, width: 1000, height: 800 } },
+    { id: 2, bounds: { x: 1000, y: 0, width: 800, height: 600 }, workArea: { x: 1000, y: 0, width: 800, height: 600 } },
+  ], { dock: 'top', barSize: 36, primaryId: 1 });
+  const windows = [
+    { title: 'api', key: 'api', bounds: { x: 1100, y: 0, width: 500, height: 400 } },
+    { title: 'web', key: 'web', bounds: { x: 0, y: 0, width: 300, height: 300 } },
+    { title: 'web', key: 'web2', bounds: { x: 0, y: 0, width: 300, height: 300 } },
+    { title: 'docs', key: 'docs', bounds: { x: 0, y: 36, width: 1000, height: 764 } },
+    { title: 'notes', key: 'notes', bounds: { x: 10, y: 10, width: 300, height: 300 } },
+    { title: 'old', key: 'old', bounds: { x: 10, y: 10, width: 300, height: 300 } },
+  ];
+  const policies = { api: 'maximize', web: 'tile', web2: 'tile', docs: 'maximize', notes: 'remember', old: 'remember' };
+  const plan = planWindowPlacements(windows, {
+    layouts,
+    getPolicy: window => policies[window.key],
+    // 标签顺序与 z 序相反
+    getTileIndex: window => (window.key === 'web2' ? 0 : 1),
+    getRememberedFrame: (window) => {
+      if (window.key === 'notes') return { x: 1200, y: 100, width: 400, height: 300 };
+      // 所在屏幕已拔掉
+      return { x: 5000, y: 100, width: 400, height: 300 };
+    },
+  });
+  assert.deepEqual(plan, [
+    { target: { id: null, title: 'api', occurrence: 1 }, frame: { x: 1000, y: 36, width: 800, height: 564 } },
+    { target: { id: null, title: 'web', occurrence: 1 }, frame: { x: 500, y: 36, width: 500, height: 764 } },
+    { target: { id: null, title: 'web', occurrence: 2 }, frame: { x: 0, y: 36, width: 500, height: 764 } },
+    { target: { id: null, title: 'notes', occurrence: 1 }, frame: { x: 1200, y: 100, width: 400, height: 300 } },
+    { target: { id: null, title: 'old', occurrence: 1 }, frame: { x: 10, y: 36, width: 300, height: 274 } },
+  ]);
+  assert.deepEqual(planWindowPlacements(windows, { layouts: [] }), []);
+});
@@ -0,0 +1,116 @@
+/**
+ * [INPUT]: lib/workspace-manifest
+ * [OUTPUT]: 团队清单导出、校验（格式、版本、越出根目录的路径）与导入规划（本地已有 / 按 remote 沿用 / 可克隆 / 缺失）的测试
+ * [POS]: node --test 用例；pathExists 由用例提供，不读磁盘
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MANIFEST_FORMAT,
+  buildManifest,
+  parseManifest,
+  isInsideRoot,
+  resolveManifestPath,
+  resolveLocalRemote,
+  planManifestImport,
+} = require('../lib/workspace-manifest');
+
+function createManifest(projects) {
+  return { format: MANIFEST_FORMAT, version: 1, name: '客户项目', projects };
+}
+
+test('buildManifest 保存相对路径与 remote，跳过没有路径的标签', () => {
+  const manifest = buildManifest([
+    { displayName: 'API', color: '#4b7c72', channel: 'preview', roots: ['/src/api', '/src/libs/shared'] },
+    { displayName: 'empty project', roots: [] },
+    { roots: ['/src'] },
+  ], { root: '/src', name: '客户项目', remotes: new Map([['/src/api', 'file:///git/api.git']]), now: 0 });
+  assert.deepEqual(manifest, {
+    ...createManifest([
+      {
+        displayName: 'API',
+        color: '#4b7c72',
+        channel: 'preview',
+        roots: [{ path: 'api', remote: 'file:///git/api.git' }, { path: 'libs/shared', remote: null }],
+      },
+      { displayName: 'src', roots: [{ path: '.', remote: null }] },
+    ]),
+    exportedAt: '1970-01-01T00:00:00.000Z',
+  });
+});
+
+test('parseManifest 校验格式与版本，丢弃无效条目', () => {
+  assert.throws(() => parseManifest({ format: 'other' }), /不是 Zed 工作区清单文件/);
+  assert.throws(() => parseManifest({ format: MANIFEST_FORMAT, version: 2, projects: [] }), /不支持的清单版本：2/);
+  assert.throws(() => parseManifest({ format: MANIFEST_FORMAT, version: 1 }), /缺少 projects 列表/);
+
+  const manifest = parseManifest(createManifest([
+    { displayName: 'API', color: 'red', roots: [{ path: ' api ', remote: ' file:///git/api.git ' }, { path: '' }] },
+    { displayName: 'none', roots: [] },
+    null,
+  ]));
+  assert.deepEqual(manifest, {
+    name: '客户项目',
+    projects: [{ displayName: 'API', color: undefined, channel: undefined, roots: [{ path: 'api', remote: 'file:///git/api.git' }] }],
+  });
+});
+
+test('parseManifest 拒绝绝对路径与含 .. 的路径', () => {
+  ['/etc/x', '../../.config/autostart/x', 'api/../../x', '..', 'C:\\repos\\api', 'api\\..\\..\\x'].forEach((unsafe) => {
+    assert.throws(
+      () => parseManifest(createManifest([{ roots: [{ path: 'api' }, { path: unsafe }] }])),
+      /必须是根目录下的相对路径/,
+      unsafe,
+    );
+  });
+  assert.doesNotThrow(() => parseManifest(createManifest([{ roots: [{ path: '.' }, { path: 'a/..b/c' }] }])));
+});
+
+test('resolveManifestPath 与 isInsideRoot 不允许越出根目录', () => {
+  assert.equal(resolveManifestPath('/src', 'libs/shared'), '/src/libs/shared');
+  assert.equal(resolveManifestPath('/src', '.'), '/src');
+  assert.equal(resolveManifestPath('/src', '../tmp/x'), null);
+  assert.equal(resolveManifestPath('/src', '/tmp/x'), null);
+  assert.equal(isInsideRoot('/src', '/src/api'), true);
+  assert.equal(isInsideRoot('/src', '/srcx/api'), false);
+  assert.equal(isInsideRoot('/src', '/other'), false);
+});
+
+test('resolveLocalRemote 只接受本机路径与 file:// 地址', () => {
+  assert.equal(resolveLocalRemote('file:///git/api.git'), '/git/api.git');
+  assert.equal(resolveLocalRemote('/git/api.git'), '/git/api.git');
+  assert.equal(resolveLocalRemote('git@github.com:team/api.git'), null);
+  assert.equal(resolveLocalRemote('https://example.com/api.git'), null);
+  assert.equal(resolveLocalRemote(null), null);
+});
+
+test('planManifestImport 依次按根目录、已有标签的 remote、本地远端规划每个根目录', async () => {
+  const existing = new Set(['/home/dev/src/api', '/elsewhere/web', '/git/docs.git']);
+  const entries = await planManifestImport(parseManifest(createManifest([
+    { displayName: 'API', roots: [{ path: 'api', remote: null }] },
+    { displayName: 'Web', roots: [{ path: 'web', remote: 'git@host:web.git' }] },
+    { displayName: 'Docs', roots: [{ path: 'docs', remote: 'file:///git/docs.git' }, { path: 'wiki', remote: 'https://host/wiki.git' }] },
+  ])), {
+    root: '/home/dev/src',
+    existingProjects: [{ roots: ['/home/dev/src/api'] }],
+    existingRemotes: new Map([['/elsewhere/web', 'git@host:web.git']]),
+    pathExists: async item => existing.has(item),
+  });
+  assert.deepEqual(entries.map(entry => [entry.displayName, entry.isExisting, entry.roots.map(item => [item.localPath, item.status])]), [
+    ['API', true, [['/home/dev/src/api', 'found']]],
+    ['Web', false, [['/elsewhere/web', 'found']]],
+    ['Docs', false, [['/home/dev/src/docs', 'clonable'], ['/home/dev/src/wiki', 'missing']]],
+  ]);
+});
+
+test('planManifestImport 不查找越出根目录的路径', async () => {
+  const checked = [];
+  const [entry] = await planManifestImport(createManifest([{ roots: [{ path: '../../tmp/x', remote: null }] }]), {
+    root: '/home/dev/src',
+    pathExists: async (item) => { checked.push(item); return true; },
+  });
+  assert.deepEqual(entry.roots.map(item => [item.localPath, item.status]), [[null, 'missing']]);
+  assert.deepEqual(checked, []);
+});
@@ -0,0 +1,53 @@
+/**
+ * [INPUT]: lib/zed-workspaces
+ * [OUTPUT]: Zed workspaces 表解析（根目录顺序、时间戳、空行）与按窗口标题找工作区的测试
+ * [POS]: node --test 用例；输入为 sqlite3 -json 的输出文本，不读数据库
+ *
+ * [PROTOCOL]: 变更时更新此头部，然后检查 CLAUDE.md
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeRoots,
+  parseZedWorkspaces,
+  getWorkspaceTitle,
+  getProjectLabelFromWindowName,
+  findWorkspaceByLabel,
+} = require('../lib/zed-workspaces');
+
+test('parseZedWorkspaces 按 paths_order 还原根目录的添加顺序', () => {
+  const workspaces = parseZedWorkspaces(JSON.stringify([
+    { workspace_id: 7, paths: '/w/api\n/w/shared\n/w/web', paths_order: '2,0,1', timestamp: '2026-03-10 08:30:00' },
+    // paths_order 与 paths 对不上时保持库里的顺序
+    { workspace_id: 8, paths: '/w/b\n/w/a', paths_order: '0', timestamp: 'bad' },
+    { workspace_id: 9, paths: '', paths_order: '', timestamp: '2026-03-10 08:30:00' },
+  ]));
+  assert.deepEqual(workspaces, [
+    { id: 7, roots: ['/w/shared', '/w/web', '/w/api'], timestamp: Date.UTC(2026, 2, 10, 8, 30) },
+    { id: 8, roots: ['/w/b', '/w/a'], timestamp: 0 },
+  ]);
+  assert.deepEqual(parseZedWorkspaces('  '), []);
+});
+
+test('normalizeRoots 去掉空值与重复的根目录，保持顺序', () => {
+  assert.deepEqual(normalizeRoots(['/w/a', '', null, '/w/b', '/w/a']), ['/w/a', '/w/b']);
+  assert.deepEqual(normalizeRoots('/w/a'), []);
+});
+
+test('窗口标题由根目录名拼接，活动文件部分不参与匹配', () => {
+  assert.equal(getWorkspaceTitle(['/w/api', '/x/web']), 'api, web');
+  assert.equal(getProjectLabelFromWindowName('api, web — src/main.rs'), 'api, web');
+  assert.equal(getProjectLabelFromWindowName('api'), 'api');
+});
+
+test('findWorkspaceByLabel 优先完整标题，再按首个根目录名找最近的工作区', () => {
+  const workspaces = [
+    { id: 1, roots: ['/w/api'] },
+    { id: 2, roots: ['/w/api', '/w/web'] },
+    { id: 3, roots: ['/old/api', '/old/web'] },
+  ];
+  assert.equal(findWorkspaceByLabel(workspaces, 'api, web').id, 2);
+  assert.equal(findWorkspaceByLabel(workspaces, 'api, docs').id, 1);
+  assert.equal(findWorkspaceByLabel(workspaces, 'web'), null);
+  assert.equal(findWorkspaceByLabel(workspaces, ''), null);
+});